@@ -0,0 +1,128 @@
+import React, { useState, useEffect } from 'react';
+import { Archive, RotateCcw, Trash2 } from 'lucide-react';
+import { Button } from './ui/button';
+import { Input } from './ui/input';
+import { Card, CardContent } from './ui/card';
+import api from '../utils/api';
+import { isControlled } from '../utils/controlled';
+import { toast } from 'sonner';
+
+// Archived (soft-deleted) medicines keep their movement history until purged.
+// Only admins may purge, and controlled substances never are.
+const ArchivedMedicines = ({ canPurge = false }) => {
+  const [medicines, setMedicines] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+
+  useEffect(() => {
+    fetchArchived();
+  }, []);
+
+  const fetchArchived = async () => {
+    try {
+      const response = await api.get('/medicines', { params: { archived: true } });
+      setMedicines(response.data);
+    } catch (error) {
+      toast.error('Failed to load archived medicines');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRestore = async (medicine) => {
+    try {
+      await api.post(`/medicines/${medicine.id}/restore`);
+      toast.success(`${medicine.name} restored to inventory`);
+      fetchArchived();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to restore medicine');
+    }
+  };
+
+  const handlePurge = async (medicine) => {
+    if (!window.confirm(`Permanently delete ${medicine.name} and its stock history? This cannot be undone.`)) return;
+    try {
+      await api.delete(`/medicines/${medicine.id}/purge`);
+      toast.success(`${medicine.name} permanently deleted`);
+      fetchArchived();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to purge medicine');
+    }
+  };
+
+  if (loading) {
+    return <div className="text-center py-12">Loading...</div>;
+  }
+
+  const term = search.trim().toLowerCase();
+  const shown = term
+    ? medicines.filter((medicine) =>
+      [medicine.name, medicine.generic_name, medicine.batch_number].some((value) =>
+        String(value || '').toLowerCase().includes(term)
+      ))
+    : medicines;
+
+  return (
+    <div className="space-y-6" data-testid="archived-medicines">
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">Archive</h1>
+        <p className="text-gray-600 mt-2">Deleted medicines, kept with their stock history until purged</p>
+      </div>
+
+      <Input
+        value={search}
+        onChange={(e) => setSearch(e.target.value)}
+        placeholder="Search by name, generic name or batch"
+        className="max-w-md"
+      />
+
+      <div className="space-y-3">
+        {shown.map((medicine) => (
+          <Card key={medicine.id} data-testid="archived-medicine">
+            <CardContent className="p-4 flex items-center justify-between gap-4">
+              <div>
+                <p className="font-semibold text-gray-900">
+                  {medicine.name}
+                  <span className="ml-2 text-sm font-normal text-gray-500">{medicine.generic_name}</span>
+                </p>
+                <p className="text-sm text-gray-600">
+                  Batch {medicine.batch_number} · {medicine.quantity} {medicine.unit}
+                  {medicine.archived_at && ` · Archived ${new Date(medicine.archived_at).toLocaleDateString()}`}
+                  {medicine.archived_by && ` by ${medicine.archived_by}`}
+                </p>
+              </div>
+              <div className="flex gap-2">
+                <Button variant="outline" size="sm" onClick={() => handleRestore(medicine)} data-testid="restore-medicine-button">
+                  <RotateCcw className="h-4 w-4 mr-2" />
+                  Restore
+                </Button>
+                {canPurge && (
+                  <Button
+                    variant="destructive"
+                    size="sm"
+                    onClick={() => handlePurge(medicine)}
+                    disabled={isControlled(medicine)}
+                    title={isControlled(medicine) ? 'Controlled substance records must be retained' : undefined}
+                    data-testid="purge-medicine-button"
+                  >
+                    <Trash2 className="h-4 w-4 mr-2" />
+                    Purge
+                  </Button>
+                )}
+              </div>
+            </CardContent>
+          </Card>
+        ))}
+
+        {shown.length === 0 && (
+          <div className="text-center py-12 text-gray-500">
+            <Archive className="h-12 w-12 mx-auto mb-4 text-gray-400" />
+            <p>{term ? 'No archived medicines match your search' : 'The archive is empty'}</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ArchivedMedicines;
@@ -2,12 +2,13 @@ import React, { useState, useRef, useEffect } from 'react';
 import { MessageCircle, X, Send } from 'lucide-react';
 import api from '../utils/api';
 import { isAuthenticated } from '../utils/auth';
+import { findEquivalents, findMedicineByName, parseAlternativesQuestion, describeEquivalents } from '../utils/equivalents';
 import { toast } from 'sonner';
 
 const ChatbotWidget = () => {
   const [isOpen, setIsOpen] = useState(false);
   const [messages, setMessages] = useState([
-    { role: 'bot', content: '👋 Hello! I\'m your Pharmacy Assistant. I can help you with:\n\n📦 Medicine information\n🔍 Inventory details\n📊 Basic queries\n\nAsk me anything! 😊' }
+    { role: 'bot', content: '👋 Hello! I\'m your Pharmacy Assistant. I can help you with:\n\n📦 Medicine information\n🔍 Inventory details\n🔄 Alternatives to a medicine\n📊 Basic queries\n\nAsk me anything! 😊' }
   ]);
   const [suggestions, setSuggestions] = useState([]);
   const [input, setInput] = useState('');
@@ -21,6 +22,20 @@ const ChatbotWidget = () => {
     }
   }, [messages]);
 
+  // Substitution questions are answered from live stock rather than the model;
+  // anything that can't be matched falls through to the assistant
+  const answerAlternatives = async (message) => {
+    const name = parseAlternativesQuestion(message);
+    if (!name) return null;
+    try {
+      const response = await api.get('/medicines');
+      const medicine = findMedicineByName(response.data, name);
+      return medicine ? describeEquivalents(medicine, findEquivalents(medicine, response.data)) : null;
+    } catch (error) {
+      return null;
+    }
+  };
+
   const handleSend = async () => {
     if (!input.trim() || loading) return;
     
@@ -35,6 +50,12 @@ const ChatbotWidget = () => {
     setLoading(true);
 
     try {
+      const answer = await answerAlternatives(userMessage);
+      if (answer) {
+        setMessages(prev => [...prev, { role: 'bot', content: answer }]);
+        return;
+      }
+
       const response = await api.post('/chat', {
         message: userMessage,
         session_id: sessionId
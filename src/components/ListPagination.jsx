@@ -0,0 +1,78 @@
+import React from 'react';
+import {
+  Pagination,
+  PaginationContent,
+  PaginationEllipsis,
+  PaginationItem,
+  PaginationLink,
+  PaginationNext,
+  PaginationPrevious
+} from './ui/pagination';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { getPageRange, PAGE_SIZE_OPTIONS } from '../utils/inventoryQuery';
+
+const ListPagination = ({ page, pageSize, total, onPageChange, onPageSizeChange }) => {
+  const totalPages = Math.max(1, Math.ceil(total / pageSize));
+  const first = total === 0 ? 0 : (page - 1) * pageSize + 1;
+  const last = Math.min(page * pageSize, total);
+
+  const goTo = (e, target) => {
+    e.preventDefault();
+    if (target >= 1 && target <= totalPages && target !== page) onPageChange(target);
+  };
+
+  return (
+    <div className="flex items-center justify-between" data-testid="list-pagination">
+      <div className="flex items-center gap-4">
+        <p className="text-sm text-gray-600 whitespace-nowrap">
+          Showing {first}–{last} of {total}
+        </p>
+        {onPageSizeChange && (
+          <Select value={String(pageSize)} onValueChange={(value) => onPageSizeChange(parseInt(value))}>
+            <SelectTrigger className="w-32">
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {PAGE_SIZE_OPTIONS.map((size) => (
+                <SelectItem key={size} value={String(size)}>{size} per page</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        )}
+      </div>
+      {totalPages > 1 && (
+        <Pagination className="mx-0 w-auto justify-end">
+          <PaginationContent>
+            <PaginationItem>
+              <PaginationPrevious
+                href="#"
+                onClick={(e) => goTo(e, page - 1)}
+                className={page === 1 ? 'pointer-events-none opacity-50' : ''}
+              />
+            </PaginationItem>
+            {getPageRange(page, totalPages).map((target, idx) => (
+              <PaginationItem key={target ?? `gap-${idx}`}>
+                {target === null ? (
+                  <PaginationEllipsis />
+                ) : (
+                  <PaginationLink href="#" isActive={target === page} onClick={(e) => goTo(e, target)}>
+                    {target}
+                  </PaginationLink>
+                )}
+              </PaginationItem>
+            ))}
+            <PaginationItem>
+              <PaginationNext
+                href="#"
+                onClick={(e) => goTo(e, page + 1)}
+                className={page === totalPages ? 'pointer-events-none opacity-50' : ''}
+              />
+            </PaginationItem>
+          </PaginationContent>
+        </Pagination>
+      )}
+    </div>
+  );
+};
+
+export default ListPagination;
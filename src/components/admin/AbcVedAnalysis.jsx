@@ -0,0 +1,315 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { ComposedChart, Bar, Line, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ReferenceLine, ResponsiveContainer } from 'recharts';
+import { Download, X } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Badge } from '../ui/badge';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '../ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { Collapsible, CollapsibleContent, CollapsibleTrigger } from '../ui/collapsible';
+import api from '../../utils/api';
+import { downloadCSV } from '../../utils/csv';
+import {
+  ABC_CLASSES,
+  VED_CLASSES,
+  ANALYSIS_PERIODS,
+  loadSettings,
+  saveSettings,
+  getConsumption,
+  classify,
+  buildMatrix,
+  getPolicy
+} from '../../utils/abcVed';
+import { toast } from 'sonner';
+
+const GROUP_COLORS = {
+  I: 'bg-red-50 border-red-200 hover:bg-red-100',
+  II: 'bg-yellow-50 border-yellow-200 hover:bg-yellow-100',
+  III: 'bg-green-50 border-green-200 hover:bg-green-100'
+};
+
+const formatMoney = (value) => `$${value.toFixed(2)}`;
+
+const AbcVedAnalysis = () => {
+  const [medicines, setMedicines] = useState([]);
+  const [movements, setMovements] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [settings, setSettings] = useState(loadSettings);
+  const [selectedCell, setSelectedCell] = useState(null);
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const fetchData = async () => {
+    try {
+      const [medicinesResponse, movementsResponse] = await Promise.all([
+        api.get('/medicines'),
+        api.get('/stock-movements')
+      ]);
+      setMedicines(medicinesResponse.data);
+      setMovements(movementsResponse.data);
+    } catch (error) {
+      toast.error('Failed to load consumption data');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateSettings = (patch) => {
+    const next = { ...settings, ...patch };
+    setSettings(next);
+    saveSettings(next);
+  };
+
+  const updateThreshold = (key, value) => {
+    const thresholds = { ...settings.thresholds, [key]: Number(value) };
+    if (!(thresholds.a > 0 && thresholds.a < thresholds.b && thresholds.b <= 100)) {
+      toast.error('Thresholds must satisfy 0 < A < B ≤ 100');
+      return;
+    }
+    updateSettings({ thresholds });
+  };
+
+  const rows = useMemo(() => {
+    const since = new Date(Date.now() - settings.periodDays * 24 * 60 * 60 * 1000);
+    return classify(getConsumption(medicines, movements, since), settings);
+  }, [medicines, movements, settings]);
+
+  const matrix = useMemo(() => buildMatrix(rows), [rows]);
+  const categories = useMemo(() => [...new Set(medicines.map((m) => m.category).filter(Boolean))].sort(), [medicines]);
+  const weeks = settings.periodDays / 7;
+
+  const shown = selectedCell ? rows.filter((row) => row.abc + row.ved === selectedCell) : rows;
+  const chartData = rows
+    .filter((row) => row.value > 0)
+    .map((row) => ({ name: row.medicine.name, value: Number(row.value.toFixed(2)), cumulative: Number(row.cumulativePercent.toFixed(1)) }));
+
+  const exportCSV = () => {
+    downloadCSV(
+      `abc-ved${selectedCell ? `-${selectedCell}` : ''}.csv`,
+      ['Rank', 'Medicine', 'Category', 'Units', 'Consumption Value', 'Cumulative %', 'ABC', 'VED', 'Group', 'Review', 'Safety Stock'],
+      shown.map((row) => [
+        row.rank,
+        row.medicine.name,
+        row.medicine.category,
+        row.units,
+        row.value.toFixed(2),
+        row.cumulativePercent.toFixed(1),
+        row.abc,
+        row.ved,
+        row.policy.group,
+        row.policy.review,
+        Math.ceil((row.units / weeks) * row.policy.safetyStockWeeks)
+      ])
+    );
+  };
+
+  return (
+    <Card className="md:col-span-2" data-testid="abc-ved-analysis">
+      <CardHeader>
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <CardTitle>ABC / VED Analysis</CardTitle>
+            <CardDescription>Consumption value against clinical criticality, with stocking policy per class</CardDescription>
+          </div>
+          <Button variant="outline" size="sm" onClick={exportCSV} disabled={loading}>
+            <Download className="h-4 w-4 mr-2" />
+            CSV
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <Label>Period</Label>
+            <Select
+              value={String(settings.periodDays)}
+              onValueChange={(value) => updateSettings({ periodDays: Number(value) })}
+            >
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(ANALYSIS_PERIODS).map(([value, label]) => (
+                  <SelectItem key={value} value={value}>{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div>
+            <Label>Class A up to (% of value)</Label>
+            <Input
+              type="number"
+              min="1"
+              max="99"
+              defaultValue={settings.thresholds.a}
+              onBlur={(e) => updateThreshold('a', e.target.value)}
+            />
+          </div>
+          <div>
+            <Label>Class B up to (% of value)</Label>
+            <Input
+              type="number"
+              min="2"
+              max="100"
+              defaultValue={settings.thresholds.b}
+              onBlur={(e) => updateThreshold('b', e.target.value)}
+            />
+          </div>
+        </div>
+
+        <Collapsible>
+          <CollapsibleTrigger asChild>
+            <Button variant="link" className="px-0">VED class by category</Button>
+          </CollapsibleTrigger>
+          <CollapsibleContent>
+            <p className="text-xs text-gray-500 mb-2">Medicines with their own VED class keep it; the rest default to Essential.</p>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+              {categories.map((category) => (
+                <div key={category}>
+                  <Label className="text-xs">{category}</Label>
+                  <Select
+                    value={settings.categoryVed[category] || 'E'}
+                    onValueChange={(value) =>
+                      updateSettings({ categoryVed: { ...settings.categoryVed, [category]: value } })
+                    }
+                  >
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {Object.entries(VED_CLASSES).map(([value, label]) => (
+                        <SelectItem key={value} value={value}>{label}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              ))}
+            </div>
+          </CollapsibleContent>
+        </Collapsible>
+
+        {loading ? (
+          <div className="text-center py-6 text-gray-500">Loading...</div>
+        ) : (
+          <>
+            <div>
+              <h4 className="font-semibold text-sm mb-2">Pareto curve</h4>
+              <ResponsiveContainer width="100%" height={280}>
+                <ComposedChart data={chartData}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="name" tick={false} />
+                  <YAxis yAxisId="value" />
+                  <YAxis yAxisId="percent" orientation="right" domain={[0, 100]} unit="%" />
+                  <Tooltip />
+                  <Legend />
+                  <Bar yAxisId="value" dataKey="value" name="Consumption value" fill="#3b82f6" />
+                  <Line yAxisId="percent" type="monotone" dataKey="cumulative" name="Cumulative %" stroke="#ef4444" dot={false} />
+                  <ReferenceLine yAxisId="percent" y={settings.thresholds.a} stroke="#6b7280" strokeDasharray="4 4" label="A" />
+                  <ReferenceLine yAxisId="percent" y={settings.thresholds.b} stroke="#6b7280" strokeDasharray="4 4" label="B" />
+                </ComposedChart>
+              </ResponsiveContainer>
+            </div>
+
+            <div>
+              <h4 className="font-semibold text-sm mb-2">Matrix</h4>
+              <table className="w-full text-sm border-separate border-spacing-2">
+                <thead>
+                  <tr>
+                    <th />
+                    {Object.entries(VED_CLASSES).map(([ved, label]) => (
+                      <th key={ved} className="font-semibold text-gray-700">{label} ({ved})</th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {ABC_CLASSES.map((abc) => (
+                    <tr key={abc}>
+                      <th className="font-semibold text-gray-700 text-left">Class {abc}</th>
+                      {Object.keys(VED_CLASSES).map((ved) => {
+                        const cell = matrix[abc + ved];
+                        const policy = getPolicy(abc, ved);
+                        return (
+                          <td key={ved}>
+                            <button
+                              type="button"
+                              onClick={() => setSelectedCell(selectedCell === abc + ved ? null : abc + ved)}
+                              className={`w-full text-left border rounded-lg p-3 ${GROUP_COLORS[policy.group]} ${
+                                selectedCell === abc + ved ? 'ring-2 ring-blue-500' : ''
+                              }`}
+                              data-testid={`matrix-cell-${abc}${ved}`}
+                            >
+                              <div className="flex items-center justify-between">
+                                <span className="font-semibold">{abc}{ved}</span>
+                                <Badge variant="outline">Group {policy.group}</Badge>
+                              </div>
+                              <p className="mt-1">{cell.items} items · {formatMoney(cell.value)}</p>
+                              <p className="text-xs text-gray-600">
+                                Review {policy.review.toLowerCase()} · {policy.safetyStockWeeks} wk safety stock
+                              </p>
+                            </button>
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div>
+              <div className="flex items-center justify-between mb-2">
+                <h4 className="font-semibold text-sm">
+                  {selectedCell ? `${selectedCell} medicines` : 'All medicines'} ({shown.length})
+                </h4>
+                {selectedCell && (
+                  <Button variant="ghost" size="sm" onClick={() => setSelectedCell(null)}>
+                    <X className="h-4 w-4 mr-1" />
+                    Clear
+                  </Button>
+                )}
+              </div>
+              <div className="overflow-x-auto max-h-96">
+                <table className="w-full text-sm">
+                  <thead className="bg-gray-50 sticky top-0">
+                    <tr>
+                      <th className="text-left py-2 px-2 font-semibold text-gray-700">#</th>
+                      <th className="text-left py-2 px-2 font-semibold text-gray-700">Medicine</th>
+                      <th className="text-right py-2 px-2 font-semibold text-gray-700">Units</th>
+                      <th className="text-right py-2 px-2 font-semibold text-gray-700">Value</th>
+                      <th className="text-right py-2 px-2 font-semibold text-gray-700">Cum. %</th>
+                      <th className="text-left py-2 px-2 font-semibold text-gray-700">Class</th>
+                      <th className="text-right py-2 px-2 font-semibold text-gray-700">Suggested Safety Stock</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {shown.map((row) => (
+                      <tr key={row.medicine.id} className="border-t border-gray-100">
+                        <td className="py-2 px-2 text-gray-500">{row.rank}</td>
+                        <td className="py-2 px-2">
+                          {row.medicine.name}
+                          <span className="block text-xs text-gray-500">{row.medicine.category}</span>
+                        </td>
+                        <td className="py-2 px-2 text-right">{row.units}</td>
+                        <td className="py-2 px-2 text-right">{formatMoney(row.value)}</td>
+                        <td className="py-2 px-2 text-right">{row.cumulativePercent.toFixed(1)}%</td>
+                        <td className="py-2 px-2">{row.abc}{row.ved}</td>
+                        <td className="py-2 px-2 text-right">
+                          {Math.ceil((row.units / weeks) * row.policy.safetyStockWeeks)} {row.medicine.unit}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default AbcVedAnalysis;
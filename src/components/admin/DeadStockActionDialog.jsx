@@ -0,0 +1,199 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Textarea } from '../ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '../ui/dialog';
+import api from '../../utils/api';
+import { getTotalQuantity } from '../../utils/batches';
+import { DEAD_STOCK_ACTIONS } from '../../utils/deadStock';
+import { getAvailableBatches } from '../../utils/holds';
+import { isControlled } from '../../utils/controlled';
+import { MOVEMENT_TYPES } from '../../utils/stockMovements';
+import { getKnownLocations } from '../../utils/transfers';
+import { toast } from 'sonner';
+
+// Held stock stays where it is; only what could be dispensed is moved
+const getMovableBatches = (medicine) => getAvailableBatches(medicine).filter((batch) => batch.quantity > 0);
+
+// One movement per batch, carrying the running product total between them
+const returnToSupplier = async (medicine, reasonCode, notes) => {
+  let quantityBefore = getTotalQuantity(medicine);
+  for (const batch of getMovableBatches(medicine)) {
+    await api.post('/stock-movements', {
+      medicine_id: medicine.id,
+      movement_type: 'supplier_return',
+      reason_code: reasonCode,
+      quantity: batch.quantity,
+      batch_number: batch.batch_number,
+      quantity_before: quantityBefore,
+      quantity_after: quantityBefore - batch.quantity,
+      supplier_name: medicine.supplier,
+      notes
+    });
+    quantityBefore -= batch.quantity;
+  }
+};
+
+// Transfers run from a single source, so items are grouped by where each batch sits
+const buildTransfers = (medicines, destination) => {
+  const bySource = {};
+  medicines.forEach((medicine) => {
+    getMovableBatches(medicine).forEach((batch) => {
+      const location = batch.location || medicine.location;
+      if (location === destination) return;
+      bySource[location] = bySource[location] || [];
+      bySource[location].push({
+        medicine_id: medicine.id,
+        medicine_name: medicine.name,
+        unit: medicine.unit,
+        is_controlled: isControlled(medicine),
+        batch_number: batch.batch_number,
+        quantity: batch.quantity
+      });
+    });
+  });
+  return Object.entries(bySource).map(([fromLocation, items]) => ({ from_location: fromLocation, items }));
+};
+
+const DeadStockActionDialog = ({ open, onOpenChange, action, medicines, allMedicines, onDone }) => {
+  const [reasonCode, setReasonCode] = useState('SLOW_MOVING');
+  const [destination, setDestination] = useState('');
+  const [notes, setNotes] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setReasonCode('SLOW_MOVING');
+    setDestination('');
+    setNotes('');
+  }, [open]);
+
+  if (!action) return null;
+
+  const locations = getKnownLocations(allMedicines);
+  // Controlled returns need a witness, so they go through Adjust Stock one at a time
+  const skipped = action === 'return' ? medicines.filter(isControlled) : [];
+  const targets = medicines.filter((medicine) => !skipped.includes(medicine));
+
+  const runAction = async () => {
+    if (action === 'return') {
+      return Promise.allSettled(targets.map((medicine) => returnToSupplier(medicine, reasonCode, notes)));
+    }
+    if (action === 'transfer') {
+      return Promise.allSettled(
+        buildTransfers(targets, destination.trim()).map((transfer) =>
+          api.post('/transfers', { ...transfer, to_location: destination.trim(), notes })
+        )
+      );
+    }
+    return Promise.allSettled(
+      targets.map((medicine) => api.patch(`/medicines/${medicine.id}`, { clearance: true, clearance_notes: notes }))
+    );
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (action === 'transfer' && !destination.trim()) {
+      toast.error('Choose where the stock is moving to');
+      return;
+    }
+    if (targets.length === 0) {
+      toast.error('Nothing to process');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const results = await runAction();
+      const failed = results.filter((result) => result.status === 'rejected');
+      if (failed.length > 0) {
+        toast.error(failed[0].reason?.response?.data?.detail || `${failed.length} of ${results.length} failed`);
+      } else {
+        toast.success(`${DEAD_STOCK_ACTIONS[action].title}: ${results.length} done`);
+      }
+      onOpenChange(false);
+      onDone();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle>{DEAD_STOCK_ACTIONS[action].title}</DialogTitle>
+          <DialogDescription>{DEAD_STOCK_ACTIONS[action].description}</DialogDescription>
+        </DialogHeader>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <ul className="text-sm max-h-40 overflow-y-auto border rounded-md divide-y">
+            {targets.map((medicine) => (
+              <li key={medicine.id} className="px-3 py-2 flex justify-between">
+                <span>{medicine.name}</span>
+                <span className="text-gray-500">{medicine.supplier || medicine.location}</span>
+              </li>
+            ))}
+          </ul>
+          {skipped.length > 0 && (
+            <p className="text-sm text-amber-700">
+              Skipping {skipped.map((medicine) => medicine.name).join(', ')}: controlled returns need a witness, use Adjust Stock.
+            </p>
+          )}
+
+          {action === 'return' && (
+            <div>
+              <Label>Reason</Label>
+              <Select value={reasonCode} onValueChange={setReasonCode}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(MOVEMENT_TYPES.supplier_return.reasons).map(([code, label]) => (
+                    <SelectItem key={code} value={code}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+
+          {action === 'transfer' && (
+            <div>
+              <Label>To</Label>
+              <Input
+                value={destination}
+                onChange={(e) => setDestination(e.target.value)}
+                list="dead-stock-locations"
+                placeholder="Existing or new location"
+                required
+              />
+              <datalist id="dead-stock-locations">
+                {locations.map((location) => (
+                  <option key={location} value={location} />
+                ))}
+              </datalist>
+            </div>
+          )}
+
+          <div>
+            <Label>Notes</Label>
+            <Textarea value={notes} onChange={(e) => setNotes(e.target.value)} rows={2} />
+          </div>
+
+          <div className="flex gap-2 justify-end">
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" className="bg-blue-600 hover:bg-blue-700" disabled={saving}>
+              {saving ? 'Working...' : DEAD_STOCK_ACTIONS[action].title}
+            </Button>
+          </div>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default DeadStockActionDialog;
@@ -0,0 +1,266 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { Download, PackageX, Undo2, ArrowRightLeft, Tag } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Badge } from '../ui/badge';
+import { Checkbox } from '../ui/checkbox';
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import DeadStockActionDialog from './DeadStockActionDialog';
+import api from '../../utils/api';
+import { downloadCSV } from '../../utils/csv';
+import { IDLE_BASES, DEFAULT_IDLE_WINDOWS, IDLE_STATUSES, findIdleStock } from '../../utils/deadStock';
+import { toast } from 'sonner';
+
+const formatMoney = (value) => `$${value.toFixed(2)}`;
+
+const DeadStockReport = () => {
+  const [medicines, setMedicines] = useState([]);
+  const [movements, setMovements] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [windows, setWindows] = useState(DEFAULT_IDLE_WINDOWS);
+  const [basis, setBasis] = useState('dispensing');
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [action, setAction] = useState(null);
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const fetchData = async () => {
+    try {
+      const [medicinesResponse, movementsResponse] = await Promise.all([
+        api.get('/medicines'),
+        api.get('/stock-movements')
+      ]);
+      setMedicines(medicinesResponse.data);
+      setMovements(movementsResponse.data);
+    } catch (error) {
+      toast.error('Failed to load stock history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateWindow = (key, value) => {
+    const next = { ...windows, [key]: parseInt(value) };
+    if (!(next.slow > 0 && next.slow < next.dead)) {
+      toast.error('The non-moving window must be longer than the slow-moving one');
+      return;
+    }
+    setWindows(next);
+  };
+
+  const rows = useMemo(
+    () => findIdleStock(medicines, movements, { ...windows, basis }),
+    [medicines, movements, windows, basis]
+  );
+
+  const totals = rows.reduce(
+    (sum, row) => ({ ...sum, [row.status]: sum[row.status] + 1, capital: sum.capital + row.capital }),
+    { slow: 0, dead: 0, capital: 0 }
+  );
+  const visibleIds = rows.map((row) => row.medicine.id);
+  const selected = rows.filter((row) => selectedIds.includes(row.medicine.id));
+  const allSelected = rows.length > 0 && selected.length === rows.length;
+
+  const toggleSelected = (id, checked) => {
+    setSelectedIds(checked ? [...selectedIds, id] : selectedIds.filter((selectedId) => selectedId !== id));
+  };
+
+  const handleDone = () => {
+    setSelectedIds([]);
+    fetchData();
+  };
+
+  const exportCSV = () => {
+    downloadCSV(
+      'idle-stock.csv',
+      ['Medicine', 'Category', 'Supplier', 'Location', 'Status', 'Last Activity', 'Idle Days', 'Available', 'Unit Price', 'Tied-up Capital'],
+      rows.map((row) => [
+        row.medicine.name,
+        row.medicine.category,
+        row.medicine.supplier,
+        row.medicine.location,
+        IDLE_STATUSES[row.status].label,
+        row.lastActivity ? row.lastActivity.toLocaleDateString() : '',
+        Number.isFinite(row.idleDays) ? row.idleDays : '',
+        row.quantity,
+        row.medicine.unit_price,
+        row.capital.toFixed(2)
+      ])
+    );
+  };
+
+  if (loading) {
+    return <div className="text-center py-12">Loading...</div>;
+  }
+
+  return (
+    <div className="space-y-6" data-testid="dead-stock-report">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Slow &amp; Non-Moving Stock</h1>
+          <p className="text-gray-600 mt-2">Medicines that haven&apos;t moved, and the capital they tie up</p>
+        </div>
+        <Button variant="outline" onClick={exportCSV}>
+          <Download className="h-4 w-4 mr-2" />
+          Export CSV
+        </Button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        <Card>
+          <CardHeader className="pb-2">
+            <CardTitle className="text-sm font-medium text-gray-600">Slow-moving</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className="text-3xl font-bold text-yellow-600">{totals.slow}</div>
+          </CardContent>
+        </Card>
+        <Card>
+          <CardHeader className="pb-2">
+            <CardTitle className="text-sm font-medium text-gray-600">Non-moving</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className="text-3xl font-bold text-red-600">{totals.dead}</div>
+          </CardContent>
+        </Card>
+        <Card>
+          <CardHeader className="pb-2">
+            <CardTitle className="text-sm font-medium text-gray-600">Tied-up Capital</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className="text-3xl font-bold text-gray-900">{formatMoney(totals.capital)}</div>
+          </CardContent>
+        </Card>
+      </div>
+
+      <Card>
+        <CardContent className="p-4 grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <Label>Activity Based On</Label>
+            <Select value={basis} onValueChange={setBasis}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(IDLE_BASES).map(([value, label]) => (
+                  <SelectItem key={value} value={value}>{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div>
+            <Label>Slow-moving After (days)</Label>
+            <Input
+              type="number"
+              min="1"
+              defaultValue={windows.slow}
+              onBlur={(e) => updateWindow('slow', e.target.value)}
+            />
+          </div>
+          <div>
+            <Label>Non-moving After (days)</Label>
+            <Input
+              type="number"
+              min="2"
+              defaultValue={windows.dead}
+              onBlur={(e) => updateWindow('dead', e.target.value)}
+            />
+          </div>
+        </CardContent>
+      </Card>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-sm text-gray-600 mr-2">{selected.length} selected</span>
+        <Button variant="outline" size="sm" disabled={selected.length === 0} onClick={() => setAction('return')}>
+          <Undo2 className="h-4 w-4 mr-2" />
+          Return to Supplier
+        </Button>
+        <Button variant="outline" size="sm" disabled={selected.length === 0} onClick={() => setAction('transfer')}>
+          <ArrowRightLeft className="h-4 w-4 mr-2" />
+          Transfer
+        </Button>
+        <Button variant="outline" size="sm" disabled={selected.length === 0} onClick={() => setAction('clearance')}>
+          <Tag className="h-4 w-4 mr-2" />
+          Mark for Clearance
+        </Button>
+      </div>
+
+      {rows.length === 0 ? (
+        <div className="text-center py-12 text-gray-500">
+          <PackageX className="h-12 w-12 mx-auto mb-4 text-gray-400" />
+          <p>Everything in stock has moved within the last {windows.slow} days</p>
+        </div>
+      ) : (
+        <Card>
+          <CardContent className="p-0 overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="py-3 px-4 w-10">
+                    <Checkbox
+                      checked={allSelected}
+                      onCheckedChange={(checked) => setSelectedIds(checked === true ? visibleIds : [])}
+                      aria-label="Select all"
+                    />
+                  </th>
+                  <th className="text-left py-3 px-4 font-semibold text-gray-700">Medicine</th>
+                  <th className="text-left py-3 px-4 font-semibold text-gray-700">Status</th>
+                  <th className="text-left py-3 px-4 font-semibold text-gray-700">Last Activity</th>
+                  <th className="text-right py-3 px-4 font-semibold text-gray-700">Available</th>
+                  <th className="text-right py-3 px-4 font-semibold text-gray-700">Tied-up Capital</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => (
+                  <tr key={row.medicine.id} className="border-t border-gray-100" data-testid="idle-stock-row">
+                    <td className="py-3 px-4">
+                      <Checkbox
+                        checked={selectedIds.includes(row.medicine.id)}
+                        onCheckedChange={(checked) => toggleSelected(row.medicine.id, checked === true)}
+                        aria-label={`Select ${row.medicine.name}`}
+                      />
+                    </td>
+                    <td className="py-3 px-4">
+                      <p className="font-medium text-gray-900">{row.medicine.name}</p>
+                      <p className="text-xs text-gray-500">
+                        {row.medicine.category} · {row.medicine.supplier || 'No supplier'} · {row.medicine.location}
+                      </p>
+                    </td>
+                    <td className="py-3 px-4">
+                      <Badge className={IDLE_STATUSES[row.status].className}>{IDLE_STATUSES[row.status].label}</Badge>
+                      {row.medicine.clearance && (
+                        <Badge className="ml-1 bg-orange-100 text-orange-800">Clearance</Badge>
+                      )}
+                    </td>
+                    <td className="py-3 px-4 text-gray-600">
+                      {row.lastActivity
+                        ? `${row.lastActivity.toLocaleDateString()} (${row.idleDays} days)`
+                        : 'Never'}
+                    </td>
+                    <td className="py-3 px-4 text-right">{row.quantity} {row.medicine.unit}</td>
+                    <td className="py-3 px-4 text-right font-medium">{formatMoney(row.capital)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </CardContent>
+        </Card>
+      )}
+
+      <DeadStockActionDialog
+        open={!!action}
+        onOpenChange={(open) => !open && setAction(null)}
+        action={action}
+        medicines={selected.map((row) => row.medicine)}
+        allMedicines={medicines}
+        onDone={handleDone}
+      />
+    </div>
+  );
+};
+
+export default DeadStockReport;
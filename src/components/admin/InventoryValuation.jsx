@@ -0,0 +1,181 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { createPortal, flushSync } from 'react-dom';
+import { Download, Printer } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '../ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import api from '../../utils/api';
+import { downloadCSV } from '../../utils/csv';
+import { todayISO } from '../../utils/dates';
+import { COSTING_METHODS, VALUATION_GROUPS, buildValuation, groupValuation } from '../../utils/valuation';
+import { toast } from 'sonner';
+
+const formatMoney = (value) => `$${value.toFixed(2)}`;
+
+const ValuationTable = ({ groups, total, groupLabel }) => (
+  <table className="w-full text-sm border-collapse">
+    <thead>
+      <tr className="border-b border-gray-300">
+        <th className="text-left py-2 px-2 font-semibold text-gray-700">{groupLabel}</th>
+        <th className="text-right py-2 px-2 font-semibold text-gray-700">Items</th>
+        <th className="text-right py-2 px-2 font-semibold text-gray-700">Units</th>
+        <th className="text-right py-2 px-2 font-semibold text-gray-700">Value</th>
+        <th className="text-right py-2 px-2 font-semibold text-gray-700">Share</th>
+      </tr>
+    </thead>
+    <tbody>
+      {groups.map((group) => (
+        <tr key={group.key} className="border-b border-gray-100">
+          <td className="py-2 px-2">{group.key}</td>
+          <td className="py-2 px-2 text-right">{group.items}</td>
+          <td className="py-2 px-2 text-right">{Math.round(group.quantity)}</td>
+          <td className="py-2 px-2 text-right font-medium">{formatMoney(group.value)}</td>
+          <td className="py-2 px-2 text-right text-gray-600">
+            {total > 0 ? `${((group.value / total) * 100).toFixed(1)}%` : '—'}
+          </td>
+        </tr>
+      ))}
+      <tr className="font-semibold">
+        <td className="py-2 px-2">Total</td>
+        <td colSpan={2} />
+        <td className="py-2 px-2 text-right">{formatMoney(total)}</td>
+        <td />
+      </tr>
+    </tbody>
+  </table>
+);
+
+const InventoryValuation = () => {
+  const [medicines, setMedicines] = useState([]);
+  const [movements, setMovements] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [method, setMethod] = useState('fifo');
+  const [groupBy, setGroupBy] = useState('category');
+  const [asOfDate, setAsOfDate] = useState(todayISO);
+  const [printing, setPrinting] = useState(false);
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const fetchData = async () => {
+    try {
+      const [medicinesResponse, movementsResponse] = await Promise.all([
+        api.get('/medicines'),
+        api.get('/stock-movements')
+      ]);
+      setMedicines(medicinesResponse.data);
+      setMovements(movementsResponse.data);
+    } catch (error) {
+      toast.error('Failed to load valuation data');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const { groups, total } = useMemo(() => {
+    const asOf = new Date(`${asOfDate}T23:59:59.999`);
+    const grouped = groupValuation(buildValuation(medicines, movements, method, asOf), groupBy);
+    return { groups: grouped, total: grouped.reduce((sum, group) => sum + group.value, 0) };
+  }, [medicines, movements, method, groupBy, asOfDate]);
+
+  const asOfLabel = new Date(`${asOfDate}T00:00`).toLocaleDateString();
+  const title = `By ${VALUATION_GROUPS[groupBy].toLowerCase()} · ${COSTING_METHODS[method]} · as of ${asOfLabel}`;
+
+  const exportCSV = () => {
+    downloadCSV(
+      `valuation-${groupBy}-${method}-${asOfDate}.csv`,
+      [VALUATION_GROUPS[groupBy], 'Items', 'Units', 'Value'],
+      groups.map((group) => [group.key, group.items, Math.round(group.quantity), group.value.toFixed(2)])
+    );
+  };
+
+  // The sheet is only mounted while printing so other reports' print areas don't mix in
+  const exportPDF = () => {
+    flushSync(() => setPrinting(true));
+    window.print();
+    setPrinting(false);
+  };
+
+  return (
+    <Card className="md:col-span-2" data-testid="inventory-valuation">
+      <CardHeader>
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <CardTitle>Inventory Valuation</CardTitle>
+            <CardDescription>Stock value by costing method at any date</CardDescription>
+          </div>
+          <div className="flex gap-2">
+            <Button variant="outline" size="sm" onClick={exportCSV} disabled={loading}>
+              <Download className="h-4 w-4 mr-2" />
+              CSV
+            </Button>
+            <Button variant="outline" size="sm" onClick={exportPDF} disabled={loading}>
+              <Printer className="h-4 w-4 mr-2" />
+              PDF
+            </Button>
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <Label>Costing Method</Label>
+            <Select value={method} onValueChange={setMethod}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(COSTING_METHODS).map(([value, label]) => (
+                  <SelectItem key={value} value={value}>{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div>
+            <Label>Group By</Label>
+            <Select value={groupBy} onValueChange={setGroupBy}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(VALUATION_GROUPS).map(([value, label]) => (
+                  <SelectItem key={value} value={value}>{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div>
+            <Label>As Of</Label>
+            <Input
+              type="date"
+              value={asOfDate}
+              max={todayISO()}
+              onChange={(e) => setAsOfDate(e.target.value || todayISO())}
+            />
+          </div>
+        </div>
+
+        {loading ? (
+          <div className="text-center py-6 text-gray-500">Loading...</div>
+        ) : (
+          <ValuationTable groups={groups} total={total} groupLabel={VALUATION_GROUPS[groupBy]} />
+        )}
+      </CardContent>
+
+      {printing && createPortal(
+        <div className="print-area p-4 text-black">
+          <style>{'@page { size: A4 portrait; margin: 15mm; }'}</style>
+          <h1 className="text-xl font-bold">Inventory Valuation</h1>
+          <p className="text-sm mb-4">{title} · printed {new Date().toLocaleString()}</p>
+          <ValuationTable groups={groups} total={total} groupLabel={VALUATION_GROUPS[groupBy]} />
+        </div>,
+        document.body
+      )}
+    </Card>
+  );
+};
+
+export default InventoryValuation;
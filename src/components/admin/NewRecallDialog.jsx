@@ -0,0 +1,246 @@
+import React, { useState, useEffect } from 'react';
+import { Search } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Badge } from '../ui/badge';
+import { Textarea } from '../ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '../ui/dialog';
+import api from '../../utils/api';
+import {
+  RECALL_CLASSES,
+  parseBatchList,
+  findRecalledProducts,
+  findRecalledStock,
+  findAffectedPrescriptions,
+  buildRecallTasks
+} from '../../utils/recalls';
+import { toast } from 'sonner';
+
+const emptyRecall = {
+  manufacturer: '',
+  product: '',
+  batches: '',
+  recall_class: 'II',
+  reference: '',
+  reason: ''
+};
+
+const NewRecallDialog = ({ open, onOpenChange, onCreated }) => {
+  const [form, setForm] = useState(emptyRecall);
+  const [matches, setMatches] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setForm(emptyRecall);
+      setMatches(null);
+    }
+  }, [open]);
+
+  const update = (field, value) => {
+    setForm({ ...form, [field]: value });
+    setMatches(null);
+  };
+
+  const toRecall = () => ({
+    manufacturer: form.manufacturer.trim(),
+    product: form.product.trim(),
+    batch_numbers: parseBatchList(form.batches),
+    recall_class: form.recall_class,
+    reference: form.reference.trim(),
+    reason: form.reason.trim()
+  });
+
+  const handleFindMatches = async (e) => {
+    e.preventDefault();
+    const recall = toRecall();
+    if (recall.batch_numbers.length === 0) {
+      toast.error('Enter at least one batch number');
+      return;
+    }
+
+    setSearching(true);
+    try {
+      const [medicinesResponse, prescriptionsResponse] = await Promise.all([
+        api.get('/medicines'),
+        api.get('/prescriptions')
+      ]);
+      const products = findRecalledProducts(medicinesResponse.data, recall);
+      setMatches({
+        stock: findRecalledStock(medicinesResponse.data, recall),
+        prescriptions: findAffectedPrescriptions(prescriptionsResponse.data, products, recall)
+      });
+    } catch (error) {
+      toast.error('Failed to search stock and prescriptions');
+    } finally {
+      setSearching(false);
+    }
+  };
+
+  // Creates the recall, then places every matched batch on hold
+  const handleCreate = async () => {
+    const recall = toRecall();
+    setSaving(true);
+    try {
+      const response = await api.post('/recalls', {
+        ...recall,
+        affected_stock: matches.stock.map(({ medicine, batch }) => ({
+          medicine_id: medicine.id,
+          medicine_name: medicine.name,
+          batch_number: batch.batch_number,
+          quantity: batch.quantity,
+          location: batch.location || medicine.location
+        })),
+        affected_prescription_ids: matches.prescriptions.map(({ prescription }) => prescription.id),
+        tasks: buildRecallTasks(matches.stock, matches.prescriptions)
+      });
+
+      const holds = await Promise.allSettled(
+        matches.stock.map(({ medicine, batch }) =>
+          api.post(`/medicines/${medicine.id}/hold`, {
+            reason: 'recalled',
+            batch_number: batch.batch_number,
+            quantity: batch.quantity,
+            recall_id: response.data.id,
+            notes: `Recall ${recall.reference || response.data.id}`
+          })
+        )
+      );
+      const failed = holds.filter((result) => result.status === 'rejected').length;
+      if (failed > 0) {
+        toast.error(`Recall created but ${failed} batch${failed === 1 ? '' : 'es'} could not be quarantined`);
+      } else {
+        toast.success(`Recall created, ${matches.stock.length} batch${matches.stock.length === 1 ? '' : 'es'} quarantined`);
+      }
+      onOpenChange(false);
+      onCreated();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to create recall');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>New Recall</DialogTitle>
+          <DialogDescription>Enter the details from the manufacturer's recall notice</DialogDescription>
+        </DialogHeader>
+
+        <form onSubmit={handleFindMatches} className="space-y-4">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <Label>Manufacturer</Label>
+              <Input value={form.manufacturer} onChange={(e) => update('manufacturer', e.target.value)} required />
+            </div>
+            <div>
+              <Label>Product</Label>
+              <Input
+                value={form.product}
+                onChange={(e) => update('product', e.target.value)}
+                placeholder="Brand or generic name"
+                required
+              />
+            </div>
+            <div>
+              <Label>Recall Class</Label>
+              <Select value={form.recall_class} onValueChange={(value) => update('recall_class', value)}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(RECALL_CLASSES).map(([value, label]) => (
+                    <SelectItem key={value} value={value}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div>
+              <Label>Notice Reference</Label>
+              <Input value={form.reference} onChange={(e) => update('reference', e.target.value)} />
+            </div>
+          </div>
+          <div>
+            <Label>Batch Numbers</Label>
+            <Textarea
+              value={form.batches}
+              onChange={(e) => update('batches', e.target.value)}
+              placeholder="One per line, or separated by commas"
+              rows={3}
+              required
+            />
+          </div>
+          <div>
+            <Label>Reason</Label>
+            <Textarea value={form.reason} onChange={(e) => update('reason', e.target.value)} rows={2} />
+          </div>
+          <Button type="submit" variant="outline" disabled={searching}>
+            <Search className="h-4 w-4 mr-2" />
+            {searching ? 'Searching...' : 'Find Affected Stock'}
+          </Button>
+        </form>
+
+        {matches && (
+          <div className="space-y-4">
+            <div>
+              <h3 className="font-semibold mb-2">Stock to quarantine ({matches.stock.length})</h3>
+              {matches.stock.length === 0 ? (
+                <p className="text-sm text-gray-500">No matching batches in stock</p>
+              ) : (
+                <div className="space-y-1 text-sm">
+                  {matches.stock.map(({ medicine, batch }) => (
+                    <div key={`${medicine.id}-${batch.batch_number}`} className="flex justify-between bg-red-50 p-2 rounded">
+                      <span>
+                        <span className="font-medium">{medicine.name}</span> · Batch {batch.batch_number}
+                      </span>
+                      <span>{batch.quantity} {medicine.unit} at {batch.location || medicine.location}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+            <div>
+              <h3 className="font-semibold mb-2">Dispensed prescriptions ({matches.prescriptions.length})</h3>
+              {matches.prescriptions.length === 0 ? (
+                <p className="text-sm text-gray-500">No dispensed prescriptions affected</p>
+              ) : (
+                <div className="space-y-1 text-sm">
+                  {matches.prescriptions.map(({ prescription, certainty }) => (
+                    <div key={prescription.id} className="flex justify-between bg-orange-50 p-2 rounded">
+                      <span>
+                        <span className="font-medium">{prescription.patient_name}</span> · {prescription.patient_id}
+                      </span>
+                      <Badge className={certainty === 'confirmed' ? 'bg-red-100 text-red-800' : 'bg-gray-100 text-gray-800'}>
+                        {certainty}
+                      </Badge>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+            <div className="flex gap-2 justify-end">
+              <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+                Cancel
+              </Button>
+              <Button
+                onClick={handleCreate}
+                className="bg-red-600 hover:bg-red-700"
+                disabled={saving}
+                data-testid="create-recall-button"
+              >
+                {saving ? 'Creating...' : 'Create Recall & Quarantine'}
+              </Button>
+            </div>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default NewRecallDialog;
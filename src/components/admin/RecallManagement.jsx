@@ -0,0 +1,161 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, ShieldAlert, ChevronDown, ChevronRight, CheckCircle2, Circle } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Badge } from '../ui/badge';
+import { Progress } from '../ui/progress';
+import { Card, CardContent } from '../ui/card';
+import NewRecallDialog from './NewRecallDialog';
+import api from '../../utils/api';
+import { RECALL_STATUSES, getRecallProgress } from '../../utils/recalls';
+import { toast } from 'sonner';
+
+const RecallManagement = () => {
+  const [recalls, setRecalls] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showNewDialog, setShowNewDialog] = useState(false);
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => {
+    fetchRecalls();
+  }, []);
+
+  const fetchRecalls = async () => {
+    try {
+      const response = await api.get('/recalls');
+      setRecalls(response.data);
+    } catch (error) {
+      toast.error('Failed to load recalls');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const closeRecall = async (recall) => {
+    if (!window.confirm('Close this recall? Outstanding tasks will remain unticked.')) return;
+    try {
+      await api.patch(`/recalls/${recall.id}`, { status: 'completed' });
+      toast.success('Recall closed');
+      fetchRecalls();
+    } catch (error) {
+      toast.error('Failed to close recall');
+    }
+  };
+
+  if (loading) {
+    return <div className="text-center py-12">Loading...</div>;
+  }
+
+  return (
+    <div className="space-y-6" data-testid="recall-management">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Product Recalls</h1>
+          <p className="text-gray-600 mt-2">Quarantine recalled batches and track follow-up</p>
+        </div>
+        <Button
+          onClick={() => setShowNewDialog(true)}
+          className="bg-red-600 hover:bg-red-700"
+          data-testid="new-recall-button"
+        >
+          <Plus className="h-4 w-4 mr-2" />
+          New Recall
+        </Button>
+      </div>
+
+      <NewRecallDialog open={showNewDialog} onOpenChange={setShowNewDialog} onCreated={fetchRecalls} />
+
+      <div className="space-y-3">
+        {recalls.map((recall) => {
+          const progress = getRecallProgress(recall);
+          const status = RECALL_STATUSES[progress.status];
+          const expanded = expandedId === recall.id;
+          return (
+            <Card key={recall.id} data-testid="recall-card">
+              <CardContent className="p-4 space-y-3">
+                <div className="flex items-center justify-between gap-4">
+                  <button
+                    type="button"
+                    className="flex items-center gap-3 text-left flex-1"
+                    onClick={() => setExpandedId(expanded ? null : recall.id)}
+                  >
+                    {expanded ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+                    <div>
+                      <p className="font-semibold text-gray-900">
+                        {recall.product} · {recall.manufacturer}
+                        <span className="ml-2 text-sm font-normal text-gray-500">Class {recall.recall_class}</span>
+                      </p>
+                      <p className="text-sm text-gray-600">
+                        Batches {recall.batch_numbers.join(', ')}
+                        {recall.reference && ` · Ref ${recall.reference}`}
+                        {' · '}
+                        {new Date(recall.created_at).toLocaleDateString()}
+                      </p>
+                    </div>
+                  </button>
+                  <Badge className={status.className}>{status.label}</Badge>
+                  {progress.status !== 'completed' && (
+                    <Button size="sm" variant="outline" onClick={() => closeRecall(recall)}>
+                      Close
+                    </Button>
+                  )}
+                </div>
+
+                <div className="flex items-center gap-3 pl-7">
+                  <Progress value={progress.percent} className="flex-1" />
+                  <span className="text-sm text-gray-600 whitespace-nowrap">
+                    {progress.done}/{progress.total} tasks
+                  </span>
+                </div>
+
+                {expanded && (
+                  <div className="pl-7 space-y-4">
+                    {recall.reason && <p className="text-sm text-gray-700">{recall.reason}</p>}
+                    <div>
+                      <h4 className="font-semibold text-sm mb-2">Quarantined stock</h4>
+                      {(recall.affected_stock || []).length === 0 ? (
+                        <p className="text-sm text-gray-500">None found in stock</p>
+                      ) : (
+                        <ul className="text-sm space-y-1">
+                          {recall.affected_stock.map((item) => (
+                            <li key={`${item.medicine_id}-${item.batch_number}`}>
+                              {item.medicine_name} · Batch {item.batch_number} · {item.quantity} at {item.location}
+                            </li>
+                          ))}
+                        </ul>
+                      )}
+                    </div>
+                    <div>
+                      <h4 className="font-semibold text-sm mb-2">Tasks</h4>
+                      <ul className="text-sm space-y-1">
+                        {(recall.tasks || []).map((task) => (
+                          <li key={task.id} className="flex items-start gap-2">
+                            {task.done
+                              ? <CheckCircle2 className="h-4 w-4 text-green-600 mt-0.5" />
+                              : <Circle className="h-4 w-4 text-gray-400 mt-0.5" />}
+                            <span className={task.done ? 'text-gray-500 line-through' : ''}>{task.description}</span>
+                            {task.done && task.completed_by && (
+                              <span className="text-xs text-gray-500">({task.completed_by})</span>
+                            )}
+                          </li>
+                        ))}
+                      </ul>
+                    </div>
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          );
+        })}
+
+        {recalls.length === 0 && (
+          <div className="text-center py-12 text-gray-500">
+            <ShieldAlert className="h-12 w-12 mx-auto mb-4 text-gray-400" />
+            <p>No recalls recorded</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default RecallManagement;
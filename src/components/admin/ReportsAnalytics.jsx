@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import { FileText, Download } from 'lucide-react';
 import { Button } from '../ui/button';
 import { Card, CardContent, CardHeader, CardTitle, CardDescription } from '../ui/card';
+import InventoryValuation from './InventoryValuation';
+import AbcVedAnalysis from './AbcVedAnalysis';
 import api from '../../utils/api';
 import { toast } from 'sonner';
 
@@ -128,6 +130,9 @@ const ReportsAnalytics = () => {
             </div>
           </CardContent>
         </Card>
+
+        <InventoryValuation />
+        <AbcVedAnalysis />
       </div>
     </div>
   );
@@ -0,0 +1,44 @@
+import React, { useState } from 'react';
+import { Repeat } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Popover, PopoverContent, PopoverTrigger } from '../ui/popover';
+import EquivalentsList from './EquivalentsList';
+import api from '../../utils/api';
+import { findEquivalents } from '../../utils/equivalents';
+import { toast } from 'sonner';
+
+// Loads the full inventory only when opened, since cards show one page at a time
+const AlternativesPopover = ({ medicine }) => {
+  const [equivalents, setEquivalents] = useState(null);
+
+  const handleOpenChange = async (open) => {
+    if (!open || equivalents) return;
+    try {
+      const response = await api.get('/medicines');
+      setEquivalents(findEquivalents(medicine, response.data));
+    } catch (error) {
+      toast.error('Failed to load alternatives');
+    }
+  };
+
+  return (
+    <Popover onOpenChange={handleOpenChange}>
+      <PopoverTrigger asChild>
+        <Button variant="outline" size="sm" className="w-full" data-testid="alternatives-button">
+          <Repeat className="h-4 w-4 mr-2" />
+          Alternatives
+        </Button>
+      </PopoverTrigger>
+      <PopoverContent className="w-80 bg-gray-50">
+        <p className="font-semibold text-sm mb-2">In-stock alternatives to {medicine.name}</p>
+        {equivalents ? (
+          <EquivalentsList medicine={medicine} equivalents={equivalents} />
+        ) : (
+          <p className="text-sm text-gray-500">Loading...</p>
+        )}
+      </PopoverContent>
+    </Popover>
+  );
+};
+
+export default AlternativesPopover;
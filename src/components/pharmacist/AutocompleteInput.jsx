@@ -0,0 +1,58 @@
+import React, { useState } from 'react';
+import { Input } from '../ui/input';
+import { Popover, PopoverAnchor, PopoverContent } from '../ui/popover';
+import { Command, CommandList, CommandGroup, CommandItem } from '../ui/command';
+
+// Free-text input with a suggestion list under it. search(value) returns the
+// items to offer, getKey gives each a stable key and renderItem draws it;
+// picking one hands the item to onSelectItem. Typing stays free-form, so the
+// field still works for values that aren't in the list.
+const AutocompleteInput = React.forwardRef(
+  ({ value, onChange, onSelectItem, search, getKey, renderItem, heading, ...props }, ref) => {
+    const [open, setOpen] = useState(false);
+    const matches = search(value);
+
+    const select = (item) => {
+      onSelectItem(item);
+      setOpen(false);
+    };
+
+    return (
+      <Popover open={open && matches.length > 0} onOpenChange={setOpen}>
+        <PopoverAnchor asChild>
+          <Input
+            ref={ref}
+            value={value}
+            onChange={(e) => {
+              onChange(e);
+              setOpen(true);
+            }}
+            onKeyDown={(e) => e.key === 'Escape' && setOpen(false)}
+            autoComplete="off"
+            {...props}
+          />
+        </PopoverAnchor>
+        <PopoverContent
+          align="start"
+          className="p-0 w-[var(--radix-popover-trigger-width)]"
+          onOpenAutoFocus={(e) => e.preventDefault()}
+        >
+          <Command shouldFilter={false}>
+            <CommandList>
+              <CommandGroup heading={heading}>
+                {matches.map((item) => (
+                  <CommandItem key={getKey(item)} value={getKey(item)} onSelect={() => select(item)}>
+                    {renderItem(item)}
+                  </CommandItem>
+                ))}
+              </CommandGroup>
+            </CommandList>
+          </Command>
+        </PopoverContent>
+      </Popover>
+    );
+  }
+);
+AutocompleteInput.displayName = 'AutocompleteInput';
+
+export default AutocompleteInput;
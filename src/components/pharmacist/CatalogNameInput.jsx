@@ -0,0 +1,32 @@
+import React, { useMemo } from 'react';
+import AutocompleteInput from './AutocompleteInput';
+import { loadCatalog, searchCatalog } from '../../utils/drugCatalog';
+
+const renderEntry = (entry) => (
+  <div>
+    <p className="font-medium">{entry.name} {entry.strength}</p>
+    <p className="text-xs text-gray-500">
+      {entry.generic_name} · {entry.form} · {entry.manufacturer}
+    </p>
+  </div>
+);
+
+// Free-text name input that suggests entries from the drug master catalog;
+// picking one hands the whole entry to onSelectEntry
+const CatalogNameInput = React.forwardRef(({ onSelectEntry, ...props }, ref) => {
+  const catalog = useMemo(loadCatalog, []);
+  return (
+    <AutocompleteInput
+      ref={ref}
+      {...props}
+      onSelectItem={onSelectEntry}
+      search={(term) => searchCatalog(catalog, term)}
+      getKey={(entry) => `${entry.name}|${entry.strength}`}
+      renderItem={renderEntry}
+      heading="Drug catalog"
+    />
+  );
+});
+CatalogNameInput.displayName = 'CatalogNameInput';
+
+export default CatalogNameInput;
@@ -0,0 +1,210 @@
+import React, { useState, useEffect } from 'react';
+import { createPortal } from 'react-dom';
+import { Printer, ShieldCheck } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Badge } from '../ui/badge';
+import { Card, CardContent } from '../ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import api from '../../utils/api';
+import { getUser } from '../../utils/auth';
+import { getTotalQuantity } from '../../utils/batches';
+import { MOVEMENT_TYPES, getReasonLabel } from '../../utils/stockMovements';
+import { CONTROLLED_SCHEDULES, isControlled, buildRegister } from '../../utils/controlled';
+import { toast } from 'sonner';
+
+const RegisterTable = ({ rows, openingBalance }) => (
+  <table className="w-full text-sm border-collapse">
+    <thead>
+      <tr className="border-b border-gray-300">
+        <th className="text-left py-2 px-2 font-semibold text-gray-700">Date</th>
+        <th className="text-left py-2 px-2 font-semibold text-gray-700">Entry</th>
+        <th className="text-left py-2 px-2 font-semibold text-gray-700">Batch</th>
+        <th className="text-right py-2 px-2 font-semibold text-gray-700">Received</th>
+        <th className="text-right py-2 px-2 font-semibold text-gray-700">Issued</th>
+        <th className="text-right py-2 px-2 font-semibold text-gray-700">Balance</th>
+        <th className="text-left py-2 px-2 font-semibold text-gray-700">By</th>
+        <th className="text-left py-2 px-2 font-semibold text-gray-700">Witness</th>
+      </tr>
+    </thead>
+    <tbody>
+      <tr className="border-b border-gray-100 italic text-gray-600">
+        <td className="py-2 px-2" colSpan={5}>Balance brought forward</td>
+        <td className="py-2 px-2 text-right font-semibold">{openingBalance}</td>
+        <td colSpan={2} />
+      </tr>
+      {rows.map(({ movement, received, issued, balance }) => (
+        <tr key={movement.id} className="border-b border-gray-100 align-top">
+          <td className="py-2 px-2 whitespace-nowrap">{new Date(movement.created_at).toLocaleString()}</td>
+          <td className="py-2 px-2">
+            {MOVEMENT_TYPES[movement.movement_type]?.label || movement.movement_type}
+            <span className="block text-xs text-gray-500">
+              {getReasonLabel(movement.movement_type, movement.reason_code)}
+              {movement.notes && ` · ${movement.notes}`}
+            </span>
+          </td>
+          <td className="py-2 px-2">{movement.batch_number || '—'}</td>
+          <td className="py-2 px-2 text-right">{received || ''}</td>
+          <td className="py-2 px-2 text-right">{issued || ''}</td>
+          <td className="py-2 px-2 text-right font-semibold">{balance}</td>
+          <td className="py-2 px-2">{movement.performed_by}</td>
+          <td className="py-2 px-2">
+            {movement.witnessed_by || <span className="text-red-600">Not witnessed</span>}
+          </td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+const ControlledRegister = () => {
+  const [medicines, setMedicines] = useState([]);
+  const [selectedId, setSelectedId] = useState('');
+  const [movements, setMovements] = useState([]);
+  const [fromDate, setFromDate] = useState('');
+  const [toDate, setToDate] = useState('');
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchMedicines = async () => {
+      try {
+        const response = await api.get('/medicines');
+        setMedicines(response.data.filter(isControlled));
+      } catch (error) {
+        toast.error('Failed to load controlled substances');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchMedicines();
+  }, []);
+
+  useEffect(() => {
+    if (!selectedId) return;
+
+    const fetchMovements = async () => {
+      try {
+        const response = await api.get('/stock-movements', { params: { medicine_id: selectedId } });
+        setMovements(response.data);
+      } catch (error) {
+        toast.error('Failed to load register');
+      }
+    };
+
+    fetchMovements();
+  }, [selectedId]);
+
+  const medicine = medicines.find((med) => med.id === selectedId);
+  const register = medicine ? buildRegister(movements, getTotalQuantity(medicine)) : [];
+
+  const dayOf = (row) => String(row.movement.created_at).slice(0, 10);
+  const rows = register.filter((row) => (!fromDate || dayOf(row) >= fromDate) && (!toDate || dayOf(row) <= toDate));
+  const earlier = register.filter((row) => fromDate && dayOf(row) < fromDate);
+
+  let openingBalance = medicine ? getTotalQuantity(medicine) : 0;
+  if (earlier.length > 0) {
+    openingBalance = earlier[earlier.length - 1].balance;
+  } else if (register.length > 0) {
+    openingBalance = register[0].balance - register[0].received + register[0].issued;
+  }
+  const unwitnessed = rows.filter((row) => !row.movement.witnessed_by).length;
+  const period = [fromDate && `from ${fromDate}`, toDate && `to ${toDate}`].filter(Boolean).join(' ') || 'all entries';
+
+  if (loading) {
+    return <div className="text-center py-12">Loading...</div>;
+  }
+
+  return (
+    <div className="space-y-6" data-testid="controlled-register">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Controlled Drugs Register</h1>
+          <p className="text-gray-600 mt-2">Running balance and witnessed entries for each scheduled drug</p>
+        </div>
+        <Button variant="outline" onClick={() => window.print()} disabled={!medicine} data-testid="print-register-button">
+          <Printer className="h-4 w-4 mr-2" />
+          Print Register
+        </Button>
+      </div>
+
+      <div className="grid grid-cols-4 gap-4">
+        <div className="col-span-2">
+          <Label>Drug</Label>
+          <Select value={selectedId} onValueChange={setSelectedId}>
+            <SelectTrigger>
+              <SelectValue placeholder="Select a controlled substance" />
+            </SelectTrigger>
+            <SelectContent>
+              {medicines.map((med) => (
+                <SelectItem key={med.id} value={med.id}>
+                  {med.name} ({CONTROLLED_SCHEDULES[med.schedule] || 'Unscheduled'})
+                </SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div>
+          <Label>From</Label>
+          <Input type="date" value={fromDate} onChange={(e) => setFromDate(e.target.value)} />
+        </div>
+        <div>
+          <Label>To</Label>
+          <Input type="date" value={toDate} onChange={(e) => setToDate(e.target.value)} />
+        </div>
+      </div>
+
+      {medicine ? (
+        <Card>
+          <CardContent className="p-6 space-y-4">
+            <div className="flex items-center justify-between">
+              <div>
+                <h2 className="text-xl font-semibold text-gray-900">{medicine.name}</h2>
+                <p className="text-sm text-gray-600">
+                  {medicine.generic_name} · {CONTROLLED_SCHEDULES[medicine.schedule]} · {medicine.unit}
+                </p>
+              </div>
+              <div className="flex items-center gap-2">
+                {unwitnessed > 0 && (
+                  <Badge className="bg-red-100 text-red-800">{unwitnessed} unwitnessed</Badge>
+                )}
+                <Badge className="bg-purple-100 text-purple-800">
+                  Balance {getTotalQuantity(medicine)}
+                </Badge>
+              </div>
+            </div>
+            <div className="overflow-x-auto">
+              <RegisterTable rows={rows} openingBalance={openingBalance} />
+            </div>
+          </CardContent>
+        </Card>
+      ) : (
+        <div className="text-center py-12 text-gray-500">
+          <ShieldCheck className="h-12 w-12 mx-auto mb-4 text-gray-400" />
+          <p>{medicines.length === 0 ? 'No medicines are flagged as controlled' : 'Select a drug to view its register'}</p>
+        </div>
+      )}
+
+      {medicine && createPortal(
+        <div className="print-area p-4 text-black">
+          <style>{'@page { size: A4 landscape; margin: 12mm; }'}</style>
+          <h1 className="text-xl font-bold">Controlled Drugs Register</h1>
+          <p className="text-sm mb-4">
+            {medicine.name} ({medicine.generic_name}) · {CONTROLLED_SCHEDULES[medicine.schedule]} · {period}
+            <br />
+            Printed {new Date().toLocaleString()} by {getUser()?.full_name}
+          </p>
+          <RegisterTable rows={rows} openingBalance={openingBalance} />
+          <div className="grid grid-cols-2 gap-12 mt-12 text-sm">
+            <p className="border-t border-black pt-1">Pharmacist signature</p>
+            <p className="border-t border-black pt-1">Witness signature</p>
+          </div>
+        </div>,
+        document.body
+      )}
+    </div>
+  );
+};
+
+export default ControlledRegister;
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { Package, AlertTriangle, TrendingDown, FileText } from 'lucide-react';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../ui/card';
+import RecallTasks from './RecallTasks';
 import api from '../../utils/api';
 import { toast } from 'sonner';
 
@@ -81,6 +82,8 @@ const Dashboard = () => {
         })}
       </div>
 
+      <RecallTasks />
+
       {/* Low Stock Items */}
       {analytics?.low_stock_items?.length > 0 && (
         <Card>
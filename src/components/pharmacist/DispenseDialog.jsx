@@ -0,0 +1,274 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Badge } from '../ui/badge';
+import { Textarea } from '../ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '../ui/dialog';
+import WitnessFields from './WitnessFields';
+import InteractionWarnings from './InteractionWarnings';
+import api from '../../utils/api';
+import { getTotalQuantity } from '../../utils/batches';
+import { getAvailableQuantity } from '../../utils/holds';
+import { isControlled, emptyWitness, getWitnessError } from '../../utils/controlled';
+import { EQUIVALENCE_TYPES, findEquivalents, findMedicineByName } from '../../utils/equivalents';
+import { checkSubstitutions, getPatientAllergies, needsAcknowledgement } from '../../utils/interactions';
+import { getRemainingQuantity, planFills, applyFills, getDispenseStatus } from '../../utils/prescriptions';
+import { toast } from 'sonner';
+
+// The prescribed product first, then in-stock substitutes
+const getOptions = (line, medicines) => {
+  const prescribed = findMedicineByName(medicines, line.medicine_name || line.name, line.medicine_id);
+  if (!prescribed) return [];
+  return [
+    { medicine: prescribed, type: null },
+    ...findEquivalents(prescribed, medicines).map(({ medicine, type }) => ({ medicine, type }))
+  ];
+};
+
+const DispenseDialog = ({ open, onOpenChange, prescription, medicines, prescriptions, onDispensed }) => {
+  const [fills, setFills] = useState([]);
+  const [acknowledged, setAcknowledged] = useState([]);
+  const [witness, setWitness] = useState(emptyWitness);
+  const [notes, setNotes] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open || !prescription) return;
+    setFills(prescription.medicines.map((line) => {
+      const [first] = getOptions(line, medicines);
+      const remaining = getRemainingQuantity(line);
+      return {
+        medicineId: first ? first.medicine.id : null,
+        quantity: first ? Math.min(remaining, getAvailableQuantity(first.medicine)) : 0
+      };
+    }));
+    setAcknowledged([]);
+    setWitness(emptyWitness);
+    setNotes('');
+  }, [open, prescription, medicines]);
+
+  if (!prescription) return null;
+
+  const updateFill = (idx, patch) => {
+    setFills(fills.map((fill, i) => (i === idx ? { ...fill, ...patch } : fill)));
+  };
+
+  // Resolved per render so the pick list follows the chosen product and quantity
+  const plans = planFills(prescription.medicines.map((line, idx) => {
+    const fill = fills[idx];
+    const medicine = fill && medicines.find((med) => med.id === fill.medicineId);
+    const quantity = parseInt(fill?.quantity) || 0;
+    if (!medicine || quantity <= 0) return null;
+    const prescribed = findMedicineByName(medicines, line.medicine_name || line.name, line.medicine_id);
+    return { medicine, quantity, substituted: medicine.id !== prescribed?.id };
+  }));
+  const controlled = plans.some((plan) => plan && isControlled(plan.medicine));
+  // Substitutes were never part of the review, so they get the same safety checks here
+  const warnings = checkSubstitutions(
+    prescription,
+    plans.map((plan) => (plan?.substituted ? plan.medicine : null)),
+    { medicines, prescriptions }
+  );
+  const unacknowledged = warnings.filter((warning) => needsAcknowledgement(warning) && !acknowledged.includes(warning.id));
+
+  const acknowledge = (warningId, checked) => {
+    setAcknowledged(checked ? [...acknowledged, warningId] : acknowledged.filter((id) => id !== warningId));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const active = plans.filter(Boolean);
+    if (active.length === 0) {
+      toast.error('Enter a quantity for at least one line');
+      return;
+    }
+    const overfilled = prescription.medicines.find((line, idx) => plans[idx] && plans[idx].quantity > getRemainingQuantity(line));
+    if (overfilled) {
+      toast.error(`${overfilled.medicine_name || overfilled.name}: more than the prescription still allows`);
+      return;
+    }
+    const short = active.find((plan) => plan.shortfall > 0);
+    if (short) {
+      toast.error(`${short.medicine.name}: only ${short.quantity - short.shortfall} ${short.medicine.unit} in usable batches`);
+      return;
+    }
+    if (unacknowledged.length > 0) {
+      toast.error('Acknowledge every safety warning for the substitution first');
+      return;
+    }
+    const witnessError = controlled && getWitnessError(witness);
+    if (witnessError) {
+      toast.error(witnessError);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      // One movement per batch so the ledger shows exactly what left the shelf; the
+      // balance runs on across lines that draw on the same product
+      const balances = {};
+      const movements = active.flatMap((plan) => plan.picks.map((pick) => {
+        const quantityBefore = balances[plan.medicine.id] ?? getTotalQuantity(plan.medicine);
+        balances[plan.medicine.id] = quantityBefore - pick.quantity;
+        return {
+          medicine_id: plan.medicine.id,
+          movement_type: 'dispensed',
+          reason_code: 'PRESCRIPTION',
+          quantity: pick.quantity,
+          batch_number: pick.batch.batch_number,
+          quantity_before: quantityBefore,
+          quantity_after: quantityBefore - pick.quantity,
+          prescription_id: prescription.id,
+          notes,
+          ...(isControlled(plan.medicine) ? witness : {})
+        };
+      }));
+
+      const lines = applyFills(prescription.medicines, plans);
+      // Stock and the prescription are updated together server-side, so a failed
+      // dispense deducts nothing and can be retried; dispensed_by and dispensed_at
+      // are stamped from the session
+      await api.patch(`/prescriptions/${prescription.id}/dispense`, {
+        status: getDispenseStatus(lines),
+        medicines: lines,
+        movements,
+        acknowledged_warnings: warnings
+          .filter(needsAcknowledgement)
+          .map(({ kind, severity, title }) => ({ kind, severity, title })),
+        notes
+      });
+      toast.success(getDispenseStatus(lines) === 'dispensed' ? 'Prescription dispensed' : 'Prescription partially dispensed');
+      onOpenChange(false);
+      onDispensed();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to dispense prescription');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Dispense Prescription</DialogTitle>
+          <DialogDescription>
+            {prescription.patient_name} · {prescription.doctor_name} · batches picked first-expiry-first-out
+          </DialogDescription>
+        </DialogHeader>
+
+        <form onSubmit={handleSubmit} className="space-y-4" data-testid="dispense-form">
+          {prescription.medicines.map((line, idx) => {
+            const remaining = getRemainingQuantity(line);
+            const options = getOptions(line, medicines);
+            const fill = fills[idx] || {};
+            const plan = plans[idx];
+            return (
+              <div key={idx} className="bg-gray-50 p-3 rounded space-y-2" data-testid="dispense-line">
+                <div className="flex justify-between">
+                  <p className="font-medium">{line.medicine_name || line.name}</p>
+                  <p className="text-sm text-gray-600">
+                    {line.dispensed_quantity ? `${line.dispensed_quantity} of ${line.quantity} given · ` : ''}
+                    {remaining} to go
+                  </p>
+                </div>
+
+                {remaining === 0 ? (
+                  <p className="text-sm text-green-700">Fully dispensed</p>
+                ) : options.length === 0 ? (
+                  <p className="text-sm text-orange-700">Not stocked — nothing to dispense from</p>
+                ) : (
+                  <div className="grid grid-cols-[2fr_1fr] gap-2">
+                    <div>
+                      <Label className="text-xs">Dispense From</Label>
+                      <Select
+                        value={fill.medicineId || ''}
+                        onValueChange={(value) => {
+                          const medicine = medicines.find((med) => med.id === value);
+                          updateFill(idx, { medicineId: value, quantity: Math.min(remaining, getAvailableQuantity(medicine)) });
+                        }}
+                      >
+                        <SelectTrigger>
+                          <SelectValue />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {options.map(({ medicine, type }) => (
+                            <SelectItem key={medicine.id} value={medicine.id}>
+                              {medicine.name} · {getAvailableQuantity(medicine)} {medicine.unit}
+                              {type && ` · ${EQUIVALENCE_TYPES[type].label}`}
+                            </SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                    <div>
+                      <Label className="text-xs">Quantity</Label>
+                      <Input
+                        type="number"
+                        min="0"
+                        max={remaining}
+                        value={fill.quantity ?? ''}
+                        onChange={(e) => updateFill(idx, { quantity: e.target.value })}
+                      />
+                    </div>
+                  </div>
+                )}
+
+                {plan && (
+                  <div className="flex flex-wrap gap-1 text-xs">
+                    {plan.substituted && (
+                      <Badge className="bg-amber-100 text-amber-800">Substitution</Badge>
+                    )}
+                    {plan.quantity < remaining && <Badge className="bg-indigo-100 text-indigo-800">Partial fill</Badge>}
+                    {plan.picks.map(({ batch, quantity }) => (
+                      <span key={batch.batch_number} className="bg-white border rounded px-2 py-0.5">
+                        {batch.batch_number} × {quantity} · exp {new Date(batch.expiry_date).toLocaleDateString()}
+                      </span>
+                    ))}
+                    {plan.shortfall > 0 && (
+                      <span className="text-red-600">{plan.shortfall} short in usable batches</span>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+
+          {warnings.length > 0 && (
+            <InteractionWarnings
+              warnings={warnings}
+              allergies={getPatientAllergies(prescription, prescriptions)}
+              acknowledged={acknowledged}
+              onAcknowledge={acknowledge}
+            />
+          )}
+
+          {controlled && <WitnessFields witness={witness} onChange={setWitness} />}
+
+          <div>
+            <Label>Notes</Label>
+            <Textarea
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              rows={2}
+              placeholder="e.g. reason for substitution, balance to collect"
+            />
+          </div>
+
+          <div className="flex gap-2 justify-end">
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" className="bg-blue-600 hover:bg-blue-700" disabled={saving}>
+              {saving ? 'Dispensing...' : 'Dispense'}
+            </Button>
+          </div>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default DispenseDialog;
@@ -0,0 +1,140 @@
+import React, { useState, useEffect } from 'react';
+import { Upload, Download, RotateCcw } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '../ui/dialog';
+import { downloadCSV } from '../../utils/csv';
+import {
+  CATALOG_FIELDS,
+  DEFAULT_CATALOG,
+  loadCatalog,
+  saveCatalog,
+  resetCatalog,
+  parseCatalogFile,
+  mergeCatalog,
+  searchCatalog
+} from '../../utils/drugCatalog';
+import { toast } from 'sonner';
+
+const DrugCatalogDialog = ({ open, onOpenChange }) => {
+  const [catalog, setCatalog] = useState([]);
+  const [search, setSearch] = useState('');
+  const [replace, setReplace] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setCatalog(loadCatalog());
+      setSearch('');
+    }
+  }, [open]);
+
+  const handleFile = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+      const { entries, skipped } = await parseCatalogFile(file);
+      if (entries.length === 0) {
+        toast.error('No entries found; each needs at least a name and generic name');
+        return;
+      }
+      const next = replace ? entries : mergeCatalog(catalog, entries);
+      saveCatalog(next);
+      setCatalog(next);
+      toast.success(`Imported ${entries.length} entr${entries.length === 1 ? 'y' : 'ies'}${skipped ? `, ${skipped} skipped` : ''}`);
+    } catch (error) {
+      toast.error('Could not read file. Upload a JSON array or a CSV/XLSX sheet.');
+    } finally {
+      event.target.value = '';
+    }
+  };
+
+  const handleReset = () => {
+    if (!window.confirm('Replace the catalog with the built-in list?')) return;
+    resetCatalog();
+    setCatalog(DEFAULT_CATALOG);
+    toast.success('Catalog reset');
+  };
+
+  const handleExport = () => {
+    downloadCSV('drug-catalog.csv', CATALOG_FIELDS, catalog.map((entry) => CATALOG_FIELDS.map((field) => entry[field])));
+  };
+
+  const shown = search ? searchCatalog(catalog, search, 50) : catalog.slice(0, 50);
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Drug Catalog</DialogTitle>
+          <DialogDescription>
+            {catalog.length} reference entries used to autocomplete new medicines on this device
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-4">
+          <div className="flex flex-wrap items-center gap-2">
+            <Button variant="outline" asChild>
+              <label className="cursor-pointer">
+                <Upload className="h-4 w-4 mr-2" />
+                Import JSON / CSV
+                <input type="file" accept=".json,.csv,.xlsx,.xls" className="hidden" onChange={handleFile} />
+              </label>
+            </Button>
+            <label className="flex items-center gap-2 text-sm text-gray-600">
+              <input type="checkbox" checked={replace} onChange={(e) => setReplace(e.target.checked)} />
+              Replace instead of merge
+            </label>
+            <div className="flex-1" />
+            <Button variant="outline" onClick={handleExport}>
+              <Download className="h-4 w-4 mr-2" />
+              Export
+            </Button>
+            <Button variant="outline" onClick={handleReset}>
+              <RotateCcw className="h-4 w-4 mr-2" />
+              Reset
+            </Button>
+          </div>
+
+          <div>
+            <Label>Search</Label>
+            <Input value={search} onChange={(e) => setSearch(e.target.value)} placeholder="Brand, generic or strength" />
+          </div>
+
+          <div className="border rounded-lg overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="text-left py-2 px-3 font-semibold text-gray-700">Name</th>
+                  <th className="text-left py-2 px-3 font-semibold text-gray-700">Generic</th>
+                  <th className="text-left py-2 px-3 font-semibold text-gray-700">Strength</th>
+                  <th className="text-left py-2 px-3 font-semibold text-gray-700">Form</th>
+                  <th className="text-left py-2 px-3 font-semibold text-gray-700">Category</th>
+                  <th className="text-left py-2 px-3 font-semibold text-gray-700">Manufacturer</th>
+                </tr>
+              </thead>
+              <tbody>
+                {shown.map((entry) => (
+                  <tr key={`${entry.name}|${entry.strength}`} className="border-t border-gray-100">
+                    <td className="py-2 px-3 font-medium">{entry.name}</td>
+                    <td className="py-2 px-3">{entry.generic_name}</td>
+                    <td className="py-2 px-3">{entry.strength}</td>
+                    <td className="py-2 px-3">{entry.form}</td>
+                    <td className="py-2 px-3">{entry.category}</td>
+                    <td className="py-2 px-3 text-gray-600">{entry.manufacturer}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {catalog.length > shown.length && !search && (
+            <p className="text-xs text-gray-500">Showing the first 50 entries; search to find others</p>
+          )}
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default DrugCatalogDialog;
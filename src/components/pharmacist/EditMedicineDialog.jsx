@@ -0,0 +1,245 @@
+import React, { useState, useEffect } from 'react';
+import { useForm } from 'react-hook-form';
+import { AlertTriangle } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Form } from '../ui/form';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '../ui/dialog';
+import MedicineFormFields from './MedicineFormFields';
+import api from '../../utils/api';
+import {
+  MEDICINE_FIELD_LABELS,
+  toMedicineForm,
+  getDirtyFields,
+  hasRecordChanged,
+  formatFieldValue
+} from '../../utils/medicine';
+import { medicineResolver, applyServerErrors } from '../../utils/medicineSchema';
+import { toast } from 'sonner';
+
+// Quantity is read-only here: stock only changes through a stock adjustment so
+// every change lands in the movement ledger
+const EditMedicineDialog = ({ medicine, open, onOpenChange, onSaved, onAdjustStock }) => {
+  const [original, setOriginal] = useState(null);
+  const [existing, setExisting] = useState([]);
+  const [step, setStep] = useState('edit');
+  const [latest, setLatest] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const form = useForm({
+    resolver: medicineResolver,
+    context: { existing, original },
+    defaultValues: toMedicineForm(null)
+  });
+  const formData = form.watch();
+
+  useEffect(() => {
+    if (open && medicine) {
+      setOriginal(medicine);
+      form.reset(toMedicineForm(medicine));
+      setStep('edit');
+      setLatest(null);
+      fetchExisting();
+    }
+  }, [open, medicine, form]);
+
+  // Full product list for the one-batch-per-product check
+  const fetchExisting = async () => {
+    try {
+      const response = await api.get('/medicines');
+      setExisting(response.data);
+    } catch (error) {
+      setExisting([]);
+    }
+  };
+
+  const dirtyFields = original ? getDirtyFields(original, formData) : [];
+
+  const handleReview = form.handleSubmit(() => {
+    if (dirtyFields.length === 0) {
+      toast.info('No changes to save');
+      return;
+    }
+    setStep('review');
+  });
+
+  const saveChanges = async (force = false) => {
+    setSaving(true);
+    try {
+      if (!force) {
+        const response = await api.get(`/medicines/${original.id}`);
+        if (hasRecordChanged(original, response.data)) {
+          setLatest(response.data);
+          setStep('conflict');
+          return;
+        }
+      }
+
+      const changes = {};
+      dirtyFields.forEach((field) => {
+        changes[field] = formData[field];
+      });
+      await api.patch(`/medicines/${original.id}`, changes);
+      toast.success('Medicine updated successfully');
+      onOpenChange(false);
+      onSaved();
+    } catch (error) {
+      if (error.response?.status === 409) {
+        try {
+          const response = await api.get(`/medicines/${original.id}`);
+          setLatest(response.data);
+          setStep('conflict');
+        } catch (refetchError) {
+          toast.error(error.response?.data?.detail || 'Failed to update medicine');
+        }
+      } else if (applyServerErrors(error, form.setError)) {
+        setStep('edit');
+      } else {
+        toast.error(error.response?.data?.detail || 'Failed to update medicine');
+      }
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Rebase the user's edits on top of the record someone else saved
+  const reloadLatest = () => {
+    const rebased = toMedicineForm(latest);
+    dirtyFields.forEach((field) => {
+      rebased[field] = formData[field];
+    });
+    setOriginal(latest);
+    form.reset(rebased);
+    setLatest(null);
+    setStep('edit');
+  };
+
+  const theirChanges = latest ? getDirtyFields(original, toMedicineForm(latest)) : [];
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Edit Medicine</DialogTitle>
+          <DialogDescription>
+            {step === 'edit' && 'Update medicine details'}
+            {step === 'review' && 'Review your changes before saving'}
+            {step === 'conflict' && 'This record was changed by someone else'}
+          </DialogDescription>
+        </DialogHeader>
+
+        {step === 'edit' && (
+          <Form {...form}>
+            <form onSubmit={handleReview} className="space-y-4" data-testid="edit-medicine-form" noValidate>
+              <MedicineFormFields
+                dirtyFields={dirtyFields}
+                lockedFields={original?.is_controlled ? ['quantity', 'is_controlled'] : ['quantity']}
+                existing={existing}
+                excludeId={original?.id}
+              />
+              {onAdjustStock && (
+                <p className="text-sm text-gray-500">
+                  To change the quantity,{' '}
+                  <Button type="button" variant="link" className="h-auto p-0" onClick={() => onAdjustStock(original)}>
+                    record a stock adjustment
+                  </Button>
+                  .
+                </p>
+              )}
+              <div className="flex items-center justify-between">
+                <span className="text-sm text-gray-500">
+                  {dirtyFields.length} field{dirtyFields.length === 1 ? '' : 's'} changed
+                </span>
+                <div className="flex gap-2">
+                  <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+                    Cancel
+                  </Button>
+                  <Button
+                    type="submit"
+                    className="bg-blue-600 hover:bg-blue-700"
+                    disabled={dirtyFields.length === 0}
+                  >
+                    Review Changes
+                  </Button>
+                </div>
+              </div>
+            </form>
+          </Form>
+        )}
+
+        {step === 'review' && (
+          <div className="space-y-4">
+            <div className="border rounded-lg divide-y" data-testid="medicine-diff-preview">
+              {dirtyFields.map((field) => (
+                <div key={field} className="grid grid-cols-3 gap-4 p-3 text-sm">
+                  <span className="text-gray-600">{MEDICINE_FIELD_LABELS[field]}</span>
+                  <span className="text-red-700 line-through">
+                    {formatFieldValue(field, original[field])}
+                  </span>
+                  <span className="text-green-700 font-medium">
+                    {formatFieldValue(field, formData[field])}
+                  </span>
+                </div>
+              ))}
+            </div>
+            <div className="flex gap-2 justify-end">
+              <Button type="button" variant="outline" onClick={() => setStep('edit')}>
+                Back
+              </Button>
+              <Button
+                onClick={() => saveChanges()}
+                className="bg-blue-600 hover:bg-blue-700"
+                disabled={saving}
+                data-testid="save-medicine-button"
+              >
+                {saving ? 'Saving...' : 'Save Changes'}
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {step === 'conflict' && latest && (
+          <div className="space-y-4">
+            <div className="bg-orange-50 p-4 rounded-lg flex gap-3">
+              <AlertTriangle className="h-5 w-5 text-orange-600 flex-shrink-0" />
+              <p className="text-sm text-orange-800">
+                This medicine was updated after you opened it. Reload to apply your changes on top of
+                the latest version, or overwrite to replace their changes with yours.
+              </p>
+            </div>
+            {theirChanges.length > 0 && (
+              <div className="border rounded-lg divide-y">
+                <div className="grid grid-cols-3 gap-4 p-3 text-xs font-semibold text-gray-500 uppercase">
+                  <span>Field</span>
+                  <span>Their value</span>
+                  <span>Your value</span>
+                </div>
+                {theirChanges.map((field) => (
+                  <div key={field} className="grid grid-cols-3 gap-4 p-3 text-sm">
+                    <span className="text-gray-600">{MEDICINE_FIELD_LABELS[field]}</span>
+                    <span className="font-medium">{formatFieldValue(field, latest[field])}</span>
+                    <span className={dirtyFields.includes(field) ? 'font-medium text-orange-700' : 'text-gray-500'}>
+                      {formatFieldValue(field, formData[field])}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+            <div className="flex gap-2 justify-end">
+              <Button variant="outline" onClick={reloadLatest}>
+                Reload Latest
+              </Button>
+              <Button
+                variant="destructive"
+                onClick={() => saveChanges(true)}
+                disabled={saving}
+              >
+                Overwrite
+              </Button>
+            </div>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default EditMedicineDialog;
@@ -0,0 +1,36 @@
+import React from 'react';
+import { Badge } from '../ui/badge';
+import { EQUIVALENCE_TYPES, formatPriceDifference } from '../../utils/equivalents';
+
+const EquivalentsList = ({ medicine, equivalents, limit = 5 }) => {
+  if (equivalents.length === 0) {
+    return <p className="text-sm text-gray-500">No in-stock alternatives with the same generic or category</p>;
+  }
+
+  return (
+    <div className="space-y-1" data-testid="equivalents-list">
+      {equivalents.slice(0, limit).map(({ medicine: other, type, available, priceDifference }) => (
+        <div key={other.id} className="flex items-center justify-between gap-3 text-sm bg-white border rounded p-2">
+          <div className="min-w-0">
+            <p className="font-medium truncate">
+              {other.name}
+              {other.strength && <span className="text-gray-500 font-normal"> {other.strength}</span>}
+            </p>
+            <p className="text-xs text-gray-500">{available} {other.unit} available · {other.location}</p>
+          </div>
+          <div className="flex flex-col items-end gap-1 shrink-0">
+            <Badge className={EQUIVALENCE_TYPES[type].className}>{EQUIVALENCE_TYPES[type].label}</Badge>
+            <span className="text-xs">
+              ${Number(other.unit_price || 0).toFixed(2)}{' '}
+              <span className={priceDifference > 0 ? 'text-red-600' : priceDifference < 0 ? 'text-green-600' : 'text-gray-500'}>
+                {formatPriceDifference(priceDifference, medicine.unit_price)}
+              </span>
+            </span>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default EquivalentsList;
@@ -0,0 +1,249 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Badge } from '../ui/badge';
+import { Textarea } from '../ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '../ui/dialog';
+import WitnessFields from './WitnessFields';
+import api from '../../utils/api';
+import { isExpired } from '../../utils/batches';
+import { HOLD_REASONS, HOLD_DECISIONS, getActiveHolds, getAvailableBatches } from '../../utils/holds';
+import { emptyWitness, isControlled, getWitnessError } from '../../utils/controlled';
+import { toast } from 'sonner';
+
+const emptyHold = { reason: 'damaged', batch_number: '', quantity: '', notes: '' };
+const emptyResolution = { decision: 'release', reason_code: '', notes: '' };
+
+const HoldDialog = ({ medicine, open, onOpenChange, onSaved }) => {
+  const [holdForm, setHoldForm] = useState(emptyHold);
+  const [resolvingId, setResolvingId] = useState(null);
+  const [resolution, setResolution] = useState(emptyResolution);
+  const [witness, setWitness] = useState(emptyWitness);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setHoldForm(emptyHold);
+      setResolvingId(null);
+    }
+  }, [open]);
+
+  if (!medicine) return null;
+
+  const holds = getActiveHolds(medicine);
+  const batches = getAvailableBatches(medicine).filter((batch) => batch.quantity > 0);
+  const selectedBatch = batches.find((batch) => batch.batch_number === holdForm.batch_number);
+  const needsWitness = resolution.decision === 'write_off' && isControlled(medicine);
+
+  const selectBatch = (batchNumber) => {
+    const batch = batches.find((b) => b.batch_number === batchNumber);
+    setHoldForm({
+      ...holdForm,
+      batch_number: batchNumber,
+      quantity: batch ? batch.quantity : '',
+      reason: batch && isExpired(batch) ? 'expired' : holdForm.reason
+    });
+  };
+
+  const handlePlaceHold = async (e) => {
+    e.preventDefault();
+    const quantity = parseInt(holdForm.quantity);
+    if (!selectedBatch || !(quantity > 0) || quantity > selectedBatch.quantity) {
+      toast.error(`Choose a batch and a quantity up to ${selectedBatch?.quantity ?? 'what is available'}`);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await api.post(`/medicines/${medicine.id}/hold`, { ...holdForm, quantity });
+      toast.success('Stock placed on hold');
+      setHoldForm(emptyHold);
+      onSaved();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to place hold');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const startResolving = (hold, decision) => {
+    setResolvingId(hold.id);
+    setResolution({ ...emptyResolution, decision });
+    setWitness(emptyWitness);
+  };
+
+  const handleResolve = async (e) => {
+    e.preventDefault();
+    if (!resolution.reason_code || !resolution.notes.trim()) {
+      toast.error('Select a reason and add a note for the record');
+      return;
+    }
+    const witnessError = needsWitness && getWitnessError(witness);
+    if (witnessError) {
+      toast.error(witnessError);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await api.post(`/medicines/${medicine.id}/holds/${resolvingId}/resolve`, {
+        ...resolution,
+        ...(needsWitness ? witness : {})
+      });
+      toast.success(resolution.decision === 'release' ? 'Stock released' : 'Stock written off');
+      setResolvingId(null);
+      onSaved();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to resolve hold');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Hold & Quarantine</DialogTitle>
+          <DialogDescription>{medicine.name} · held stock is excluded from available quantity</DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-6">
+          <div className="space-y-3">
+            <h3 className="font-semibold">Active Holds</h3>
+            {holds.length === 0 && <p className="text-sm text-gray-500">Nothing on hold</p>}
+            {holds.map((hold) => (
+              <div key={hold.id} className="border border-gray-200 rounded-lg p-3 space-y-3" data-testid="active-hold">
+                <div className="flex items-center justify-between">
+                  <div className="text-sm">
+                    <Badge className={HOLD_REASONS[hold.reason]?.className}>
+                      {HOLD_REASONS[hold.reason]?.label || hold.reason}
+                    </Badge>
+                    <span className="ml-2 font-medium">{hold.quantity} {medicine.unit}</span>
+                    {hold.batch_number && <span className="text-gray-600"> · Batch {hold.batch_number}</span>}
+                    <p className="text-xs text-gray-500 mt-1">
+                      {new Date(hold.created_at).toLocaleDateString()} by {hold.created_by}
+                      {hold.notes && ` · ${hold.notes}`}
+                    </p>
+                  </div>
+                  {resolvingId !== hold.id && (
+                    <div className="flex gap-2">
+                      <Button size="sm" variant="outline" onClick={() => startResolving(hold, 'release')}>
+                        Release
+                      </Button>
+                      <Button size="sm" variant="destructive" onClick={() => startResolving(hold, 'write_off')}>
+                        Write Off
+                      </Button>
+                    </div>
+                  )}
+                </div>
+
+                {resolvingId === hold.id && (
+                  <form onSubmit={handleResolve} className="space-y-3 bg-gray-50 p-3 rounded">
+                    <div>
+                      <Label>{HOLD_DECISIONS[resolution.decision].label} — Reason</Label>
+                      <Select
+                        value={resolution.reason_code}
+                        onValueChange={(value) => setResolution({ ...resolution, reason_code: value })}
+                      >
+                        <SelectTrigger>
+                          <SelectValue placeholder="Select reason" />
+                        </SelectTrigger>
+                        <SelectContent>
+                          {Object.entries(HOLD_DECISIONS[resolution.decision].reasons).map(([code, label]) => (
+                            <SelectItem key={code} value={code}>{label}</SelectItem>
+                          ))}
+                        </SelectContent>
+                      </Select>
+                    </div>
+                    <div>
+                      <Label>Notes</Label>
+                      <Textarea
+                        value={resolution.notes}
+                        onChange={(e) => setResolution({ ...resolution, notes: e.target.value })}
+                        rows={2}
+                        required
+                      />
+                    </div>
+                    {needsWitness && <WitnessFields witness={witness} onChange={setWitness} />}
+                    <div className="flex gap-2 justify-end">
+                      <Button type="button" variant="outline" size="sm" onClick={() => setResolvingId(null)}>
+                        Cancel
+                      </Button>
+                      <Button
+                        type="submit"
+                        size="sm"
+                        variant={resolution.decision === 'write_off' ? 'destructive' : 'default'}
+                        disabled={saving}
+                      >
+                        Confirm {HOLD_DECISIONS[resolution.decision].label}
+                      </Button>
+                    </div>
+                  </form>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <form onSubmit={handlePlaceHold} className="space-y-3 bg-gray-50 p-4 rounded-lg">
+            <h3 className="font-semibold">Place on Hold</h3>
+            <div className="grid grid-cols-3 gap-3">
+              <div>
+                <Label>Batch</Label>
+                <Select value={holdForm.batch_number} onValueChange={selectBatch}>
+                  <SelectTrigger>
+                    <SelectValue placeholder="Select batch" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {batches.map((batch) => (
+                      <SelectItem key={batch.batch_number} value={batch.batch_number}>
+                        {batch.batch_number} ({batch.quantity})
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div>
+                <Label>Reason</Label>
+                <Select value={holdForm.reason} onValueChange={(value) => setHoldForm({ ...holdForm, reason: value })}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(HOLD_REASONS).map(([value, config]) => (
+                      <SelectItem key={value} value={value}>{config.label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div>
+                <Label>Quantity</Label>
+                <Input
+                  type="number"
+                  min="1"
+                  max={selectedBatch?.quantity}
+                  value={holdForm.quantity}
+                  onChange={(e) => setHoldForm({ ...holdForm, quantity: e.target.value })}
+                  required
+                />
+              </div>
+            </div>
+            <div>
+              <Label>Notes</Label>
+              <Input value={holdForm.notes} onChange={(e) => setHoldForm({ ...holdForm, notes: e.target.value })} />
+            </div>
+            <div className="flex justify-end">
+              <Button type="submit" className="bg-blue-600 hover:bg-blue-700" disabled={saving} data-testid="place-hold-button">
+                Place on Hold
+              </Button>
+            </div>
+          </form>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default HoldDialog;
@@ -0,0 +1,390 @@
+import React, { useState } from 'react';
+import * as XLSX from 'xlsx';
+import { Upload, Download, AlertCircle, CheckCircle } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Label } from '../ui/label';
+import { Progress } from '../ui/progress';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '../ui/dialog';
+import api from '../../utils/api';
+import { downloadCSV } from '../../utils/csv';
+import {
+  emptyMedicine,
+  MEDICINE_FIELD_LABELS,
+  OPTIONAL_FIELDS,
+  coerceMedicine
+} from '../../utils/medicine';
+import { getMedicineErrors } from '../../utils/medicineSchema';
+import { toast } from 'sonner';
+
+const BATCH_SIZE = 25;
+const SKIP_COLUMN = '__skip__';
+
+const COLUMN_ALIASES = {
+  qty: 'quantity',
+  stock: 'quantity',
+  generic: 'generic_name',
+  price: 'unit_price',
+  cost: 'unit_price',
+  batch: 'batch_number',
+  lot: 'batch_number',
+  barcode: 'gtin',
+  ean: 'gtin',
+  expiry: 'expiry_date',
+  exp: 'expiry_date',
+  reorder: 'reorder_level',
+  controlled: 'is_controlled',
+  shelf: 'location'
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const guessField = (header) => {
+  const key = normalizeHeader(header);
+  const match = Object.keys(emptyMedicine).find(
+    (field) => normalizeHeader(field) === key || normalizeHeader(MEDICINE_FIELD_LABELS[field]) === key
+  );
+  if (match) return match;
+  const alias = Object.keys(COLUMN_ALIASES).find((name) => key === name || key.startsWith(name));
+  return alias ? COLUMN_ALIASES[alias] : SKIP_COLUMN;
+};
+
+const ImportMedicinesDialog = ({ open, onOpenChange, onImported }) => {
+  const [step, setStep] = useState('upload');
+  const [fileName, setFileName] = useState('');
+  const [headers, setHeaders] = useState([]);
+  const [rawRows, setRawRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [rows, setRows] = useState([]);
+  const [showErrorsOnly, setShowErrorsOnly] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const [rejected, setRejected] = useState([]);
+  const [importedCount, setImportedCount] = useState(0);
+
+  const reset = () => {
+    setStep('upload');
+    setFileName('');
+    setHeaders([]);
+    setRawRows([]);
+    setMapping({});
+    setRows([]);
+    setShowErrorsOnly(false);
+    setProgress(0);
+    setRejected([]);
+    setImportedCount(0);
+  };
+
+  const handleOpenChange = (value) => {
+    if (step === 'importing') return;
+    if (!value) reset();
+    onOpenChange(value);
+  };
+
+  const handleFile = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    try {
+      const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array', cellDates: true });
+      const sheet = workbook.Sheets[workbook.SheetNames[0]];
+      const [headerRow = [], ...dataRows] = XLSX.utils.sheet_to_json(sheet, {
+        header: 1,
+        raw: false,
+        dateNF: 'yyyy-mm-dd',
+        defval: ''
+      });
+      const nonEmpty = dataRows.filter((row) => row.some((cell) => String(cell).trim() !== ''));
+
+      if (headerRow.length === 0 || nonEmpty.length === 0) {
+        toast.error('The file has no data rows');
+        return;
+      }
+
+      const initialMapping = {};
+      headerRow.forEach((header, idx) => {
+        initialMapping[idx] = guessField(header);
+      });
+
+      setFileName(file.name);
+      setHeaders(headerRow);
+      setRawRows(nonEmpty);
+      setMapping(initialMapping);
+      setStep('map');
+    } catch (error) {
+      toast.error('Could not read file. Please upload a CSV or XLSX file.');
+    } finally {
+      event.target.value = '';
+    }
+  };
+
+  const mappedFields = Object.values(mapping).filter((field) => field !== SKIP_COLUMN);
+  const missingFields = Object.keys(emptyMedicine).filter(
+    (field) => !OPTIONAL_FIELDS.includes(field) && !mappedFields.includes(field)
+  );
+
+  const buildPreview = async () => {
+    // Batches already on file count as duplicates too
+    let existing = [];
+    try {
+      const response = await api.get('/medicines');
+      existing = response.data;
+    } catch (error) {
+      toast.error('Could not check existing batches; the server will reject duplicates');
+    }
+
+    const seen = new Set();
+    const preview = rawRows.map((raw, idx) => {
+      const source = {};
+      headers.forEach((header, col) => {
+        if (mapping[col] !== SKIP_COLUMN) source[mapping[col]] = raw[col];
+      });
+      const data = coerceMedicine(source);
+      const errors = getMedicineErrors(data, { existing });
+
+      const key = `${data.name}|${data.batch_number}`.toLowerCase();
+      if (data.name && data.batch_number && seen.has(key)) {
+        errors.batch_number = 'Duplicate batch in file';
+      }
+      seen.add(key);
+
+      // Opening stock of a controlled drug needs a witness, which a bulk import can't collect
+      if (data.is_controlled) {
+        errors.is_controlled = 'Add controlled substances one at a time with a witness';
+      }
+
+      return { rowNumber: idx + 2, raw, data, errors };
+    });
+    setRows(preview);
+    setStep('preview');
+  };
+
+  const validRows = rows.filter((row) => Object.keys(row.errors).length === 0);
+  const invalidRows = rows.filter((row) => Object.keys(row.errors).length > 0);
+
+  const runImport = async () => {
+    setStep('importing');
+    setProgress(0);
+    const failures = invalidRows.map((row) => ({
+      ...row,
+      reason: Object.entries(row.errors)
+        .map(([field, message]) => `${MEDICINE_FIELD_LABELS[field]}: ${message}`)
+        .join('; ')
+    }));
+    let imported = 0;
+
+    for (let start = 0; start < validRows.length; start += BATCH_SIZE) {
+      const batch = validRows.slice(start, start + BATCH_SIZE);
+      const results = await Promise.allSettled(batch.map((row) => api.post('/medicines', row.data)));
+      imported += results.filter((result) => result.status === 'fulfilled').length;
+      results.forEach((result, idx) => {
+        if (result.status === 'rejected') {
+          const detail = result.reason?.response?.data?.detail;
+          failures.push({
+            ...batch[idx],
+            reason: typeof detail === 'string' ? detail : 'Rejected by server'
+          });
+        }
+      });
+      setProgress(Math.round(((start + batch.length) / validRows.length) * 100));
+    }
+
+    failures.sort((a, b) => a.rowNumber - b.rowNumber);
+    setImportedCount(imported);
+    setRejected(failures);
+    setStep('done');
+    if (imported > 0) {
+      toast.success(`Imported ${imported} medicine${imported === 1 ? '' : 's'}`);
+      onImported();
+    }
+  };
+
+  const downloadRejectionReport = () => {
+    downloadCSV(
+      `import_rejections_${new Date().toISOString().split('T')[0]}.csv`,
+      ['Row', ...headers, 'Errors'],
+      rejected.map((row) => [row.rowNumber, ...headers.map((_, col) => row.raw[col]), row.reason])
+    );
+  };
+
+  const previewFields = Object.keys(emptyMedicine).filter((field) => mappedFields.includes(field));
+  const displayedRows = showErrorsOnly ? invalidRows : rows;
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogContent className="max-w-5xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Import Medicines</DialogTitle>
+          <DialogDescription>
+            {step === 'upload' && 'Upload a CSV or XLSX file with one medicine per row'}
+            {step === 'map' && `Match the columns in ${fileName} to medicine fields`}
+            {step === 'preview' && 'Review validation results before importing'}
+            {step === 'importing' && 'Importing medicines...'}
+            {step === 'done' && 'Import complete'}
+          </DialogDescription>
+        </DialogHeader>
+
+        {step === 'upload' && (
+          <div className="border-2 border-dashed border-gray-300 rounded-lg p-12 text-center">
+            <Upload className="h-12 w-12 mx-auto mb-4 text-gray-400" />
+            <input
+              type="file"
+              id="medicine-import-file"
+              accept=".csv,.xlsx,.xls"
+              onChange={handleFile}
+              className="hidden"
+            />
+            <label htmlFor="medicine-import-file">
+              <Button asChild className="bg-blue-600 hover:bg-blue-700 cursor-pointer">
+                <span data-testid="import-file-button">Choose File</span>
+              </Button>
+            </label>
+            <p className="text-sm text-gray-500 mt-4">
+              The first row must contain column headers
+            </p>
+          </div>
+        )}
+
+        {step === 'map' && (
+          <div className="space-y-4">
+            <div className="grid grid-cols-2 gap-4">
+              {headers.map((header, idx) => (
+                <div key={idx}>
+                  <Label>{header || `Column ${idx + 1}`}</Label>
+                  <Select
+                    value={mapping[idx]}
+                    onValueChange={(value) => setMapping({ ...mapping, [idx]: value })}
+                  >
+                    <SelectTrigger>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value={SKIP_COLUMN}>Don't import</SelectItem>
+                      {Object.keys(emptyMedicine).map((field) => (
+                        <SelectItem key={field} value={field}>
+                          {MEDICINE_FIELD_LABELS[field]}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              ))}
+            </div>
+            {missingFields.length > 0 && (
+              <div className="bg-orange-50 p-3 rounded text-sm text-orange-800">
+                Not mapped: {missingFields.map((field) => MEDICINE_FIELD_LABELS[field]).join(', ')}.
+                Rows will fail validation for these fields.
+              </div>
+            )}
+            <div className="flex gap-2 justify-end">
+              <Button variant="outline" onClick={reset}>
+                Back
+              </Button>
+              <Button onClick={buildPreview} className="bg-blue-600 hover:bg-blue-700">
+                Validate {rawRows.length} Rows
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {step === 'preview' && (
+          <div className="space-y-4">
+            <div className="flex items-center justify-between">
+              <div className="flex gap-4 text-sm">
+                <span className="text-green-700 font-medium">{validRows.length} valid</span>
+                <span className="text-red-700 font-medium">{invalidRows.length} with errors</span>
+              </div>
+              <label className="flex items-center gap-2 text-sm text-gray-600">
+                <input
+                  type="checkbox"
+                  checked={showErrorsOnly}
+                  onChange={(e) => setShowErrorsOnly(e.target.checked)}
+                />
+                Show only rows with errors
+              </label>
+            </div>
+            <div className="overflow-x-auto border rounded-lg max-h-[50vh]">
+              <table className="w-full text-sm" data-testid="import-preview-table">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr>
+                    <th className="text-left py-2 px-3 font-semibold text-gray-700">Row</th>
+                    {previewFields.map((field) => (
+                      <th key={field} className="text-left py-2 px-3 font-semibold text-gray-700 whitespace-nowrap">
+                        {MEDICINE_FIELD_LABELS[field]}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {displayedRows.map((row) => (
+                    <tr key={row.rowNumber} className="border-t border-gray-100">
+                      <td className="py-2 px-3 text-gray-500">{row.rowNumber}</td>
+                      {previewFields.map((field) => (
+                        <td
+                          key={field}
+                          className={`py-2 px-3 whitespace-nowrap ${row.errors[field] ? 'bg-red-50 text-red-700' : ''}`}
+                        >
+                          {String(row.data[field])}
+                          {row.errors[field] && (
+                            <span className="block text-xs">{row.errors[field]}</span>
+                          )}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            <div className="flex gap-2 justify-end">
+              <Button variant="outline" onClick={() => setStep('map')}>
+                Back
+              </Button>
+              <Button
+                onClick={runImport}
+                disabled={validRows.length === 0}
+                className="bg-blue-600 hover:bg-blue-700"
+                data-testid="start-import-button"
+              >
+                Import {validRows.length} Valid Rows
+              </Button>
+            </div>
+          </div>
+        )}
+
+        {step === 'importing' && (
+          <div className="space-y-3 py-6">
+            <Progress value={progress} />
+            <p className="text-sm text-gray-600 text-center">{progress}% complete</p>
+          </div>
+        )}
+
+        {step === 'done' && (
+          <div className="space-y-4">
+            <div className="bg-green-50 p-4 rounded-lg flex items-center gap-3">
+              <CheckCircle className="h-5 w-5 text-green-600" />
+              <p className="text-sm text-green-800">{importedCount} medicines imported</p>
+            </div>
+            {rejected.length > 0 && (
+              <div className="bg-red-50 p-4 rounded-lg flex items-center justify-between">
+                <div className="flex items-center gap-3">
+                  <AlertCircle className="h-5 w-5 text-red-600" />
+                  <p className="text-sm text-red-800">{rejected.length} rows were rejected</p>
+                </div>
+                <Button variant="outline" size="sm" onClick={downloadRejectionReport}>
+                  <Download className="h-4 w-4 mr-2" />
+                  Rejection Report
+                </Button>
+              </div>
+            )}
+            <div className="flex justify-end">
+              <Button onClick={() => handleOpenChange(false)} className="bg-blue-600 hover:bg-blue-700">
+                Close
+              </Button>
+            </div>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ImportMedicinesDialog;
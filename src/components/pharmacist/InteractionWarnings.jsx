@@ -0,0 +1,69 @@
+import React from 'react';
+import { AlertTriangle, ShieldCheck } from 'lucide-react';
+import { Badge } from '../ui/badge';
+import { Button } from '../ui/button';
+import { Checkbox } from '../ui/checkbox';
+import { INTERACTION_SEVERITIES, needsAcknowledgement } from '../../utils/interactions';
+
+// Interaction and allergy findings for a prescription under review; anything
+// above minor has to be ticked off before the prescription can be approved.
+// Lines written by brand name only resolve through stock, so until stockStatus
+// is 'loaded' the checks are shown as incomplete rather than clear
+const InteractionWarnings = ({ warnings, allergies, acknowledged, onAcknowledge, stockStatus = 'loaded', onRetry }) => (
+  <div className="space-y-2" data-testid="interaction-warnings">
+    <div className="flex items-center justify-between">
+      <h4 className="font-semibold flex items-center gap-2">
+        {warnings.length > 0 || stockStatus !== 'loaded'
+          ? <AlertTriangle className="h-4 w-4 text-orange-600" />
+          : <ShieldCheck className="h-4 w-4 text-green-600" />}
+        Safety Checks
+      </h4>
+      <span className="text-xs text-gray-500">
+        Allergies: {allergies.length > 0 ? allergies.join(', ') : 'none recorded'}
+      </span>
+    </div>
+    {stockStatus === 'loading' && (
+      <p className="text-sm text-orange-700">Loading stock — checks are incomplete until it arrives</p>
+    )}
+    {stockStatus === 'failed' && (
+      <p className="text-sm text-orange-700">
+        Stock couldn&apos;t be loaded, so medicines named by brand weren&apos;t checked.{' '}
+        {onRetry && (
+          <Button type="button" variant="link" className="h-auto p-0 text-orange-700 underline" onClick={onRetry}>
+            Retry
+          </Button>
+        )}
+      </p>
+    )}
+    {stockStatus === 'loaded' && warnings.length === 0 && (
+      <p className="text-sm text-green-700">No interactions or allergy conflicts found</p>
+    )}
+    {warnings.map((warning) => {
+      const severity = INTERACTION_SEVERITIES[warning.severity];
+      return (
+        <div key={warning.id} className={`border rounded p-3 text-sm ${severity.className}`}>
+          <div className="flex items-start justify-between gap-3">
+            <div>
+              <p className="font-medium">{warning.title}</p>
+              <p>{warning.detail}</p>
+            </div>
+            <Badge variant="outline" className="shrink-0">
+              {warning.kind === 'allergy' ? 'Allergy' : severity.label}
+            </Badge>
+          </div>
+          {needsAcknowledgement(warning) && (
+            <label className="flex items-center gap-2 mt-2 cursor-pointer">
+              <Checkbox
+                checked={acknowledged.includes(warning.id)}
+                onCheckedChange={(checked) => onAcknowledge(warning.id, checked === true)}
+              />
+              <span>I have reviewed this and it is safe to proceed</span>
+            </label>
+          )}
+        </div>
+      );
+    })}
+  </div>
+);
+
+export default InteractionWarnings;
@@ -0,0 +1,134 @@
+import React, { useState, useEffect } from 'react';
+import { Search, ArrowDownAZ, ArrowUpAZ, X } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import {
+  SORT_FIELDS,
+  STOCK_STATUS_OPTIONS,
+  EXPIRY_WINDOW_OPTIONS,
+  FACET_KEYS
+} from '../../utils/inventoryQuery';
+
+const ANY = 'all';
+const SEARCH_DEBOUNCE_MS = 300;
+
+const normalizeFacet = (options = []) =>
+  options.map((option) => (typeof option === 'string' ? { value: option } : option));
+
+const FacetSelect = ({ placeholder, value, options, onChange }) => (
+  <Select value={value || ANY} onValueChange={(next) => onChange(next === ANY ? '' : next)}>
+    <SelectTrigger className={`w-44 ${value ? 'border-blue-400' : ''}`}>
+      <SelectValue placeholder={placeholder} />
+    </SelectTrigger>
+    <SelectContent>
+      <SelectItem value={ANY}>{placeholder}</SelectItem>
+      {options.map((option) => (
+        <SelectItem key={option.value} value={String(option.value)}>
+          {option.label || option.value}
+          {option.count !== undefined && ` (${option.count})`}
+        </SelectItem>
+      ))}
+    </SelectContent>
+  </Select>
+);
+
+const InventoryFilters = ({ query, facets = {}, onChange }) => {
+  const [searchInput, setSearchInput] = useState(query.search);
+
+  useEffect(() => {
+    setSearchInput(query.search);
+  }, [query.search]);
+
+  useEffect(() => {
+    if (searchInput === query.search) return undefined;
+    const timer = setTimeout(() => onChange({ search: searchInput }), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [searchInput, query.search, onChange]);
+
+  const activeFilters = FACET_KEYS.filter((key) => query[key]).length;
+
+  return (
+    <div className="space-y-3">
+      <div className="flex gap-2">
+        <div className="relative flex-1">
+          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-4 w-4" />
+          <Input
+            placeholder="Search medicines..."
+            className="pl-10"
+            value={searchInput}
+            onChange={(e) => setSearchInput(e.target.value)}
+            data-testid="search-medicine-input"
+          />
+        </div>
+        <Select value={query.sort} onValueChange={(sort) => onChange({ sort })}>
+          <SelectTrigger className="w-44" data-testid="sort-select">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.entries(SORT_FIELDS).map(([field, label]) => (
+              <SelectItem key={field} value={field}>Sort: {label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <Button
+          variant="outline"
+          size="icon"
+          onClick={() => onChange({ order: query.order === 'asc' ? 'desc' : 'asc' })}
+          title={query.order === 'asc' ? 'Ascending' : 'Descending'}
+        >
+          {query.order === 'asc' ? <ArrowDownAZ className="h-4 w-4" /> : <ArrowUpAZ className="h-4 w-4" />}
+        </Button>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2" data-testid="inventory-facets">
+        <FacetSelect
+          placeholder="All categories"
+          value={query.category}
+          options={normalizeFacet(facets.category)}
+          onChange={(category) => onChange({ category })}
+        />
+        <FacetSelect
+          placeholder="All manufacturers"
+          value={query.manufacturer}
+          options={normalizeFacet(facets.manufacturer)}
+          onChange={(manufacturer) => onChange({ manufacturer })}
+        />
+        <FacetSelect
+          placeholder="All locations"
+          value={query.location}
+          options={normalizeFacet(facets.location)}
+          onChange={(location) => onChange({ location })}
+        />
+        <FacetSelect
+          placeholder="Any stock status"
+          value={query.stock_status}
+          options={Object.entries(STOCK_STATUS_OPTIONS).map(([value, label]) => ({
+            value,
+            label,
+            count: facets.stock_status?.[value]
+          }))}
+          onChange={(stock_status) => onChange({ stock_status })}
+        />
+        <FacetSelect
+          placeholder="Any expiry"
+          value={query.expiry_within}
+          options={Object.entries(EXPIRY_WINDOW_OPTIONS).map(([value, label]) => ({ value, label }))}
+          onChange={(expiry_within) => onChange({ expiry_within })}
+        />
+        {activeFilters > 0 && (
+          <Button
+            variant="ghost"
+            size="sm"
+            onClick={() => onChange(Object.fromEntries(FACET_KEYS.map((key) => [key, ''])))}
+          >
+            <X className="h-4 w-4 mr-1" />
+            Clear filters
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default InventoryFilters;
@@ -1,104 +1,247 @@
-import React, { useState, useEffect } from 'react';
-import { Plus, Search, Edit, Trash2 } from 'lucide-react';
+import React, { useState, useEffect, useMemo, useCallback } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { useForm } from 'react-hook-form';
+import { Plus, FileUp, ScanLine, Printer, X, BookOpen } from 'lucide-react';
 import { Button } from '../ui/button';
-import { Input } from '../ui/input';
-import { Label } from '../ui/label';
+import { Form } from '../ui/form';
 import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle, DialogTrigger } from '../ui/dialog';
-import { Card, CardContent } from '../ui/card';
-import { Badge } from '../ui/badge';
+import MedicineFormFields from './MedicineFormFields';
+import EditMedicineDialog from './EditMedicineDialog';
+import ImportMedicinesDialog from './ImportMedicinesDialog';
+import DrugCatalogDialog from './DrugCatalogDialog';
+import MedicineBatchesDialog from './MedicineBatchesDialog';
+import StockAdjustmentDialog from './StockAdjustmentDialog';
+import MovementHistoryDialog from './MovementHistoryDialog';
+import HoldDialog from './HoldDialog';
+import InventoryFilters from './InventoryFilters';
+import InventoryViewControls from './InventoryViewControls';
+import MedicineCard from './MedicineCard';
+import MedicineTable from './MedicineTable';
+import MedicineActions from './MedicineActions';
+import ScanBarcodeDialog from './ScanBarcodeDialog';
+import WitnessFields from './WitnessFields';
+import LabelPrintDialog from './LabelPrintDialog';
+import ListPagination from '../ListPagination';
+import { useBarcodeScanner } from '../../hooks/use-barcode-scanner';
 import api from '../../utils/api';
+import { emptyMedicine } from '../../utils/medicine';
+import { medicineResolver, applyServerErrors } from '../../utils/medicineSchema';
+import { readInventoryQuery, toSearchParams, toApiParams } from '../../utils/inventoryQuery';
+import { loadTablePrefs, saveTablePrefs } from '../../utils/inventoryViews';
+import { getLookupCode } from '../../utils/gs1';
+import { emptyWitness, isControlled, getWitnessError } from '../../utils/controlled';
 import { toast } from 'sonner';
 
+const UNDO_WINDOW_MS = 8000;
+
 const InventoryManagement = () => {
+  const [searchParams, setSearchParams] = useSearchParams();
   const [medicines, setMedicines] = useState([]);
-  const [filteredMedicines, setFilteredMedicines] = useState([]);
-  const [searchTerm, setSearchTerm] = useState('');
+  const [total, setTotal] = useState(0);
+  const [facets, setFacets] = useState({});
   const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
   const [showAddDialog, setShowAddDialog] = useState(false);
-  const [formData, setFormData] = useState({
-    name: '',
-    generic_name: '',
-    category: '',
-    manufacturer: '',
-    quantity: 0,
-    unit: '',
-    reorder_level: 0,
-    unit_price: 0,
-    batch_number: '',
-    expiry_date: '',
-    location: '',
-    description: ''
+  const [editingMedicine, setEditingMedicine] = useState(null);
+  const [showImportDialog, setShowImportDialog] = useState(false);
+  const [showCatalogDialog, setShowCatalogDialog] = useState(false);
+  const [batchesMedicineId, setBatchesMedicineId] = useState(null);
+  const [holdMedicineId, setHoldMedicineId] = useState(null);
+  const [adjustingMedicine, setAdjustingMedicine] = useState(null);
+  const [historyMedicine, setHistoryMedicine] = useState(null);
+  const [existingMedicines, setExistingMedicines] = useState([]);
+  const addForm = useForm({
+    resolver: medicineResolver,
+    context: { existing: existingMedicines },
+    defaultValues: emptyMedicine
   });
+  const [tablePrefs, setTablePrefs] = useState(loadTablePrefs);
+  const [scanTarget, setScanTarget] = useState(null);
+  const [addWitness, setAddWitness] = useState(emptyWitness);
+  // Keyed by id so a selection survives paging and filtering
+  const [selectedMedicines, setSelectedMedicines] = useState({});
+  const [showLabelDialog, setShowLabelDialog] = useState(false);
 
-  useEffect(() => {
-    fetchMedicines();
-  }, []);
+  const query = useMemo(() => readInventoryQuery(searchParams), [searchParams]);
 
-  useEffect(() => {
-    const filtered = medicines.filter(med =>
-      med.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      med.generic_name.toLowerCase().includes(searchTerm.toLowerCase())
-    );
-    setFilteredMedicines(filtered);
-  }, [searchTerm, medicines]);
-
-  const fetchMedicines = async () => {
+  // Any filter or sort change sends the user back to the first page
+  const updateQuery = useCallback((patch) => {
+    setSearchParams(toSearchParams({ ...query, page: 1, ...patch }));
+  }, [query, setSearchParams]);
+
+  const fetchMedicines = useCallback(async () => {
+    setRefreshing(true);
     try {
-      const response = await api.get('/medicines');
-      setMedicines(response.data);
-      setFilteredMedicines(response.data);
+      const response = await api.get('/medicines', { params: toApiParams(query) });
+      const { items, total: totalCount, facets: facetCounts } = response.data;
+      if (items.length === 0 && query.page > 1) {
+        setSearchParams(toSearchParams({ ...query, page: query.page - 1 }));
+        return;
+      }
+      setMedicines(items);
+      setTotal(totalCount);
+      setFacets(facetCounts || {});
     } catch (error) {
       toast.error('Failed to load medicines');
     } finally {
       setLoading(false);
+      setRefreshing(false);
+    }
+  }, [query, setSearchParams]);
+
+  useEffect(() => {
+    fetchMedicines();
+  }, [fetchMedicines]);
+
+  // Full product list for the one-batch-per-product check
+  useEffect(() => {
+    if (!showAddDialog) return;
+    const fetchExisting = async () => {
+      try {
+        const response = await api.get('/medicines');
+        setExistingMedicines(response.data);
+      } catch (error) {
+        setExistingMedicines([]);
+      }
+    };
+    fetchExisting();
+  }, [showAddDialog]);
+
+  // Opening stock of a controlled drug is its first register entry
+  const [addControlled, addQuantity] = addForm.watch(['is_controlled', 'quantity']);
+  const needsAddWitness = addControlled && addQuantity > 0;
+
+  const handleSubmit = addForm.handleSubmit(async (values) => {
+    const witnessError = needsAddWitness && getWitnessError(addWitness);
+    if (witnessError) {
+      toast.error(witnessError);
+      return;
     }
-  };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
     try {
-      await api.post('/medicines', formData);
+      await api.post('/medicines', needsAddWitness ? { ...values, ...addWitness } : values);
       toast.success('Medicine added successfully');
       setShowAddDialog(false);
       fetchMedicines();
       resetForm();
     } catch (error) {
-      toast.error('Failed to add medicine');
+      if (!applyServerErrors(error, addForm.setError)) {
+        toast.error(error.response?.data?.detail || 'Failed to add medicine');
+      }
     }
-  };
+  });
 
-  const handleDelete = async (id) => {
-    if (!window.confirm('Are you sure you want to delete this medicine?')) return;
+  // Deleting archives the medicine; the toast's Undo restores it straight away
+  const handleDelete = async (medicine) => {
     try {
-      await api.delete(`/medicines/${id}`);
-      toast.success('Medicine deleted');
+      await api.delete(`/medicines/${medicine.id}`);
       fetchMedicines();
+      toast.success(`${medicine.name} moved to archive`, {
+        duration: UNDO_WINDOW_MS,
+        action: { label: 'Undo', onClick: () => handleRestore(medicine) }
+      });
     } catch (error) {
       toast.error('Failed to delete medicine');
     }
   };
 
+  const handleRestore = async (medicine) => {
+    try {
+      await api.post(`/medicines/${medicine.id}/restore`);
+      toast.success(`${medicine.name} restored`);
+      fetchMedicines();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to restore medicine');
+    }
+  };
+
   const resetForm = () => {
-    setFormData({
-      name: '',
-      generic_name: '',
-      category: '',
-      manufacturer: '',
-      quantity: 0,
-      unit: '',
-      reorder_level: 0,
-      unit_price: 0,
-      batch_number: '',
-      expiry_date: '',
-      location: '',
-      description: ''
+    addForm.reset(emptyMedicine);
+    setAddWitness(emptyWitness);
+  };
+
+  const prefillFromScan = (parsed, base = addForm.getValues()) => {
+    addForm.reset({
+      ...base,
+      gtin: parsed.gtin || base.gtin,
+      batch_number: parsed.batch || base.batch_number,
+      expiry_date: parsed.expiry || base.expiry_date
     });
   };
 
-  const getStockStatus = (quantity, reorderLevel) => {
-    if (quantity === 0) return { label: 'Out of Stock', color: 'destructive' };
-    if (quantity <= reorderLevel) return { label: 'Low Stock', color: 'warning' };
-    return { label: 'In Stock', color: 'success' };
+  // Jump to the scanned box if we stock it, otherwise start receiving it as new
+  const handleScanLookup = async (parsed) => {
+    // The raw code goes last so a misread element string still finds a label printed from it
+    const codes = [...new Set([parsed.batch, parsed.gtin, parsed.raw].filter(Boolean))];
+    try {
+      for (const code of codes) {
+        const response = await api.get('/medicines', { params: toApiParams({ search: code, page: 1, page_size: 1 }) });
+        const [match] = response.data.items;
+        if (match) {
+          updateQuery({ search: code });
+          toast.success(`Found ${match.name}`);
+          return;
+        }
+      }
+      prefillFromScan(parsed, emptyMedicine);
+      setShowAddDialog(true);
+      toast.info(`No match for ${getLookupCode(parsed)} — add it as new stock`);
+    } catch (error) {
+      toast.error('Failed to look up scanned code');
+    }
+  };
+
+  const anyDialogOpen = showAddDialog || showImportDialog || showCatalogDialog || !!scanTarget || showLabelDialog ||
+    !!editingMedicine || !!batchesMedicineId || !!holdMedicineId || !!adjustingMedicine || !!historyMedicine;
+
+  useBarcodeScanner(handleScanLookup, { enabled: !anyDialogOpen });
+
+  const updateSelection = (items, selected) => {
+    const next = { ...selectedMedicines };
+    items.forEach((medicine) => {
+      if (selected) {
+        next[medicine.id] = medicine;
+      } else {
+        delete next[medicine.id];
+      }
+    });
+    setSelectedMedicines(next);
+  };
+
+  const selectedList = Object.values(selectedMedicines);
+  const selectedIds = selectedList.map((medicine) => medicine.id);
+
+  const updateTablePrefs = (patch) => {
+    const next = { ...tablePrefs, ...patch };
+    setTablePrefs(next);
+    saveTablePrefs(next);
+  };
+
+  const handleSort = (field) => {
+    const order = query.sort === field && query.order === 'asc' ? 'desc' : 'asc';
+    updateQuery({ sort: field, order });
+  };
+
+  const applySavedView = (saved) => {
+    updateTablePrefs({ columns: saved.columns, widths: saved.widths });
+    setSearchParams(toSearchParams({ ...readInventoryQuery(new URLSearchParams()), ...saved.query, page: 1 }));
+  };
+
+  const { page, ...viewQuery } = query;
+
+  const actionHandlers = {
+    onEdit: setEditingMedicine,
+    onDelete: (medicine) => {
+      if (isControlled(medicine)) {
+        toast.error('Controlled substances cannot be deleted');
+        return;
+      }
+      handleDelete(medicine);
+    },
+    onBatches: (medicine) => setBatchesMedicineId(medicine.id),
+    onAdjust: setAdjustingMedicine,
+    onHistory: setHistoryMedicine,
+    onHold: (medicine) => setHoldMedicineId(medicine.id)
   };
 
   if (loading) {
@@ -112,208 +255,191 @@ const InventoryManagement = () => {
           <h1 className="text-3xl font-bold text-gray-900">Inventory Management</h1>
           <p className="text-gray-600 mt-2">Manage your medicine stock</p>
         </div>
-        <Dialog open={showAddDialog} onOpenChange={setShowAddDialog}>
-          <DialogTrigger asChild>
-            <Button className="bg-blue-600 hover:bg-blue-700" data-testid="add-medicine-button">
-              <Plus className="h-4 w-4 mr-2" />
-              Add Medicine
-            </Button>
-          </DialogTrigger>
-          <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
-            <DialogHeader>
-              <DialogTitle>Add New Medicine</DialogTitle>
-              <DialogDescription>Enter medicine details</DialogDescription>
-            </DialogHeader>
-            <form onSubmit={handleSubmit} className="space-y-4">
-              <div className="grid grid-cols-2 gap-4">
-                <div>
-                  <Label>Medicine Name</Label>
-                  <Input
-                    value={formData.name}
-                    onChange={(e) => setFormData({ ...formData, name: e.target.value })}
-                    required
-                  />
-                </div>
-                <div>
-                  <Label>Generic Name</Label>
-                  <Input
-                    value={formData.generic_name}
-                    onChange={(e) => setFormData({ ...formData, generic_name: e.target.value })}
-                    required
-                  />
-                </div>
-                <div>
-                  <Label>Category</Label>
-                  <Input
-                    value={formData.category}
-                    onChange={(e) => setFormData({ ...formData, category: e.target.value })}
-                    required
-                  />
-                </div>
-                <div>
-                  <Label>Manufacturer</Label>
-                  <Input
-                    value={formData.manufacturer}
-                    onChange={(e) => setFormData({ ...formData, manufacturer: e.target.value })}
-                    required
-                  />
-                </div>
-                <div>
-                  <Label>Quantity</Label>
-                  <Input
-                    type="number"
-                    value={formData.quantity}
-                    onChange={(e) => setFormData({ ...formData, quantity: parseInt(e.target.value) })}
-                    required
-                  />
-                </div>
-                <div>
-                  <Label>Unit</Label>
-                  <Input
-                    value={formData.unit}
-                    onChange={(e) => setFormData({ ...formData, unit: e.target.value })}
-                    placeholder="tablets, ml, etc."
-                    required
-                  />
-                </div>
-                <div>
-                  <Label>Reorder Level</Label>
-                  <Input
-                    type="number"
-                    value={formData.reorder_level}
-                    onChange={(e) => setFormData({ ...formData, reorder_level: parseInt(e.target.value) })}
-                    required
-                  />
-                </div>
-                <div>
-                  <Label>Unit Price</Label>
-                  <Input
-                    type="number"
-                    step="0.01"
-                    value={formData.unit_price}
-                    onChange={(e) => setFormData({ ...formData, unit_price: parseFloat(e.target.value) })}
-                    required
-                  />
-                </div>
-                <div>
-                  <Label>Batch Number</Label>
-                  <Input
-                    value={formData.batch_number}
-                    onChange={(e) => setFormData({ ...formData, batch_number: e.target.value })}
-                    required
-                  />
-                </div>
-                <div>
-                  <Label>Expiry Date</Label>
-                  <Input
-                    type="date"
-                    value={formData.expiry_date}
-                    onChange={(e) => setFormData({ ...formData, expiry_date: e.target.value })}
-                    required
-                  />
-                </div>
-                <div>
-                  <Label>Location</Label>
-                  <Input
-                    value={formData.location}
-                    onChange={(e) => setFormData({ ...formData, location: e.target.value })}
-                    placeholder="Shelf A1, etc."
-                    required
-                  />
-                </div>
-              </div>
-              <div>
-                <Label>Description</Label>
-                <Input
-                  value={formData.description}
-                  onChange={(e) => setFormData({ ...formData, description: e.target.value })}
-                />
-              </div>
-              <div className="flex gap-2 justify-end">
-                <Button type="button" variant="outline" onClick={() => setShowAddDialog(false)}>
-                  Cancel
-                </Button>
-                <Button type="submit" className="bg-blue-600 hover:bg-blue-700">
-                  Add Medicine
-                </Button>
-              </div>
-            </form>
-          </DialogContent>
-        </Dialog>
+        <div className="flex gap-2">
+          <Button variant="outline" onClick={() => setScanTarget('lookup')} data-testid="scan-barcode-button">
+            <ScanLine className="h-4 w-4 mr-2" />
+            Scan
+          </Button>
+          <Button variant="outline" onClick={() => setShowCatalogDialog(true)} data-testid="drug-catalog-button">
+            <BookOpen className="h-4 w-4 mr-2" />
+            Catalog
+          </Button>
+          <Button variant="outline" onClick={() => setShowImportDialog(true)} data-testid="import-medicines-button">
+            <FileUp className="h-4 w-4 mr-2" />
+            Import
+          </Button>
+          <Dialog open={showAddDialog} onOpenChange={setShowAddDialog}>
+            <DialogTrigger asChild>
+              <Button className="bg-blue-600 hover:bg-blue-700" data-testid="add-medicine-button">
+                <Plus className="h-4 w-4 mr-2" />
+                Add Medicine
+              </Button>
+            </DialogTrigger>
+            <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+              <DialogHeader>
+                <DialogTitle>Add New Medicine</DialogTitle>
+                <DialogDescription>Enter medicine details</DialogDescription>
+              </DialogHeader>
+              <Form {...addForm}>
+                <form onSubmit={handleSubmit} className="space-y-4" noValidate>
+                  <Button type="button" variant="outline" size="sm" onClick={() => setScanTarget('add')}>
+                    <ScanLine className="h-4 w-4 mr-2" />
+                    Scan Box to Prefill
+                  </Button>
+                  <MedicineFormFields existing={existingMedicines} />
+                  {needsAddWitness && <WitnessFields witness={addWitness} onChange={setAddWitness} />}
+                  <div className="flex gap-2 justify-end">
+                    <Button type="button" variant="outline" onClick={() => setShowAddDialog(false)}>
+                      Cancel
+                    </Button>
+                    <Button type="submit" className="bg-blue-600 hover:bg-blue-700">
+                      Add Medicine
+                    </Button>
+                  </div>
+                </form>
+              </Form>
+            </DialogContent>
+          </Dialog>
+        </div>
       </div>
 
-      {/* Search */}
-      <div className="relative">
-        <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-4 w-4" />
-        <Input
-          placeholder="Search medicines..."
-          className="pl-10"
-          value={searchTerm}
-          onChange={(e) => setSearchTerm(e.target.value)}
-          data-testid="search-medicine-input"
+      <ScanBarcodeDialog
+        open={!!scanTarget}
+        onOpenChange={(open) => !open && setScanTarget(null)}
+        onScan={scanTarget === 'add' ? prefillFromScan : handleScanLookup}
+        title={scanTarget === 'add' ? 'Scan to Prefill' : 'Find by Barcode'}
+      />
+
+      <LabelPrintDialog
+        medicines={selectedList}
+        open={showLabelDialog}
+        onOpenChange={setShowLabelDialog}
+      />
+
+      <DrugCatalogDialog open={showCatalogDialog} onOpenChange={setShowCatalogDialog} />
+
+      <ImportMedicinesDialog
+        open={showImportDialog}
+        onOpenChange={setShowImportDialog}
+        onImported={fetchMedicines}
+      />
+
+      <EditMedicineDialog
+        medicine={editingMedicine}
+        open={!!editingMedicine}
+        onOpenChange={(open) => !open && setEditingMedicine(null)}
+        onSaved={fetchMedicines}
+        onAdjustStock={(medicine) => {
+          setEditingMedicine(null);
+          setAdjustingMedicine(medicine);
+        }}
+      />
+
+      <MedicineBatchesDialog
+        medicine={medicines.find((med) => med.id === batchesMedicineId)}
+        open={!!batchesMedicineId}
+        onOpenChange={(open) => !open && setBatchesMedicineId(null)}
+        onSaved={fetchMedicines}
+      />
+
+      <HoldDialog
+        medicine={medicines.find((med) => med.id === holdMedicineId)}
+        open={!!holdMedicineId}
+        onOpenChange={(open) => !open && setHoldMedicineId(null)}
+        onSaved={fetchMedicines}
+      />
+
+      <StockAdjustmentDialog
+        medicine={adjustingMedicine}
+        open={!!adjustingMedicine}
+        onOpenChange={(open) => !open && setAdjustingMedicine(null)}
+        onSaved={fetchMedicines}
+      />
+
+      <MovementHistoryDialog
+        medicine={historyMedicine}
+        open={!!historyMedicine}
+        onOpenChange={(open) => !open && setHistoryMedicine(null)}
+      />
+
+      {/* Search & Filters */}
+      <div className="flex items-start gap-2">
+        <div className="flex-1">
+          <InventoryFilters query={query} facets={facets} onChange={updateQuery} />
+        </div>
+        <InventoryViewControls
+          view={query.view}
+          onViewChange={(view) => updateQuery({ view, page: query.page })}
+          columns={tablePrefs.columns}
+          onColumnsChange={(columns) => updateTablePrefs({ columns })}
+          currentView={{ query: viewQuery, columns: tablePrefs.columns, widths: tablePrefs.widths }}
+          onApplyView={applySavedView}
         />
       </div>
 
-      {/* Medicine Grid */}
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-        {filteredMedicines.map((medicine) => {
-          const status = getStockStatus(medicine.quantity, medicine.reorder_level);
-          return (
-            <Card key={medicine.id} data-testid="medicine-card">
-              <CardContent className="p-6">
-                <div className="flex items-start justify-between mb-4">
-                  <div>
-                    <h3 className="font-semibold text-lg text-gray-900">{medicine.name}</h3>
-                    <p className="text-sm text-gray-600">{medicine.generic_name}</p>
-                  </div>
-                  <Badge className={`bg-${status.color === 'success' ? 'green' : status.color === 'warning' ? 'orange' : 'red'}-100 text-${status.color === 'success' ? 'green' : status.color === 'warning' ? 'orange' : 'red'}-800`}>
-                    {status.label}
-                  </Badge>
-                </div>
-                <div className="space-y-2 text-sm">
-                  <div className="flex justify-between">
-                    <span className="text-gray-600">Quantity:</span>
-                    <span className="font-medium">{medicine.quantity} {medicine.unit}</span>
-                  </div>
-                  <div className="flex justify-between">
-                    <span className="text-gray-600">Category:</span>
-                    <span className="font-medium">{medicine.category}</span>
-                  </div>
-                  <div className="flex justify-between">
-                    <span className="text-gray-600">Batch:</span>
-                    <span className="font-medium">{medicine.batch_number}</span>
-                  </div>
-                  <div className="flex justify-between">
-                    <span className="text-gray-600">Expiry:</span>
-                    <span className="font-medium">{new Date(medicine.expiry_date).toLocaleDateString()}</span>
-                  </div>
-                  <div className="flex justify-between">
-                    <span className="text-gray-600">Location:</span>
-                    <span className="font-medium">{medicine.location}</span>
-                  </div>
-                </div>
-                <div className="flex gap-2 mt-4">
-                  <Button
-                    variant="destructive"
-                    size="sm"
-                    onClick={() => handleDelete(medicine.id)}
-                    className="flex-1"
-                    data-testid="delete-medicine-button"
-                  >
-                    <Trash2 className="h-4 w-4" />
-                  </Button>
-                </div>
-              </CardContent>
-            </Card>
-          );
-        })}
+      {selectedList.length > 0 && (
+        <div className="flex items-center justify-between bg-blue-50 border border-blue-200 rounded-lg px-4 py-2">
+          <span className="text-sm text-blue-900">
+            {selectedList.length} medicine{selectedList.length === 1 ? '' : 's'} selected
+          </span>
+          <div className="flex gap-2">
+            <Button size="sm" onClick={() => setShowLabelDialog(true)} data-testid="open-label-dialog-button">
+              <Printer className="h-4 w-4 mr-2" />
+              Print Labels
+            </Button>
+            <Button size="sm" variant="ghost" onClick={() => setSelectedMedicines({})}>
+              <X className="h-4 w-4 mr-1" />
+              Clear
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {/* Medicine List */}
+      <div className={refreshing ? 'opacity-60' : ''}>
+        {query.view === 'table' ? (
+          <MedicineTable
+            medicines={medicines}
+            columns={tablePrefs.columns}
+            widths={tablePrefs.widths}
+            onWidthsChange={(widths) => updateTablePrefs({ widths })}
+            sort={query.sort}
+            order={query.order}
+            onSort={handleSort}
+            renderActions={(medicine) => (
+              <MedicineActions medicine={medicine} handlers={actionHandlers} compact />
+            )}
+            selectedIds={selectedIds}
+            onSelectionChange={updateSelection}
+          />
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
+            {medicines.map((medicine) => (
+              <MedicineCard
+                key={medicine.id}
+                medicine={medicine}
+                actions={<MedicineActions medicine={medicine} handlers={actionHandlers} />}
+                selected={!!selectedMedicines[medicine.id]}
+                onSelectedChange={(selected) => updateSelection([medicine], selected)}
+              />
+            ))}
+          </div>
+        )}
       </div>
 
-      {filteredMedicines.length === 0 && (
+      {medicines.length === 0 && (
         <div className="text-center py-12 text-gray-500">
           No medicines found
         </div>
       )}
+
+      <ListPagination
+        page={query.page}
+        pageSize={query.page_size}
+        total={total}
+        onPageChange={(page) => updateQuery({ page })}
+        onPageSizeChange={(page_size) => updateQuery({ page_size })}
+      />
     </div>
   );
 };
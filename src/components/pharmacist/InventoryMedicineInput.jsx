@@ -0,0 +1,45 @@
+import React from 'react';
+import AutocompleteInput from './AutocompleteInput';
+import { getAvailableQuantity } from '../../utils/holds';
+
+const searchInventory = (medicines, term, limit = 8) => {
+  const query = String(term || '').trim().toLowerCase();
+  if (!query) return [];
+  return medicines
+    .filter((medicine) =>
+      [medicine.name, medicine.generic_name].some((value) => String(value || '').toLowerCase().includes(query))
+    )
+    .slice(0, limit);
+};
+
+const renderMedicine = (medicine) => {
+  const available = getAvailableQuantity(medicine);
+  return (
+    <div className="flex w-full justify-between gap-2">
+      <div>
+        <p className="font-medium">{medicine.name}</p>
+        <p className="text-xs text-gray-500">{medicine.generic_name}</p>
+      </div>
+      <span className={`text-xs ${available > 0 ? 'text-green-700' : 'text-red-600'}`}>
+        {available} {medicine.unit}
+      </span>
+    </div>
+  );
+};
+
+// Medicine name input that suggests products from live inventory with what
+// can be dispensed right now; picking one hands the medicine to onSelectMedicine
+const InventoryMedicineInput = React.forwardRef(({ onSelectMedicine, medicines, ...props }, ref) => (
+  <AutocompleteInput
+    ref={ref}
+    {...props}
+    onSelectItem={onSelectMedicine}
+    search={(term) => searchInventory(medicines, term)}
+    getKey={(medicine) => medicine.id}
+    renderItem={renderMedicine}
+    heading="Inventory"
+  />
+));
+InventoryMedicineInput.displayName = 'InventoryMedicineInput';
+
+export default InventoryMedicineInput;
@@ -0,0 +1,162 @@
+import React, { useState } from 'react';
+import { LayoutGrid, Table2, Columns3, Bookmark, Trash2 } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { ToggleGroup, ToggleGroupItem } from '../ui/toggle-group';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '../ui/dialog';
+import {
+  DropdownMenu,
+  DropdownMenuCheckboxItem,
+  DropdownMenuContent,
+  DropdownMenuItem,
+  DropdownMenuLabel,
+  DropdownMenuSeparator,
+  DropdownMenuTrigger
+} from '../ui/dropdown-menu';
+import { TABLE_COLUMNS, DEFAULT_COLUMNS, loadSavedViews, saveSavedViews } from '../../utils/inventoryViews';
+import { toast } from 'sonner';
+
+const InventoryViewControls = ({ view, onViewChange, columns, onColumnsChange, currentView, onApplyView }) => {
+  const [savedViews, setSavedViews] = useState(loadSavedViews);
+  const [showSaveDialog, setShowSaveDialog] = useState(false);
+  const [viewName, setViewName] = useState('');
+
+  const toggleColumn = (key, checked) => {
+    const next = checked ? [...columns, key] : columns.filter((column) => column !== key);
+    if (next.length === 0) return;
+    onColumnsChange(next);
+  };
+
+  const updateSavedViews = (views) => {
+    setSavedViews(views);
+    saveSavedViews(views);
+  };
+
+  const handleSaveView = (e) => {
+    e.preventDefault();
+    const name = viewName.trim();
+    const others = savedViews.filter((saved) => saved.name !== name);
+    updateSavedViews([...others, { name, ...currentView }]);
+    toast.success(`View "${name}" saved`);
+    setViewName('');
+    setShowSaveDialog(false);
+  };
+
+  const deleteView = (name) => {
+    updateSavedViews(savedViews.filter((saved) => saved.name !== name));
+  };
+
+  return (
+    <div className="flex items-center gap-2">
+      <ToggleGroup
+        type="single"
+        variant="outline"
+        value={view}
+        onValueChange={(value) => value && onViewChange(value)}
+      >
+        <ToggleGroupItem value="grid" aria-label="Card view" data-testid="grid-view-toggle">
+          <LayoutGrid className="h-4 w-4" />
+        </ToggleGroupItem>
+        <ToggleGroupItem value="table" aria-label="Table view" data-testid="table-view-toggle">
+          <Table2 className="h-4 w-4" />
+        </ToggleGroupItem>
+      </ToggleGroup>
+
+      {view === 'table' && (
+        <DropdownMenu>
+          <DropdownMenuTrigger asChild>
+            <Button variant="outline" size="sm" data-testid="column-chooser-button">
+              <Columns3 className="h-4 w-4 mr-2" />
+              Columns
+            </Button>
+          </DropdownMenuTrigger>
+          <DropdownMenuContent align="end">
+            <DropdownMenuLabel>Visible columns</DropdownMenuLabel>
+            <DropdownMenuSeparator />
+            {TABLE_COLUMNS.map((column) => (
+              <DropdownMenuCheckboxItem
+                key={column.key}
+                checked={columns.includes(column.key)}
+                onCheckedChange={(checked) => toggleColumn(column.key, checked)}
+                onSelect={(e) => e.preventDefault()}
+              >
+                {column.label}
+              </DropdownMenuCheckboxItem>
+            ))}
+            <DropdownMenuSeparator />
+            <DropdownMenuItem onClick={() => onColumnsChange(DEFAULT_COLUMNS)}>
+              Reset to default
+            </DropdownMenuItem>
+          </DropdownMenuContent>
+        </DropdownMenu>
+      )}
+
+      <DropdownMenu>
+        <DropdownMenuTrigger asChild>
+          <Button variant="outline" size="sm" data-testid="saved-views-button">
+            <Bookmark className="h-4 w-4 mr-2" />
+            Views
+          </Button>
+        </DropdownMenuTrigger>
+        <DropdownMenuContent align="end" className="w-56">
+          <DropdownMenuLabel>Saved views</DropdownMenuLabel>
+          <DropdownMenuSeparator />
+          {savedViews.length === 0 && (
+            <p className="px-2 py-1.5 text-sm text-gray-500">No saved views yet</p>
+          )}
+          {savedViews.map((saved) => (
+            <DropdownMenuItem key={saved.name} onClick={() => onApplyView(saved)} className="justify-between">
+              <span className="truncate">{saved.name}</span>
+              <button
+                type="button"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  deleteView(saved.name);
+                }}
+                className="text-gray-400 hover:text-red-600"
+                aria-label={`Delete view ${saved.name}`}
+              >
+                <Trash2 className="h-3 w-3" />
+              </button>
+            </DropdownMenuItem>
+          ))}
+          <DropdownMenuSeparator />
+          <DropdownMenuItem onClick={() => setShowSaveDialog(true)}>
+            Save current view...
+          </DropdownMenuItem>
+        </DropdownMenuContent>
+      </DropdownMenu>
+
+      <Dialog open={showSaveDialog} onOpenChange={setShowSaveDialog}>
+        <DialogContent className="max-w-sm">
+          <DialogHeader>
+            <DialogTitle>Save View</DialogTitle>
+            <DialogDescription>Filters, sort, layout and columns are saved together</DialogDescription>
+          </DialogHeader>
+          <form onSubmit={handleSaveView} className="space-y-4">
+            <div>
+              <Label>View Name</Label>
+              <Input
+                value={viewName}
+                onChange={(e) => setViewName(e.target.value)}
+                placeholder="e.g. Low stock in storeroom"
+                required
+              />
+            </div>
+            <div className="flex gap-2 justify-end">
+              <Button type="button" variant="outline" onClick={() => setShowSaveDialog(false)}>
+                Cancel
+              </Button>
+              <Button type="submit" className="bg-blue-600 hover:bg-blue-700">
+                Save
+              </Button>
+            </div>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+};
+
+export default InventoryViewControls;
@@ -0,0 +1,129 @@
+import React, { useState } from 'react';
+import { createPortal } from 'react-dom';
+import { Printer } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '../ui/dialog';
+import MedicineLabelSheet from './MedicineLabelSheet';
+import { LABEL_TEMPLATES, BARCODE_TYPES, PAGE_SIZES, getTemplate, getLabelBatches, buildLabelSheets } from '../../utils/labels';
+
+const PREVIEW_SCALE = 0.5;
+
+const LabelPrintDialog = ({ medicines, open, onOpenChange }) => {
+  const [templateId, setTemplateId] = useState(LABEL_TEMPLATES[0].id);
+  const [barcodeType, setBarcodeType] = useState('code128');
+  const [copies, setCopies] = useState(1);
+  const [offset, setOffset] = useState(0);
+
+  const template = getTemplate(templateId);
+  const batchCount = medicines.flatMap(getLabelBatches).length;
+  const sheets = buildLabelSheets(medicines, template, {
+    copies: Math.max(1, parseInt(copies) || 1),
+    offset: parseInt(offset) || 0
+  });
+  const page = PAGE_SIZES[template.pageSize];
+  const perSheet = template.columns * template.rows;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-4xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Print Labels</DialogTitle>
+          <DialogDescription>
+            {medicines.length} medicine{medicines.length === 1 ? '' : 's'} · {batchCount} batch{batchCount === 1 ? '' : 'es'} · {sheets.length} sheet{sheets.length === 1 ? '' : 's'}
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="grid grid-cols-4 gap-4">
+          <div className="col-span-2">
+            <Label>Label Sheet</Label>
+            <Select value={templateId} onValueChange={setTemplateId}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {LABEL_TEMPLATES.map((option) => (
+                  <SelectItem key={option.id} value={option.id}>{option.label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div>
+            <Label>Barcode</Label>
+            <Select value={barcodeType} onValueChange={setBarcodeType}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                {Object.entries(BARCODE_TYPES).map(([value, label]) => (
+                  <SelectItem key={value} value={value}>{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <div className="grid grid-cols-2 gap-2">
+            <div>
+              <Label>Copies</Label>
+              <Input type="number" min="1" value={copies} onChange={(e) => setCopies(e.target.value)} />
+            </div>
+            <div>
+              <Label>Skip</Label>
+              <Input
+                type="number"
+                min="0"
+                max={perSheet - 1}
+                value={offset}
+                onChange={(e) => setOffset(e.target.value)}
+                title="Labels already used on the first sheet"
+              />
+            </div>
+          </div>
+        </div>
+
+        {/* Preview of the first sheet */}
+        <div
+          className="bg-gray-100 rounded-lg p-4 overflow-auto flex justify-center"
+          style={{ height: `calc(${page.height}mm * ${PREVIEW_SCALE} + 2rem)` }}
+        >
+          <div style={{ width: `calc(${page.width}mm * ${PREVIEW_SCALE})` }}>
+            <div className="shadow-md origin-top-left" style={{ transform: `scale(${PREVIEW_SCALE})` }}>
+              {sheets[0] && (
+                <MedicineLabelSheet sheet={sheets[0]} template={template} barcodeType={barcodeType} outlined />
+              )}
+            </div>
+          </div>
+        </div>
+
+        <div className="flex gap-2 justify-end">
+          <Button variant="outline" onClick={() => onOpenChange(false)}>
+            Close
+          </Button>
+          <Button
+            className="bg-blue-600 hover:bg-blue-700"
+            onClick={() => window.print()}
+            disabled={medicines.length === 0}
+            data-testid="print-labels-button"
+          >
+            <Printer className="h-4 w-4 mr-2" />
+            Print
+          </Button>
+        </div>
+      </DialogContent>
+
+      {/* The print stylesheet hides everything except this */}
+      {open && createPortal(
+        <div className="print-area">
+          <style>{`@page { size: ${template.pageSize}; margin: 0; }`}</style>
+          {sheets.map((sheet, idx) => (
+            <MedicineLabelSheet key={idx} sheet={sheet} template={template} barcodeType={barcodeType} />
+          ))}
+        </div>,
+        document.body
+      )}
+    </Dialog>
+  );
+};
+
+export default LabelPrintDialog;
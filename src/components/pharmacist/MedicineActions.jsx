@@ -0,0 +1,58 @@
+import React from 'react';
+import { Edit, Trash2, Layers, MoreHorizontal, SlidersHorizontal, History, ShieldOff } from 'lucide-react';
+import { Button } from '../ui/button';
+import { DropdownMenu, DropdownMenuContent, DropdownMenuItem, DropdownMenuTrigger } from '../ui/dropdown-menu';
+import { isControlled } from '../../utils/controlled';
+
+// compact renders icon-only buttons for table rows instead of full-width card buttons
+const MedicineActions = ({ medicine, handlers, compact = false }) => (
+  <>
+    <Button
+      variant="outline"
+      size="sm"
+      onClick={() => handlers.onEdit(medicine)}
+      className={compact ? '' : 'flex-1'}
+      data-testid="edit-medicine-button"
+    >
+      <Edit className="h-4 w-4" />
+    </Button>
+    <Button
+      variant="destructive"
+      size="sm"
+      onClick={() => handlers.onDelete(medicine)}
+      className={compact ? '' : 'flex-1'}
+      disabled={isControlled(medicine)}
+      title={isControlled(medicine) ? 'Controlled substances cannot be deleted' : undefined}
+      data-testid="delete-medicine-button"
+    >
+      <Trash2 className="h-4 w-4" />
+    </Button>
+    <DropdownMenu>
+      <DropdownMenuTrigger asChild>
+        <Button variant="outline" size="sm" data-testid="medicine-actions-button">
+          <MoreHorizontal className="h-4 w-4" />
+        </Button>
+      </DropdownMenuTrigger>
+      <DropdownMenuContent align="end">
+        <DropdownMenuItem onClick={() => handlers.onBatches(medicine)}>
+          <Layers />
+          Batches
+        </DropdownMenuItem>
+        <DropdownMenuItem onClick={() => handlers.onAdjust(medicine)}>
+          <SlidersHorizontal />
+          Adjust Stock
+        </DropdownMenuItem>
+        <DropdownMenuItem onClick={() => handlers.onHistory(medicine)}>
+          <History />
+          Movement History
+        </DropdownMenuItem>
+        <DropdownMenuItem onClick={() => handlers.onHold(medicine)}>
+          <ShieldOff />
+          Hold / Quarantine
+        </DropdownMenuItem>
+      </DropdownMenuContent>
+    </DropdownMenu>
+  </>
+);
+
+export default MedicineActions;
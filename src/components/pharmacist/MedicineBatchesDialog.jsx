@@ -0,0 +1,249 @@
+import React, { useState } from 'react';
+import { Plus, ArrowRight } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Badge } from '../ui/badge';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '../ui/dialog';
+import WitnessFields from './WitnessFields';
+import { useBarcodeScanner } from '../../hooks/use-barcode-scanner';
+import api from '../../utils/api';
+import { getBatches, getTotalQuantity, sortByExpiry, isExpired, buildPickList } from '../../utils/batches';
+import { getAvailableBatches } from '../../utils/holds';
+import { parseGS1 } from '../../utils/gs1';
+import { emptyWitness, isControlled, getWitnessError } from '../../utils/controlled';
+import { toMedicineForm } from '../../utils/medicine';
+import { getMedicineErrors } from '../../utils/medicineSchema';
+import { toast } from 'sonner';
+
+const emptyBatch = {
+  batch_number: '',
+  expiry_date: '',
+  quantity: ''
+};
+
+const BATCH_FIELDS = ['batch_number', 'expiry_date', 'quantity'];
+
+// Number inputs keep blanks as '' so the schema reports "Required" instead of NaN
+const toNumber = (e) => (e.target.value === '' ? '' : e.target.valueAsNumber);
+
+// The new batch goes through the same rules as the medicine form: expiry in the
+// future and a batch number this product doesn't already have
+const getBatchErrors = (medicine, batch) => {
+  const errors = getMedicineErrors({ ...toMedicineForm(medicine), ...batch }, { existing: [medicine] });
+  const batchErrors = {};
+  BATCH_FIELDS.forEach((field) => {
+    if (errors[field]) batchErrors[field] = errors[field];
+  });
+  if (!batchErrors.quantity && batch.quantity < 1) batchErrors.quantity = 'Must be at least 1';
+  return batchErrors;
+};
+
+const MedicineBatchesDialog = ({ medicine, open, onOpenChange, onSaved }) => {
+  const [showAddForm, setShowAddForm] = useState(false);
+  const [batchForm, setBatchForm] = useState(emptyBatch);
+  const [batchErrors, setBatchErrors] = useState({});
+  const [pickQuantity, setPickQuantity] = useState('');
+  const [witness, setWitness] = useState(emptyWitness);
+
+  // A GS1 scan while the add form is open fills in the batch and expiry
+  useBarcodeScanner((code) => {
+    const parsed = parseGS1(code);
+    if (!parsed.batch && !parsed.expiry) {
+      toast.error('Scanned code has no batch or expiry data');
+      return;
+    }
+    setBatchForm((current) => ({
+      ...current,
+      batch_number: parsed.batch || current.batch_number,
+      expiry_date: parsed.expiry || current.expiry_date
+    }));
+  }, { enabled: open && showAddForm });
+
+  if (!medicine) return null;
+
+  const batches = sortByExpiry(getBatches(medicine));
+  // Held units can't be picked
+  const { picks, shortfall } = buildPickList(sortByExpiry(getAvailableBatches(medicine)), parseInt(pickQuantity) || 0);
+
+  const controlled = isControlled(medicine);
+
+  const handleAddBatch = async (e) => {
+    e.preventDefault();
+    const errors = getBatchErrors(medicine, batchForm);
+    setBatchErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+    const witnessError = controlled && getWitnessError(witness);
+    if (witnessError) {
+      toast.error(witnessError);
+      return;
+    }
+
+    try {
+      await api.post(`/medicines/${medicine.id}/batches`, {
+        ...batchForm,
+        location: medicine.location,
+        ...(controlled ? witness : {})
+      });
+      toast.success('Batch added');
+      setBatchForm(emptyBatch);
+      setBatchErrors({});
+      setWitness(emptyWitness);
+      setShowAddForm(false);
+      onSaved();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to add batch');
+    }
+  };
+
+  const handleOpenChange = (value) => {
+    if (!value) {
+      setShowAddForm(false);
+      setBatchForm(emptyBatch);
+      setBatchErrors({});
+      setWitness(emptyWitness);
+      setPickQuantity('');
+    }
+    onOpenChange(value);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={handleOpenChange}>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>{medicine.name} Batches</DialogTitle>
+          <DialogDescription>
+            {batches.length} batch{batches.length === 1 ? '' : 'es'} · {getTotalQuantity(medicine)} {medicine.unit} total
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-6">
+          <div className="border rounded-lg overflow-hidden">
+            <table className="w-full text-sm" data-testid="batch-table">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="text-left py-2 px-3 font-semibold text-gray-700">Batch</th>
+                  <th className="text-left py-2 px-3 font-semibold text-gray-700">Expiry</th>
+                  <th className="text-left py-2 px-3 font-semibold text-gray-700">Quantity</th>
+                  <th className="text-left py-2 px-3 font-semibold text-gray-700">Location</th>
+                </tr>
+              </thead>
+              <tbody>
+                {batches.map((batch) => (
+                  <tr key={batch.id || batch.batch_number} className="border-t border-gray-100">
+                    <td className="py-2 px-3 font-medium">{batch.batch_number}</td>
+                    <td className="py-2 px-3">
+                      {new Date(batch.expiry_date).toLocaleDateString()}
+                      {isExpired(batch) && (
+                        <Badge className="ml-2 bg-red-100 text-red-800">Expired</Badge>
+                      )}
+                    </td>
+                    <td className="py-2 px-3">{batch.quantity} {medicine.unit}</td>
+                    <td className="py-2 px-3 text-gray-600">{batch.location || medicine.location}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {showAddForm ? (
+            <form onSubmit={handleAddBatch} className="space-y-4 bg-gray-50 p-4 rounded-lg">
+              <p className="text-xs text-gray-500">Scan the box's DataMatrix to fill in batch and expiry.</p>
+              <div className="grid grid-cols-3 gap-4">
+                <div>
+                  <Label>Batch Number</Label>
+                  <Input
+                    value={batchForm.batch_number}
+                    onChange={(e) => setBatchForm({ ...batchForm, batch_number: e.target.value })}
+                    required
+                  />
+                  {batchErrors.batch_number && <p className="text-sm text-destructive mt-1">{batchErrors.batch_number}</p>}
+                </div>
+                <div>
+                  <Label>Expiry Date</Label>
+                  <Input
+                    type="date"
+                    value={batchForm.expiry_date}
+                    onChange={(e) => setBatchForm({ ...batchForm, expiry_date: e.target.value })}
+                    required
+                  />
+                  {batchErrors.expiry_date && <p className="text-sm text-destructive mt-1">{batchErrors.expiry_date}</p>}
+                </div>
+                <div>
+                  <Label>Quantity</Label>
+                  <Input
+                    type="number"
+                    min="1"
+                    value={batchForm.quantity}
+                    onChange={(e) => setBatchForm({ ...batchForm, quantity: toNumber(e) })}
+                    required
+                  />
+                  {batchErrors.quantity && <p className="text-sm text-destructive mt-1">{batchErrors.quantity}</p>}
+                </div>
+              </div>
+              {controlled && <WitnessFields witness={witness} onChange={setWitness} />}
+              <div className="flex gap-2 justify-end">
+                <Button type="button" variant="outline" onClick={() => setShowAddForm(false)}>
+                  Cancel
+                </Button>
+                <Button type="submit" className="bg-blue-600 hover:bg-blue-700">
+                  Add Batch
+                </Button>
+              </div>
+            </form>
+          ) : (
+            <Button variant="outline" onClick={() => setShowAddForm(true)} data-testid="add-batch-button">
+              <Plus className="h-4 w-4 mr-2" />
+              Add Batch
+            </Button>
+          )}
+
+          {/* FEFO Pick List */}
+          <div className="space-y-3">
+            <h3 className="font-semibold">Pick List (First Expiry, First Out)</h3>
+            <div className="flex items-center gap-2">
+              <Input
+                type="number"
+                min="1"
+                placeholder="Quantity to dispense"
+                value={pickQuantity}
+                onChange={(e) => setPickQuantity(e.target.value)}
+                className="max-w-xs"
+                data-testid="pick-quantity-input"
+              />
+              <span className="text-sm text-gray-600">{medicine.unit}</span>
+            </div>
+            {picks.length > 0 && (
+              <div className="space-y-2" data-testid="pick-list">
+                {picks.map(({ batch, quantity }) => (
+                  <div
+                    key={batch.id || batch.batch_number}
+                    className="flex items-center justify-between p-3 bg-blue-50 rounded-lg text-sm"
+                  >
+                    <div className="flex items-center gap-2">
+                      <ArrowRight className="h-4 w-4 text-blue-600" />
+                      <span className="font-medium">Batch {batch.batch_number}</span>
+                      <span className="text-gray-600">
+                        exp. {new Date(batch.expiry_date).toLocaleDateString()}
+                      </span>
+                    </div>
+                    <span className="font-medium text-blue-800">
+                      Take {quantity} {medicine.unit}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            )}
+            {shortfall > 0 && (
+              <p className="text-sm text-red-600">
+                Short by {shortfall} {medicine.unit} — not enough unexpired stock
+              </p>
+            )}
+          </div>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default MedicineBatchesDialog;
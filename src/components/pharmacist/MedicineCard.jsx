@@ -0,0 +1,119 @@
+import React from 'react';
+import { Card, CardContent } from '../ui/card';
+import { Badge } from '../ui/badge';
+import { Checkbox } from '../ui/checkbox';
+import AlternativesPopover from './AlternativesPopover';
+import { getStockStatus } from '../../utils/medicine';
+import { getBatches, getTotalQuantity, getEarliestExpiry } from '../../utils/batches';
+import { getLocationStock } from '../../utils/transfers';
+import { HOLD_REASONS, getActiveHolds, getHeldQuantity } from '../../utils/holds';
+
+const MedicineCard = ({ medicine, actions, selected, onSelectedChange }) => {
+  const totalQuantity = getTotalQuantity(medicine);
+  const batchCount = getBatches(medicine).length;
+  const heldQuantity = getHeldQuantity(medicine);
+  const holdReasons = [...new Set(getActiveHolds(medicine).map((hold) => hold.reason))];
+  const status = getStockStatus(totalQuantity, medicine.reorder_level, heldQuantity);
+  const locationStock = getLocationStock(medicine);
+
+  return (
+    <Card data-testid="medicine-card">
+      <CardContent className="p-6">
+        <div className="flex items-start justify-between mb-4">
+          <div className="flex items-start gap-3">
+            {onSelectedChange && (
+              <Checkbox
+                checked={selected}
+                onCheckedChange={(checked) => onSelectedChange(checked === true)}
+                className="mt-1.5"
+                aria-label={`Select ${medicine.name}`}
+              />
+            )}
+            <div>
+              <h3 className="font-semibold text-lg text-gray-900">{medicine.name}</h3>
+              <p className="text-sm text-gray-600">{medicine.generic_name}</p>
+            </div>
+          </div>
+          <div className="flex flex-col items-end gap-1">
+            <Badge className={status.className}>
+              {status.label}
+            </Badge>
+            {medicine.is_controlled && (
+              <Badge className="bg-purple-100 text-purple-800" title="Controlled substance">
+                C{medicine.schedule}
+              </Badge>
+            )}
+            {medicine.clearance && (
+              <Badge className="bg-orange-100 text-orange-800" title={medicine.clearance_notes || 'Marked for clearance'}>
+                Clearance
+              </Badge>
+            )}
+            {holdReasons.map((reason) => (
+              <Badge key={reason} className={HOLD_REASONS[reason]?.className}>
+                {HOLD_REASONS[reason]?.label || reason}
+              </Badge>
+            ))}
+          </div>
+        </div>
+        <div className="space-y-2 text-sm">
+          <div className="flex justify-between">
+            <span className="text-gray-600">Quantity:</span>
+            <span className="font-medium">{totalQuantity} {medicine.unit}</span>
+          </div>
+          {heldQuantity > 0 && (
+            <div className="flex justify-between text-slate-700">
+              <span>On Hold:</span>
+              <span className="font-medium">{heldQuantity} {medicine.unit} ({totalQuantity - heldQuantity} available)</span>
+            </div>
+          )}
+          <div className="flex justify-between">
+            <span className="text-gray-600">Category:</span>
+            <span className="font-medium">{medicine.category}</span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-gray-600">Batch:</span>
+            <span className="font-medium">
+              {batchCount > 1 ? `${batchCount} batches` : medicine.batch_number}
+            </span>
+          </div>
+          <div className="flex justify-between">
+            <span className="text-gray-600">{batchCount > 1 ? 'Next Expiry:' : 'Expiry:'}</span>
+            <span className="font-medium">{new Date(getEarliestExpiry(medicine)).toLocaleDateString()}</span>
+          </div>
+          {locationStock.length > 1 ? (
+            <div>
+              <span className="text-gray-600">Locations:</span>
+              {locationStock.map((entry) => (
+                <div key={entry.location} className="flex justify-between pl-3">
+                  <span className="text-gray-600">{entry.location}</span>
+                  <span className="font-medium">{entry.quantity}</span>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <div className="flex justify-between">
+              <span className="text-gray-600">Location:</span>
+              <span className="font-medium">{medicine.location}</span>
+            </div>
+          )}
+          {medicine.in_transit_quantity > 0 && (
+            <div className="flex justify-between text-blue-700">
+              <span>In Transit:</span>
+              <span className="font-medium">{medicine.in_transit_quantity} {medicine.unit}</span>
+            </div>
+          )}
+        </div>
+        {totalQuantity - heldQuantity <= medicine.reorder_level && (
+          <div className="mt-4">
+            <AlternativesPopover medicine={medicine} />
+          </div>
+        )}
+        <div className="flex gap-2 mt-4">
+          {actions}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default MedicineCard;
@@ -0,0 +1,163 @@
+import React from 'react';
+import { useFormContext } from 'react-hook-form';
+import { Input } from '../ui/input';
+import { Switch } from '../ui/switch';
+import { FormField, FormItem, FormLabel, FormControl, FormMessage } from '../ui/form';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import CatalogNameInput from './CatalogNameInput';
+import { CONTROLLED_SCHEDULES } from '../../utils/controlled';
+import { CATALOG_FIELDS, findNearDuplicates } from '../../utils/drugCatalog';
+
+// Number inputs keep blanks as '' so the schema reports "Required" instead of NaN
+const toNumber = (e) => (e.target.value === '' ? '' : e.target.valueAsNumber);
+
+// Must be rendered inside a <Form> driven by medicineResolver.
+// lockedFields are shown read-only, e.g. quantity when editing, which may only
+// change through a stock adjustment, and the controlled flag so it can't be
+// switched off to get around the witness.
+// existing is the product list checked for near-duplicate names.
+const MedicineFormFields = ({ dirtyFields = [], lockedFields = [], existing = [], excludeId = null }) => {
+  const { control, watch, setValue } = useFormContext();
+  const [isControlledItem, name] = watch(['is_controlled', 'name']);
+  const nearDuplicates = findNearDuplicates(name, existing, excludeId);
+
+  const fillFromCatalog = (entry) => {
+    CATALOG_FIELDS.forEach((field) => {
+      setValue(field, entry[field], { shouldDirty: true, shouldValidate: true });
+    });
+  };
+
+  const labelFor = (field, text) => (
+    <FormLabel className={dirtyFields.includes(field) ? 'text-blue-600' : ''}>
+      {text}
+      {dirtyFields.includes(field) && ' •'}
+    </FormLabel>
+  );
+
+  const textField = (name, label, inputProps = {}) => (
+    <FormField
+      control={control}
+      name={name}
+      render={({ field }) => (
+        <FormItem className="space-y-1">
+          {labelFor(name, label)}
+          <FormControl>
+            <Input {...field} disabled={lockedFields.includes(name)} {...inputProps} />
+          </FormControl>
+          <FormMessage />
+        </FormItem>
+      )}
+    />
+  );
+
+  const numberField = (name, label, inputProps = {}) => (
+    <FormField
+      control={control}
+      name={name}
+      render={({ field }) => (
+        <FormItem className="space-y-1">
+          {labelFor(name, label)}
+          <FormControl>
+            <Input
+              type="number"
+              {...field}
+              onChange={(e) => field.onChange(toNumber(e))}
+              disabled={lockedFields.includes(name)}
+              {...inputProps}
+            />
+          </FormControl>
+          <FormMessage />
+        </FormItem>
+      )}
+    />
+  );
+
+  return (
+    <>
+      <div className="grid grid-cols-2 gap-4">
+        <FormField
+          control={control}
+          name="name"
+          render={({ field }) => (
+            <FormItem className="space-y-1">
+              {labelFor('name', 'Medicine Name')}
+              <FormControl>
+                <CatalogNameInput {...field} onSelectEntry={fillFromCatalog} placeholder="Start typing to search the catalog" />
+              </FormControl>
+              <FormMessage />
+              {nearDuplicates.length > 0 && (
+                <p className="text-xs text-amber-700" data-testid="near-duplicate-warning">
+                  Similar to {nearDuplicates.slice(0, 3).map((medicine) => medicine.name).join(', ')} already
+                  in stock — add a batch to the existing product if it's the same item
+                </p>
+              )}
+            </FormItem>
+          )}
+        />
+        {textField('generic_name', 'Generic Name')}
+        {textField('strength', 'Strength', { placeholder: '500mg, 5mg/ml, etc.' })}
+        {textField('form', 'Dosage Form', { placeholder: 'Tablet, syrup, etc.' })}
+        {textField('category', 'Category')}
+        {textField('manufacturer', 'Manufacturer')}
+        {numberField('quantity', 'Quantity', { min: 0 })}
+        {textField('unit', 'Unit', { placeholder: 'tablets, ml, etc.' })}
+        {numberField('reorder_level', 'Reorder Level', { min: 0 })}
+        {numberField('unit_price', 'Unit Price', { step: '0.01', min: 0 })}
+        {textField('batch_number', 'Batch Number')}
+        {textField('gtin', 'GTIN', { placeholder: 'Optional barcode number' })}
+        {textField('expiry_date', 'Expiry Date', { type: 'date' })}
+        {textField('location', 'Location', { placeholder: 'Shelf A1, etc.' })}
+      </div>
+      <div className="grid grid-cols-2 gap-4 items-end">
+        <FormField
+          control={control}
+          name="is_controlled"
+          render={({ field }) => (
+            <FormItem className="flex items-center gap-3 h-9 space-y-0">
+              <FormControl>
+                <Switch
+                  checked={field.value}
+                  disabled={lockedFields.includes('is_controlled')}
+                  onCheckedChange={(checked) => {
+                    field.onChange(checked);
+                    if (!checked) setValue('schedule', '');
+                  }}
+                />
+              </FormControl>
+              <FormLabel className={dirtyFields.includes('is_controlled') ? 'text-blue-600' : ''}>
+                Controlled substance{dirtyFields.includes('is_controlled') && ' •'}
+              </FormLabel>
+            </FormItem>
+          )}
+        />
+        {isControlledItem && (
+          <FormField
+            control={control}
+            name="schedule"
+            render={({ field }) => (
+              <FormItem className="space-y-1">
+                {labelFor('schedule', 'Schedule')}
+                <Select value={field.value} onValueChange={field.onChange}>
+                  <FormControl>
+                    <SelectTrigger>
+                      <SelectValue placeholder="Select schedule" />
+                    </SelectTrigger>
+                  </FormControl>
+                  <SelectContent>
+                    {Object.entries(CONTROLLED_SCHEDULES).map(([value, label]) => (
+                      <SelectItem key={value} value={value}>{label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                <FormMessage />
+              </FormItem>
+            )}
+          />
+        )}
+      </div>
+      {textField('description', 'Description')}
+    </>
+  );
+};
+
+export default MedicineFormFields;
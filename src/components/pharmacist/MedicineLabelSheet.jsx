@@ -0,0 +1,96 @@
+import React, { useEffect, useRef, useState } from 'react';
+import JsBarcode from 'jsbarcode';
+import QRCode from 'qrcode';
+import { PAGE_SIZES, getBarcodeValue } from '../../utils/labels';
+
+const LabelBarcode = ({ value, type }) => {
+  const svgRef = useRef(null);
+  const [qrMarkup, setQrMarkup] = useState('');
+
+  useEffect(() => {
+    if (type === 'qr') {
+      QRCode.toString(String(value), { type: 'svg', margin: 0, errorCorrectionLevel: 'M' })
+        .then(setQrMarkup)
+        .catch(() => setQrMarkup(''));
+    } else if (svgRef.current) {
+      try {
+        JsBarcode(svgRef.current, String(value), { format: 'CODE128', displayValue: false, margin: 0, height: 40 });
+      } catch (error) {
+        // Leave the slot empty rather than breaking the whole sheet
+      }
+    }
+  }, [value, type]);
+
+  if (type === 'qr') {
+    return <div className="h-full aspect-square [&>svg]:h-full [&>svg]:w-full" dangerouslySetInnerHTML={{ __html: qrMarkup }} />;
+  }
+  return <svg ref={svgRef} className="w-full h-full" preserveAspectRatio="none" />;
+};
+
+const MedicineLabel = ({ medicine, barcodeType }) => {
+  const value = getBarcodeValue(medicine, barcodeType);
+  const details = (
+    <div className="min-w-0 leading-tight">
+      <p className="font-bold text-[9pt] truncate">{medicine.name}</p>
+      <p className="text-[7pt] text-gray-700 truncate">{medicine.generic_name}</p>
+      <p className="text-[7pt] truncate">
+        Batch {medicine.batch_number} · Exp {new Date(medicine.expiry_date).toLocaleDateString()}
+      </p>
+      <p className="text-[7pt] truncate">
+        {medicine.location} · <span className="font-semibold">${Number(medicine.unit_price || 0).toFixed(2)}</span>
+      </p>
+    </div>
+  );
+
+  if (barcodeType === 'qr') {
+    return (
+      <div className="flex items-center gap-[2mm] h-full p-[2mm] overflow-hidden">
+        <div className="flex-1 min-w-0">{details}</div>
+        <div className="h-full">
+          <LabelBarcode value={value} type="qr" />
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex flex-col h-full p-[2mm] overflow-hidden">
+      {details}
+      <div className="flex-1 min-h-0 mt-[1mm]">
+        <LabelBarcode value={value} type="code128" />
+      </div>
+      <p className="text-[6pt] text-center font-mono">{value}</p>
+    </div>
+  );
+};
+
+// One element per physical sheet, laid out in millimetres so it prints to scale
+const MedicineLabelSheet = ({ sheet, template, barcodeType, outlined = false }) => {
+  const page = PAGE_SIZES[template.pageSize];
+
+  return (
+    <div
+      className="label-sheet bg-white text-black"
+      style={{
+        width: `${page.width}mm`,
+        height: `${page.height}mm`,
+        paddingTop: `${template.marginTop}mm`,
+        paddingLeft: `${template.marginLeft}mm`,
+        display: 'grid',
+        gridTemplateColumns: `repeat(${template.columns}, ${template.width}mm)`,
+        gridAutoRows: `${template.height}mm`,
+        columnGap: `${template.gapX}mm`,
+        rowGap: `${template.gapY}mm`,
+        alignContent: 'start'
+      }}
+    >
+      {sheet.map((medicine, idx) => (
+        <div key={idx} className={outlined ? 'outline outline-1 outline-dashed outline-gray-300' : ''}>
+          {medicine && <MedicineLabel medicine={medicine} barcodeType={barcodeType} />}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default MedicineLabelSheet;
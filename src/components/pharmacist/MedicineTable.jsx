@@ -0,0 +1,187 @@
+import React from 'react';
+import { ArrowUp, ArrowDown, ArrowUpDown } from 'lucide-react';
+import { Badge } from '../ui/badge';
+import { Checkbox } from '../ui/checkbox';
+import { Table, TableBody, TableCell, TableHead, TableHeader, TableRow } from '../ui/table';
+import { ResizableHandle, ResizablePanel, ResizablePanelGroup } from '../ui/resizable';
+import { getStockStatus } from '../../utils/medicine';
+import { getBatches, getTotalQuantity, getEarliestExpiry } from '../../utils/batches';
+import { TABLE_COLUMNS } from '../../utils/inventoryViews';
+import { getLocationStock } from '../../utils/transfers';
+import { getHeldQuantity } from '../../utils/holds';
+
+const ACTIONS_KEY = 'actions';
+const MIN_COLUMN_SIZE = 5;
+const SELECT_COLUMN_WIDTH = '2.5rem';
+
+const renderCell = (key, medicine) => {
+  switch (key) {
+    case 'name':
+      return (
+        <>
+          {medicine.name}
+          {medicine.is_controlled && (
+            <Badge className="ml-2 bg-purple-100 text-purple-800">C{medicine.schedule}</Badge>
+          )}
+          {medicine.clearance && (
+            <Badge className="ml-2 bg-orange-100 text-orange-800">Clearance</Badge>
+          )}
+        </>
+      );
+    case 'quantity':
+      return `${getTotalQuantity(medicine)} ${medicine.unit}`;
+    case 'status': {
+      const heldQuantity = getHeldQuantity(medicine);
+      const status = getStockStatus(getTotalQuantity(medicine), medicine.reorder_level, heldQuantity);
+      return (
+        <>
+          <Badge className={status.className}>{status.label}</Badge>
+          {heldQuantity > 0 && status.label !== 'On Hold' && (
+            <Badge className="ml-1 bg-slate-200 text-slate-800">{heldQuantity} held</Badge>
+          )}
+        </>
+      );
+    }
+    case 'unit_price':
+      return `$${Number(medicine.unit_price || 0).toFixed(2)}`;
+    case 'batch_number': {
+      const batchCount = getBatches(medicine).length;
+      return batchCount > 1 ? `${batchCount} batches` : medicine.batch_number;
+    }
+    case 'expiry_date':
+      return new Date(getEarliestExpiry(medicine)).toLocaleDateString();
+    case 'location': {
+      const locationStock = getLocationStock(medicine);
+      return locationStock.length > 1
+        ? locationStock.map((entry) => `${entry.location} (${entry.quantity})`).join(', ')
+        : medicine.location;
+    }
+    default:
+      return medicine[key];
+  }
+};
+
+const MedicineTable = ({
+  medicines,
+  columns,
+  widths,
+  onWidthsChange,
+  sort,
+  order,
+  onSort,
+  renderActions,
+  selectedIds = [],
+  onSelectionChange
+}) => {
+  const visibleColumns = TABLE_COLUMNS.filter((column) => columns.includes(column.key));
+  const panelKeys = [...visibleColumns.map((column) => column.key), ACTIONS_KEY];
+
+  // Fall back to equal widths whenever the stored layout doesn't cover every visible column
+  const hasStoredLayout = panelKeys.every((key) => widths[key]);
+  const storedTotal = panelKeys.reduce((sum, key) => sum + (widths[key] || 0), 0);
+  const sizeFor = (key) =>
+    hasStoredLayout ? (widths[key] / storedTotal) * 100 : 100 / panelKeys.length;
+
+  const handleLayout = (sizes) => {
+    const next = { ...widths };
+    panelKeys.forEach((key, idx) => {
+      next[key] = sizes[idx];
+    });
+    onWidthsChange(next);
+  };
+
+  const pageSelected = medicines.filter((medicine) => selectedIds.includes(medicine.id)).length;
+  const headerChecked = pageSelected > 0 && pageSelected === medicines.length
+    ? true
+    : pageSelected > 0 && 'indeterminate';
+
+  const sortIcon = (key) => {
+    if (sort !== key) return <ArrowUpDown className="h-3 w-3 opacity-40" />;
+    return order === 'asc' ? <ArrowUp className="h-3 w-3" /> : <ArrowDown className="h-3 w-3" />;
+  };
+
+  return (
+    <div className="max-h-[70vh] overflow-auto border rounded-lg bg-white [&>div]:overflow-visible" data-testid="medicine-table">
+      <Table className="table-fixed">
+        <colgroup>
+          {onSelectionChange && <col style={{ width: SELECT_COLUMN_WIDTH }} />}
+          {panelKeys.map((key) => (
+            <col key={key} style={{ width: `${sizeFor(key)}%` }} />
+          ))}
+        </colgroup>
+        <TableHeader className="sticky top-0 z-10 bg-gray-50 shadow-sm">
+          <TableRow>
+            {onSelectionChange && (
+              <TableHead className="px-3">
+                <Checkbox
+                  checked={headerChecked}
+                  onCheckedChange={(checked) => onSelectionChange(medicines, checked === true)}
+                  aria-label="Select all on this page"
+                />
+              </TableHead>
+            )}
+            <TableHead colSpan={panelKeys.length} className="p-0">
+              <ResizablePanelGroup
+                key={panelKeys.join(',')}
+                direction="horizontal"
+                onLayout={handleLayout}
+              >
+                {panelKeys.map((key, idx) => {
+                  const column = visibleColumns.find((col) => col.key === key);
+                  return (
+                    <React.Fragment key={key}>
+                      {idx > 0 && <ResizableHandle withHandle />}
+                      <ResizablePanel id={key} order={idx} defaultSize={sizeFor(key)} minSize={MIN_COLUMN_SIZE}>
+                        {column?.sortable ? (
+                          <button
+                            type="button"
+                            onClick={() => onSort(key)}
+                            className="flex items-center gap-1 h-10 px-2 w-full font-semibold text-gray-700 hover:text-gray-900"
+                          >
+                            <span className="truncate">{column.label}</span>
+                            {sortIcon(key)}
+                          </button>
+                        ) : (
+                          <div className="flex items-center h-10 px-2 font-semibold text-gray-700 truncate">
+                            {column ? column.label : ''}
+                          </div>
+                        )}
+                      </ResizablePanel>
+                    </React.Fragment>
+                  );
+                })}
+              </ResizablePanelGroup>
+            </TableHead>
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {medicines.map((medicine) => (
+            <TableRow key={medicine.id} data-testid="medicine-row">
+              {onSelectionChange && (
+                <TableCell className="px-3">
+                  <Checkbox
+                    checked={selectedIds.includes(medicine.id)}
+                    onCheckedChange={(checked) => onSelectionChange([medicine], checked === true)}
+                    aria-label={`Select ${medicine.name}`}
+                  />
+                </TableCell>
+              )}
+              {visibleColumns.map((column) => (
+                <TableCell key={column.key} className={`truncate ${column.key === 'name' ? 'font-medium' : ''}`}>
+                  {renderCell(column.key, medicine)}
+                </TableCell>
+              ))}
+              <TableCell>
+                <div className="flex gap-1 justify-end">
+                  {renderActions(medicine)}
+                </div>
+              </TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+    </div>
+  );
+};
+
+export default MedicineTable;
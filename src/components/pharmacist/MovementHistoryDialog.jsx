@@ -0,0 +1,88 @@
+import React, { useState, useEffect } from 'react';
+import { Badge } from '../ui/badge';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '../ui/dialog';
+import api from '../../utils/api';
+import { MOVEMENT_TYPES, getReasonLabel, formatChange } from '../../utils/stockMovements';
+import { toast } from 'sonner';
+
+const MovementHistoryDialog = ({ medicine, open, onOpenChange }) => {
+  const [movements, setMovements] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (!open || !medicine) return;
+
+    const fetchMovements = async () => {
+      setLoading(true);
+      try {
+        const response = await api.get('/stock-movements', { params: { medicine_id: medicine.id } });
+        setMovements(response.data);
+      } catch (error) {
+        toast.error('Failed to load movement history');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchMovements();
+  }, [open, medicine]);
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-2xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Movement History</DialogTitle>
+          <DialogDescription>{medicine?.name}</DialogDescription>
+        </DialogHeader>
+
+        {loading ? (
+          <div className="text-center py-8 text-gray-500">Loading...</div>
+        ) : movements.length === 0 ? (
+          <div className="text-center py-8 text-gray-500">No stock movements recorded</div>
+        ) : (
+          <ol className="relative border-l border-gray-200 ml-3 space-y-6" data-testid="movement-timeline">
+            {movements.map((movement) => {
+              const config = MOVEMENT_TYPES[movement.movement_type];
+              return (
+                <li key={movement.id} className="ml-6">
+                  <span className="absolute -left-1.5 mt-1.5 h-3 w-3 rounded-full border border-white bg-blue-600" />
+                  <div className="flex items-center justify-between">
+                    <div className="flex items-center gap-2">
+                      <Badge className={config?.color || 'bg-gray-100 text-gray-800'}>
+                        {config?.label || movement.movement_type}
+                      </Badge>
+                      <span className="text-sm text-gray-700">
+                        {getReasonLabel(movement.movement_type, movement.reason_code)}
+                      </span>
+                    </div>
+                    <span className="text-xs text-gray-500">
+                      {new Date(movement.created_at).toLocaleString()}
+                    </span>
+                  </div>
+                  <p className="text-sm mt-1">
+                    <span className="font-semibold">{formatChange(movement)}</span>
+                    <span className="text-gray-600">
+                      {' '}({movement.quantity_before} → {movement.quantity_after})
+                    </span>
+                    {movement.batch_number && (
+                      <span className="text-gray-600"> · Batch {movement.batch_number}</span>
+                    )}
+                  </p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    By {movement.performed_by}
+                    {movement.witnessed_by && ` · witnessed by ${movement.witnessed_by}`}
+                  </p>
+                  {movement.notes && (
+                    <p className="text-sm text-gray-600 mt-1 italic">{movement.notes}</p>
+                  )}
+                </li>
+              );
+            })}
+          </ol>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default MovementHistoryDialog;
@@ -0,0 +1,257 @@
+import React, { useState, useEffect } from 'react';
+import { useForm, useFieldArray } from 'react-hook-form';
+import { Plus, Trash2 } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Form, FormField, FormItem, FormLabel, FormControl, FormMessage } from '../ui/form';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '../ui/dialog';
+import PatientLookupInput from './PatientLookupInput';
+import InventoryMedicineInput from './InventoryMedicineInput';
+import api from '../../utils/api';
+import { getAvailableQuantity } from '../../utils/holds';
+import { todayISO } from '../../utils/dates';
+import { emptyPrescription, emptyPrescriptionLine, prescriptionResolver } from '../../utils/prescriptionSchema';
+import { PRESCRIPTION_SOURCES, buildPrescriptionPayload, getKnownPatients } from '../../utils/prescriptions';
+import { toast } from 'sonner';
+
+const toNumber = (e) => (e.target.value === '' ? '' : e.target.valueAsNumber);
+
+// Uploads come through validate-image, so manual entry only offers the other sources
+const MANUAL_SOURCES = Object.entries(PRESCRIPTION_SOURCES).filter(([value]) => value !== 'upload');
+
+const LineAvailability = ({ medicine, quantity, name }) => {
+  if (!medicine) {
+    return name ? <p className="text-xs text-amber-700">Not matched to inventory</p> : null;
+  }
+  const available = getAvailableQuantity(medicine);
+  const short = Number(quantity) > available;
+  return (
+    <p className={`text-xs ${short ? 'text-red-600' : 'text-green-700'}`}>
+      {short ? `Only ${available} ${medicine.unit} available` : `${available} ${medicine.unit} available`}
+    </p>
+  );
+};
+
+// Walk-in and phone prescriptions, typed in at the counter
+const NewPrescriptionDialog = ({ open, onOpenChange, prescriptions, medicines, onSaved }) => {
+  const [source, setSource] = useState('walk_in');
+  const [saving, setSaving] = useState(false);
+  const form = useForm({ resolver: prescriptionResolver, defaultValues: emptyPrescription });
+  const { fields, append, remove } = useFieldArray({ control: form.control, name: 'medicines' });
+  const lines = form.watch('medicines');
+  const patients = getKnownPatients(prescriptions);
+
+  useEffect(() => {
+    if (!open) return;
+    setSource('walk_in');
+    form.reset({ ...emptyPrescription, prescription_date: todayISO() });
+  }, [open, form]);
+
+  const textField = (name, label, inputProps = {}) => (
+    <FormField
+      control={form.control}
+      name={name}
+      render={({ field }) => (
+        <FormItem className="space-y-1">
+          <FormLabel>{label}</FormLabel>
+          <FormControl>
+            <Input {...field} {...inputProps} />
+          </FormControl>
+          <FormMessage />
+        </FormItem>
+      )}
+    />
+  );
+
+  const selectPatient = (patient) => {
+    form.setValue('patient_name', patient.patient_name, { shouldDirty: true, shouldValidate: true });
+    form.setValue('patient_id', patient.patient_id, { shouldDirty: true });
+    if (patient.allergies.length > 0) {
+      form.setValue('allergies', patient.allergies.join(', '), { shouldDirty: true });
+    }
+    if (!form.getValues('doctor_name') && patient.last_doctor) {
+      form.setValue('doctor_name', patient.last_doctor, { shouldDirty: true });
+    }
+  };
+
+  const selectMedicine = (idx, medicine) => {
+    form.setValue(`medicines.${idx}.medicine_id`, medicine.id);
+    form.setValue(`medicines.${idx}.medicine_name`, medicine.name, { shouldDirty: true, shouldValidate: true });
+    if (!form.getValues(`medicines.${idx}.dosage`) && medicine.strength) {
+      form.setValue(`medicines.${idx}.dosage`, medicine.strength, { shouldDirty: true });
+    }
+  };
+
+  const handleSave = async (values) => {
+    setSaving(true);
+    try {
+      await api.post('/prescriptions', { ...buildPrescriptionPayload(values, medicines), source });
+      toast.success('Prescription added');
+      onOpenChange(false);
+      onSaved();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to add prescription');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const medicinesError = form.formState.errors.medicines?.root?.message || form.formState.errors.medicines?.message;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>New Prescription</DialogTitle>
+          <DialogDescription>Enter a walk-in or phone prescription</DialogDescription>
+        </DialogHeader>
+
+        <Form {...form}>
+          <form onSubmit={form.handleSubmit(handleSave)} className="space-y-4" noValidate>
+            <div className="grid grid-cols-3 gap-4">
+              <div className="space-y-1">
+                <Label>Received</Label>
+                <Select value={source} onValueChange={setSource}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {MANUAL_SOURCES.map(([value, label]) => (
+                      <SelectItem key={value} value={value}>{label}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              {textField('prescription_date', 'Date', { type: 'date', max: todayISO() })}
+            </div>
+
+            <div>
+              <h4 className="font-semibold text-sm mb-2">Patient</h4>
+              <div className="grid grid-cols-2 gap-4">
+                <FormField
+                  control={form.control}
+                  name="patient_name"
+                  render={({ field }) => (
+                    <FormItem className="space-y-1">
+                      <FormLabel>Name</FormLabel>
+                      <FormControl>
+                        <PatientLookupInput
+                          {...field}
+                          patients={patients}
+                          onSelectPatient={selectPatient}
+                          placeholder="Search previous patients or type a new name"
+                        />
+                      </FormControl>
+                      <FormMessage />
+                    </FormItem>
+                  )}
+                />
+                {textField('patient_id', 'Patient ID')}
+              </div>
+              <div className="mt-2">
+                {textField('allergies', 'Allergies', { placeholder: 'e.g. penicillin, aspirin — leave blank if none known' })}
+              </div>
+            </div>
+
+            <div>
+              <h4 className="font-semibold text-sm mb-2">Prescriber</h4>
+              <div className="grid grid-cols-3 gap-4">
+                {textField('doctor_name', 'Name')}
+                {textField('prescriber_license', 'Registration No.')}
+                {textField('prescriber_contact', 'Phone / Practice')}
+              </div>
+            </div>
+
+            <div className="space-y-2">
+              <h4 className="font-semibold text-sm">Medicines</h4>
+              {fields.map((line, idx) => {
+                const current = lines[idx] || {};
+                const medicine = medicines.find((med) => med.id === current.medicine_id);
+                return (
+                  <div key={line.id} className="bg-gray-50 p-3 rounded space-y-2" data-testid="prescription-line">
+                    <div className="grid grid-cols-[2fr_1fr_auto] gap-2 items-start">
+                      <FormField
+                        control={form.control}
+                        name={`medicines.${idx}.medicine_name`}
+                        render={({ field }) => (
+                          <FormItem className="space-y-1">
+                            <FormLabel>Medicine</FormLabel>
+                            <FormControl>
+                              <InventoryMedicineInput
+                                {...field}
+                                onChange={(e) => {
+                                  field.onChange(e);
+                                  form.setValue(`medicines.${idx}.medicine_id`, null);
+                                }}
+                                medicines={medicines}
+                                onSelectMedicine={(med) => selectMedicine(idx, med)}
+                              />
+                            </FormControl>
+                            <LineAvailability medicine={medicine} quantity={current.quantity} name={current.medicine_name} />
+                            <FormMessage />
+                          </FormItem>
+                        )}
+                      />
+                      <FormField
+                        control={form.control}
+                        name={`medicines.${idx}.quantity`}
+                        render={({ field }) => (
+                          <FormItem className="space-y-1">
+                            <FormLabel>Quantity</FormLabel>
+                            <FormControl>
+                              <Input type="number" min="1" {...field} onChange={(e) => field.onChange(toNumber(e))} />
+                            </FormControl>
+                            <FormMessage />
+                          </FormItem>
+                        )}
+                      />
+                      <Button
+                        type="button"
+                        variant="ghost"
+                        size="sm"
+                        className="mt-7"
+                        onClick={() => remove(idx)}
+                        disabled={fields.length === 1}
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </div>
+                    <div className="grid grid-cols-3 gap-2">
+                      {textField(`medicines.${idx}.dosage`, 'Dosage', { placeholder: 'e.g. 500 mg' })}
+                      {textField(`medicines.${idx}.frequency`, 'Frequency', { placeholder: 'e.g. twice daily' })}
+                      {textField(`medicines.${idx}.duration`, 'Duration', { placeholder: 'e.g. 7 days' })}
+                    </div>
+                    {textField(`medicines.${idx}.instructions`, 'Instructions', { placeholder: 'e.g. take after food' })}
+                  </div>
+                );
+              })}
+              {medicinesError && <p className="text-sm font-medium text-destructive">{medicinesError}</p>}
+              <Button type="button" variant="outline" size="sm" onClick={() => append(emptyPrescriptionLine)}>
+                <Plus className="h-4 w-4 mr-2" />
+                Add Medicine
+              </Button>
+            </div>
+
+            <div className="flex gap-2 justify-end">
+              <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+                Cancel
+              </Button>
+              <Button
+                type="submit"
+                className="bg-blue-600 hover:bg-blue-700"
+                disabled={saving}
+                data-testid="save-prescription-button"
+              >
+                {saving ? 'Saving...' : 'Add Prescription'}
+              </Button>
+            </div>
+          </form>
+        </Form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default NewPrescriptionDialog;
@@ -0,0 +1,246 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, Trash2, ArrowRight } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Textarea } from '../ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '../ui/dialog';
+import api from '../../utils/api';
+import { getKnownLocations, getAvailableAt, getBatchesAt } from '../../utils/transfers';
+import { toast } from 'sonner';
+
+const emptyLine = { medicine_id: '', batch_number: '', quantity: '' };
+
+const NewTransferDialog = ({ open, onOpenChange, onCreated }) => {
+  const [medicines, setMedicines] = useState([]);
+  const [fromLocation, setFromLocation] = useState('');
+  const [toLocation, setToLocation] = useState('');
+  const [lines, setLines] = useState([emptyLine]);
+  const [notes, setNotes] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setFromLocation('');
+    setToLocation('');
+    setLines([emptyLine]);
+    setNotes('');
+
+    const fetchMedicines = async () => {
+      try {
+        const response = await api.get('/medicines');
+        setMedicines(response.data);
+      } catch (error) {
+        toast.error('Failed to load medicines');
+      }
+    };
+    fetchMedicines();
+  }, [open]);
+
+  const locations = getKnownLocations(medicines);
+  const stockedHere = medicines.filter((medicine) => getAvailableAt(medicine, fromLocation) > 0);
+
+  const updateLine = (idx, patch) => {
+    setLines(lines.map((line, i) => (i === idx ? { ...line, ...patch } : line)));
+  };
+
+  const getAvailable = (line) => {
+    const medicine = medicines.find((med) => med.id === line.medicine_id);
+    if (!medicine) return 0;
+    const batch = getBatchesAt(medicine, fromLocation).find((b) => b.batch_number === line.batch_number);
+    return batch ? batch.quantity : 0;
+  };
+
+  const handleFromChange = (location) => {
+    setFromLocation(location);
+    setLines([emptyLine]);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const destination = toLocation.trim();
+    if (!fromLocation || !destination) {
+      toast.error('Choose where the stock is moving from and to');
+      return;
+    }
+    if (destination === fromLocation) {
+      toast.error('Source and destination must differ');
+      return;
+    }
+
+    const items = lines.filter((line) => line.medicine_id && line.batch_number);
+    if (items.length === 0) {
+      toast.error('Add at least one item');
+      return;
+    }
+    // Quantities are checked per line, so the same batch on two lines could overdraw it
+    const keys = items.map((line) => `${line.medicine_id}|${line.batch_number}`);
+    if (new Set(keys).size < keys.length) {
+      toast.error('Each batch can only appear once; combine its quantities on one line');
+      return;
+    }
+    const overdrawn = items.find((line) => !(parseInt(line.quantity) > 0) || parseInt(line.quantity) > getAvailable(line));
+    if (overdrawn) {
+      toast.error('Each quantity must be between 1 and the stock available at the source');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await api.post('/transfers', {
+        from_location: fromLocation,
+        to_location: destination,
+        notes,
+        items: items.map((line) => {
+          const medicine = medicines.find((med) => med.id === line.medicine_id);
+          return {
+            medicine_id: line.medicine_id,
+            medicine_name: medicine.name,
+            unit: medicine.unit,
+            is_controlled: !!medicine.is_controlled,
+            batch_number: line.batch_number,
+            quantity: parseInt(line.quantity)
+          };
+        })
+      });
+      toast.success('Transfer created');
+      onOpenChange(false);
+      onCreated();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to create transfer');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>New Transfer</DialogTitle>
+          <DialogDescription>Move stock between shelves, storerooms or branches</DialogDescription>
+        </DialogHeader>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid grid-cols-[1fr_auto_1fr] items-end gap-3">
+            <div>
+              <Label>From</Label>
+              <Select value={fromLocation} onValueChange={handleFromChange}>
+                <SelectTrigger>
+                  <SelectValue placeholder="Source location" />
+                </SelectTrigger>
+                <SelectContent>
+                  {locations.map((location) => (
+                    <SelectItem key={location} value={location}>{location}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <ArrowRight className="h-4 w-4 text-gray-400 mb-3" />
+            <div>
+              <Label>To</Label>
+              <Input
+                value={toLocation}
+                onChange={(e) => setToLocation(e.target.value)}
+                list="transfer-locations"
+                placeholder="Existing or new location"
+                required
+              />
+              <datalist id="transfer-locations">
+                {locations.map((location) => (
+                  <option key={location} value={location} />
+                ))}
+              </datalist>
+            </div>
+          </div>
+
+          <div className="space-y-2">
+            <Label>Items</Label>
+            {lines.map((line, idx) => {
+              const medicine = medicines.find((med) => med.id === line.medicine_id);
+              const batches = medicine ? getBatchesAt(medicine, fromLocation) : [];
+              return (
+                <div key={idx} className="grid grid-cols-[2fr_1.5fr_1fr_auto] gap-2 items-center">
+                  <Select
+                    value={line.medicine_id}
+                    onValueChange={(value) => updateLine(idx, { medicine_id: value, batch_number: '' })}
+                    disabled={!fromLocation}
+                  >
+                    <SelectTrigger>
+                      <SelectValue placeholder="Medicine" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {stockedHere.map((med) => (
+                        <SelectItem key={med.id} value={med.id}>{med.name}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <Select
+                    value={line.batch_number}
+                    onValueChange={(value) => updateLine(idx, { batch_number: value })}
+                    disabled={!medicine}
+                  >
+                    <SelectTrigger>
+                      <SelectValue placeholder="Batch" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {batches.map((batch) => (
+                        <SelectItem key={batch.batch_number} value={batch.batch_number}>
+                          {batch.batch_number} ({batch.quantity})
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                  <Input
+                    type="number"
+                    min="1"
+                    max={getAvailable(line) || undefined}
+                    value={line.quantity}
+                    onChange={(e) => updateLine(idx, { quantity: e.target.value })}
+                    placeholder="Qty"
+                  />
+                  <Button
+                    type="button"
+                    variant="ghost"
+                    size="sm"
+                    onClick={() => setLines(lines.filter((_, i) => i !== idx))}
+                    disabled={lines.length === 1}
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </Button>
+                </div>
+              );
+            })}
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={() => setLines([...lines, emptyLine])}
+              disabled={!fromLocation}
+            >
+              <Plus className="h-4 w-4 mr-2" />
+              Add Item
+            </Button>
+          </div>
+
+          <div>
+            <Label>Notes</Label>
+            <Textarea value={notes} onChange={(e) => setNotes(e.target.value)} rows={2} />
+          </div>
+
+          <div className="flex gap-2 justify-end">
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" className="bg-blue-600 hover:bg-blue-700" disabled={saving}>
+              {saving ? 'Creating...' : 'Create Transfer'}
+            </Button>
+          </div>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default NewTransferDialog;
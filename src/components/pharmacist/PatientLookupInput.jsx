@@ -0,0 +1,29 @@
+import React from 'react';
+import AutocompleteInput from './AutocompleteInput';
+import { searchPatients } from '../../utils/prescriptions';
+
+const renderPatient = (patient) => (
+  <div>
+    <p className="font-medium">{patient.patient_name}</p>
+    <p className="text-xs text-gray-500">
+      {patient.patient_id || 'No ID'} · last seen {new Date(patient.last_seen).toLocaleDateString()}
+    </p>
+  </div>
+);
+
+// Patient name input that suggests patients from earlier prescriptions;
+// picking one hands the patient to onSelectPatient
+const PatientLookupInput = React.forwardRef(({ onSelectPatient, patients, ...props }, ref) => (
+  <AutocompleteInput
+    ref={ref}
+    {...props}
+    onSelectItem={onSelectPatient}
+    search={(term) => searchPatients(patients, term)}
+    getKey={(patient) => `${patient.patient_id}|${patient.patient_name}`}
+    renderItem={renderPatient}
+    heading="Previous patients"
+  />
+));
+PatientLookupInput.displayName = 'PatientLookupInput';
+
+export default PatientLookupInput;
@@ -0,0 +1,175 @@
+import React, { useState, useEffect } from 'react';
+import { useForm, useFieldArray } from 'react-hook-form';
+import { Plus, Trash2 } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Form, FormField, FormItem, FormLabel, FormControl, FormMessage } from '../ui/form';
+import { Collapsible, CollapsibleContent, CollapsibleTrigger } from '../ui/collapsible';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '../ui/dialog';
+import api from '../../utils/api';
+import { emptyPrescriptionLine, prescriptionResolver } from '../../utils/prescriptionSchema';
+import { CONFIDENCE_LEVELS, getConfidenceLevel, readExtraction, buildPrescriptionPayload } from '../../utils/prescriptions';
+import { toast } from 'sonner';
+
+const toNumber = (e) => (e.target.value === '' ? '' : e.target.valueAsNumber);
+
+// Review step for a validate-image result: the extraction is loaded into an
+// editable form and saved as a new prescription once corrected
+const PrescriptionExtractionDialog = ({ open, onOpenChange, validationResult, medicines, onSaved }) => {
+  const [extraction, setExtraction] = useState(() => readExtraction(null));
+  const [saving, setSaving] = useState(false);
+  const form = useForm({ resolver: prescriptionResolver, defaultValues: extraction.values });
+  const { fields, append, remove } = useFieldArray({ control: form.control, name: 'medicines' });
+
+  useEffect(() => {
+    if (!open || !validationResult) return;
+    const next = readExtraction(validationResult);
+    setExtraction(next);
+    form.reset(next.values);
+  }, [open, validationResult, form]);
+
+  const confidenceField = (name, label, confidence, inputProps = {}) => (
+    <FormField
+      control={form.control}
+      name={name}
+      render={({ field, fieldState }) => {
+        const level = fieldState.isDirty ? null : CONFIDENCE_LEVELS[getConfidenceLevel(confidence)];
+        return (
+          <FormItem className="space-y-1">
+            <FormLabel>
+              {label}
+              {level && <span className="ml-1 text-xs font-normal text-gray-500">· {level.label}</span>}
+            </FormLabel>
+            <FormControl>
+              <Input
+                {...field}
+                {...inputProps}
+                onChange={inputProps.type === 'number' ? (e) => field.onChange(toNumber(e)) : field.onChange}
+                className={level?.className}
+              />
+            </FormControl>
+            <FormMessage />
+          </FormItem>
+        );
+      }}
+    />
+  );
+
+  const handleSave = async (values) => {
+    setSaving(true);
+    try {
+      await api.post('/prescriptions', {
+        ...buildPrescriptionPayload(values, medicines),
+        source: 'upload',
+        ai_validation_result: extraction.summary || undefined
+      });
+      toast.success('Prescription saved');
+      onOpenChange(false);
+      onSaved();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to save prescription');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const medicinesError = form.formState.errors.medicines?.root?.message || form.formState.errors.medicines?.message;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>AI Validation Result</DialogTitle>
+          <DialogDescription>Check the extracted details, correct anything highlighted, then save</DialogDescription>
+        </DialogHeader>
+        {validationResult && (
+          <Form {...form}>
+            <form onSubmit={form.handleSubmit(handleSave)} className="space-y-4" noValidate>
+              <div className="bg-blue-50 p-4 rounded-lg">
+                <h3 className="font-semibold mb-1 text-blue-900">Validation Status</h3>
+                <p className="text-sm text-blue-800">
+                  {validationResult.success ? '✓ Successfully validated' : '✗ Validation failed'}
+                </p>
+                {extraction.summary && <p className="text-sm text-blue-800 mt-1">{extraction.summary}</p>}
+                {!extraction.structured && (
+                  <p className="text-sm text-amber-700 mt-1">
+                    The details couldn&apos;t be read into fields; fill them in from the analysis below.
+                  </p>
+                )}
+              </div>
+
+              <div className="grid grid-cols-2 gap-4">
+                {confidenceField('patient_name', 'Patient Name', extraction.confidence.patient_name)}
+                {confidenceField('patient_id', 'Patient ID', extraction.confidence.patient_id)}
+                {confidenceField('allergies', 'Allergies', extraction.confidence.allergies)}
+                {confidenceField('doctor_name', 'Doctor', extraction.confidence.doctor_name)}
+                {confidenceField('prescription_date', 'Date', extraction.confidence.prescription_date, { type: 'date' })}
+              </div>
+
+              <div className="space-y-2">
+                <h4 className="font-semibold text-sm">Medicines</h4>
+                {fields.map((line, idx) => (
+                  <div key={line.id} className="bg-gray-50 p-3 rounded space-y-2" data-testid="extracted-line">
+                    <div className="grid grid-cols-[2fr_1fr_auto] gap-2 items-start">
+                      {confidenceField(`medicines.${idx}.medicine_name`, 'Medicine', line.confidence?.medicine_name)}
+                      {confidenceField(`medicines.${idx}.quantity`, 'Quantity', line.confidence?.quantity, { type: 'number', min: 1 })}
+                      <Button
+                        type="button"
+                        variant="ghost"
+                        size="sm"
+                        className="mt-7"
+                        onClick={() => remove(idx)}
+                        disabled={fields.length === 1}
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </div>
+                    <div className="grid grid-cols-3 gap-2">
+                      {confidenceField(`medicines.${idx}.dosage`, 'Dosage', line.confidence?.dosage)}
+                      {confidenceField(`medicines.${idx}.frequency`, 'Frequency', line.confidence?.frequency)}
+                      {confidenceField(`medicines.${idx}.duration`, 'Duration', line.confidence?.duration)}
+                    </div>
+                  </div>
+                ))}
+                {medicinesError && <p className="text-sm font-medium text-destructive">{medicinesError}</p>}
+                <Button type="button" variant="outline" size="sm" onClick={() => append(emptyPrescriptionLine)}>
+                  <Plus className="h-4 w-4 mr-2" />
+                  Add Medicine
+                </Button>
+              </div>
+
+              <Collapsible>
+                <CollapsibleTrigger asChild>
+                  <Button type="button" variant="link" className="px-0">Show raw AI analysis</Button>
+                </CollapsibleTrigger>
+                <CollapsibleContent>
+                  <pre className="bg-gray-50 p-4 rounded-lg text-sm whitespace-pre-wrap text-gray-700">
+                    {typeof validationResult.validation_result === 'string'
+                      ? validationResult.validation_result
+                      : JSON.stringify(validationResult.validation_result, null, 2)}
+                  </pre>
+                </CollapsibleContent>
+              </Collapsible>
+
+              <div className="flex gap-2 justify-end">
+                <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+                  Close
+                </Button>
+                <Button
+                  type="submit"
+                  className="bg-blue-600 hover:bg-blue-700"
+                  disabled={saving}
+                  data-testid="save-extracted-prescription-button"
+                >
+                  {saving ? 'Saving...' : 'Save as Prescription'}
+                </Button>
+              </div>
+            </form>
+          </Form>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default PrescriptionExtractionDialog;
@@ -1,23 +1,61 @@
 import React, { useState, useEffect } from 'react';
-import { Upload, FileText, Check, X } from 'lucide-react';
+import { Upload, FileText, Check, X, Plus, PackageCheck, MessageSquare } from 'lucide-react';
 import { Button } from '../ui/button';
 import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
 import { Badge } from '../ui/badge';
-import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '../ui/dialog';
+import EquivalentsList from './EquivalentsList';
+import PrescriptionExtractionDialog from './PrescriptionExtractionDialog';
+import NewPrescriptionDialog from './NewPrescriptionDialog';
+import DispenseDialog from './DispenseDialog';
+import InteractionWarnings from './InteractionWarnings';
+import ReviewPrescriptionDialog from './ReviewPrescriptionDialog';
 import api from '../../utils/api';
+import { getAvailableQuantity } from '../../utils/holds';
+import { findEquivalents, findMedicineByName } from '../../utils/equivalents';
+import {
+  PRESCRIPTION_SOURCES,
+  PRESCRIPTION_STATUSES,
+  REJECTION_REASONS,
+  canDispense,
+  canReview
+} from '../../utils/prescriptions';
+import { checkPrescription, getPatientAllergies, needsAcknowledgement } from '../../utils/interactions';
 import { toast } from 'sonner';
 
 const PrescriptionManagement = () => {
   const [prescriptions, setPrescriptions] = useState([]);
+  const [medicines, setMedicines] = useState([]);
+  // 'loading' | 'loaded' | 'failed'; safety checks resolve brand names through
+  // stock, so approving and dispensing wait until it has loaded
+  const [stockStatus, setStockStatus] = useState('loading');
   const [loading, setLoading] = useState(true);
   const [uploading, setUploading] = useState(false);
   const [showValidationDialog, setShowValidationDialog] = useState(false);
   const [validationResult, setValidationResult] = useState(null);
+  const [showNewDialog, setShowNewDialog] = useState(false);
+  const [dispensingId, setDispensingId] = useState(null);
+  // prescription id -> ids of the safety warnings the pharmacist has ticked off
+  const [acknowledged, setAcknowledged] = useState({});
+  // { prescriptionId, decision, warnings } while the review dialog is open
+  const [review, setReview] = useState(null);
 
   useEffect(() => {
     fetchPrescriptions();
+    fetchMedicines();
   }, []);
 
+  // Loaded apart from the prescriptions so the list still shows without it
+  const fetchMedicines = async () => {
+    try {
+      const response = await api.get('/medicines');
+      setMedicines(response.data);
+      setStockStatus('loaded');
+    } catch (error) {
+      setStockStatus('failed');
+      toast.error('Failed to load stock; safety checks are incomplete until it loads');
+    }
+  };
+
   const fetchPrescriptions = async () => {
     try {
       const response = await api.get('/prescriptions');
@@ -60,27 +98,12 @@ const PrescriptionManagement = () => {
     }
   };
 
-  const handleValidate = async (prescriptionId, status, notes = '') => {
-    try {
-      await api.patch(`/prescriptions/${prescriptionId}/validate`, {
-        status,
-        notes
-      });
-      toast.success(`Prescription ${status}`);
-      fetchPrescriptions();
-    } catch (error) {
-      toast.error('Failed to update prescription');
-    }
-  };
-
-  const getStatusColor = (status) => {
-    const colors = {
-      pending: 'bg-yellow-100 text-yellow-800',
-      validated: 'bg-green-100 text-green-800',
-      dispensed: 'bg-blue-100 text-blue-800',
-      rejected: 'bg-red-100 text-red-800'
-    };
-    return colors[status] || 'bg-gray-100 text-gray-800';
+  const acknowledgeWarning = (prescriptionId, warningId, checked) => {
+    const current = acknowledged[prescriptionId] || [];
+    setAcknowledged({
+      ...acknowledged,
+      [prescriptionId]: checked ? [...current, warningId] : current.filter((id) => id !== warningId)
+    });
   };
 
   if (loading) {
@@ -94,7 +117,11 @@ const PrescriptionManagement = () => {
           <h1 className="text-3xl font-bold text-gray-900">Prescription Management</h1>
           <p className="text-gray-600 mt-2">Upload and validate prescriptions with AI</p>
         </div>
-        <div>
+        <div className="flex gap-2">
+          <Button variant="outline" onClick={() => setShowNewDialog(true)} data-testid="new-prescription-button">
+            <Plus className="h-4 w-4 mr-2" />
+            New Prescription
+          </Button>
           <input
             type="file"
             id="prescription-upload"
@@ -116,135 +143,252 @@ const PrescriptionManagement = () => {
         </div>
       </div>
 
-      {/* AI Validation Result Dialog */}
-      <Dialog open={showValidationDialog} onOpenChange={setShowValidationDialog}>
-        <DialogContent className="max-w-2xl">
-          <DialogHeader>
-            <DialogTitle>AI Validation Result</DialogTitle>
-            <DialogDescription>Review the AI-extracted prescription details</DialogDescription>
-          </DialogHeader>
-          {validationResult && (
-            <div className="space-y-4">
-              <div className="bg-blue-50 p-4 rounded-lg">
-                <h3 className="font-semibold mb-2 text-blue-900">Validation Status</h3>
-                <p className="text-sm text-blue-800">
-                  {validationResult.success ? '✓ Successfully validated' : '✗ Validation failed'}
-                </p>
-              </div>
-              <div className="bg-gray-50 p-4 rounded-lg">
-                <h3 className="font-semibold mb-2">AI Analysis</h3>
-                <pre className="text-sm whitespace-pre-wrap text-gray-700">
-                  {validationResult.validation_result}
-                </pre>
-              </div>
-              <Button
-                onClick={() => setShowValidationDialog(false)}
-                className="w-full bg-blue-600 hover:bg-blue-700"
-              >
-                Close
-              </Button>
-            </div>
-          )}
-        </DialogContent>
-      </Dialog>
+      <PrescriptionExtractionDialog
+        open={showValidationDialog}
+        onOpenChange={setShowValidationDialog}
+        validationResult={validationResult}
+        medicines={medicines}
+        onSaved={fetchPrescriptions}
+      />
+
+      <NewPrescriptionDialog
+        open={showNewDialog}
+        onOpenChange={setShowNewDialog}
+        prescriptions={prescriptions}
+        medicines={medicines}
+        onSaved={fetchPrescriptions}
+      />
+
+      <DispenseDialog
+        open={!!dispensingId}
+        onOpenChange={(open) => !open && setDispensingId(null)}
+        prescription={prescriptions.find((prescription) => prescription.id === dispensingId)}
+        medicines={medicines}
+        prescriptions={prescriptions}
+        onDispensed={() => {
+          fetchPrescriptions();
+          fetchMedicines();
+        }}
+      />
+
+      <ReviewPrescriptionDialog
+        open={!!review}
+        onOpenChange={(open) => !open && setReview(null)}
+        prescription={review && prescriptions.find((prescription) => prescription.id === review.prescriptionId)}
+        decision={review?.decision}
+        warnings={review?.warnings}
+        onReviewed={fetchPrescriptions}
+      />
 
       {/* Prescriptions List */}
       <div className="grid grid-cols-1 gap-4">
-        {prescriptions.map((prescription) => (
-          <Card key={prescription.id} data-testid="prescription-card">
-            <CardHeader>
-              <div className="flex items-center justify-between">
-                <CardTitle className="text-lg">
-                  Patient: {prescription.patient_name}
-                </CardTitle>
-                <Badge className={getStatusColor(prescription.status)}>
-                  {prescription.status}
-                </Badge>
-              </div>
-            </CardHeader>
-            <CardContent>
-              <div className="space-y-4">
-                <div className="grid grid-cols-2 gap-4 text-sm">
-                  <div>
-                    <span className="text-gray-600">Patient ID:</span>
-                    <span className="ml-2 font-medium">{prescription.patient_id}</span>
-                  </div>
-                  <div>
-                    <span className="text-gray-600">Doctor:</span>
-                    <span className="ml-2 font-medium">{prescription.doctor_name}</span>
+        {prescriptions.map((prescription) => {
+          const reviewable = canReview(prescription);
+          const warnings = reviewable ? checkPrescription(prescription, { medicines, prescriptions }) : [];
+          const ticked = acknowledged[prescription.id] || [];
+          const unacknowledged = warnings.filter((warning) => needsAcknowledgement(warning) && !ticked.includes(warning.id));
+          const stockLoaded = stockStatus === 'loaded';
+          const approveBlocker = !stockLoaded
+            ? 'Waiting for stock to load so the safety checks can run'
+            : unacknowledged.length > 0 ? 'Acknowledge every safety warning first' : undefined;
+          return (
+            <Card key={prescription.id} data-testid="prescription-card">
+              <CardHeader>
+                <div className="flex items-center justify-between">
+                  <CardTitle className="text-lg">
+                    Patient: {prescription.patient_name}
+                  </CardTitle>
+                  <Badge className={PRESCRIPTION_STATUSES[prescription.status]?.className || 'bg-gray-100 text-gray-800'}>
+                    {PRESCRIPTION_STATUSES[prescription.status]?.label || prescription.status}
+                  </Badge>
+                </div>
+              </CardHeader>
+              <CardContent>
+                <div className="space-y-4">
+                  <div className="grid grid-cols-2 gap-4 text-sm">
+                    <div>
+                      <span className="text-gray-600">Patient ID:</span>
+                      <span className="ml-2 font-medium">{prescription.patient_id}</span>
+                    </div>
+                    <div>
+                      <span className="text-gray-600">Doctor:</span>
+                      <span className="ml-2 font-medium">
+                        {prescription.doctor_name}
+                        {prescription.prescriber_license && ` (${prescription.prescriber_license})`}
+                      </span>
+                    </div>
+                    <div>
+                      <span className="text-gray-600">Created:</span>
+                      <span className="ml-2 font-medium">
+                        {new Date(prescription.created_at).toLocaleDateString()}
+                      </span>
+                    </div>
+                    {prescription.source && (
+                      <div>
+                        <span className="text-gray-600">Received:</span>
+                        <span className="ml-2 font-medium">{PRESCRIPTION_SOURCES[prescription.source] || prescription.source}</span>
+                      </div>
+                    )}
+                    {prescription.validated_by && (
+                      <div>
+                        <span className="text-gray-600">Validated By:</span>
+                        <span className="ml-2 font-medium">{prescription.validated_by}</span>
+                      </div>
+                    )}
+                    {prescription.dispensed_by && (
+                      <div>
+                        <span className="text-gray-600">Dispensed By:</span>
+                        <span className="ml-2 font-medium">
+                          {prescription.dispensed_by}
+                          {prescription.dispensed_at && ` · ${new Date(prescription.dispensed_at).toLocaleDateString()}`}
+                        </span>
+                      </div>
+                    )}
                   </div>
+
                   <div>
-                    <span className="text-gray-600">Created:</span>
-                    <span className="ml-2 font-medium">
-                      {new Date(prescription.created_at).toLocaleDateString()}
-                    </span>
+                    <h4 className="font-semibold mb-2">Medicines:</h4>
+                    <div className="space-y-2">
+                      {prescription.medicines.map((med, idx) => {
+                        const stocked = findMedicineByName(medicines, med.medicine_name || med.name, med.medicine_id);
+                        const available = stocked ? getAvailableQuantity(stocked) : 0;
+                        // Only worth suggesting swaps while the prescription is still under review
+                        const short = canReview(prescription) && available < (med.quantity || 1);
+                        return (
+                          <div key={idx} className="bg-gray-50 p-3 rounded space-y-2">
+                            <div>
+                              <p className="font-medium">{med.medicine_name || med.name}</p>
+                              <p className="text-sm text-gray-600">
+                                Quantity: {med.quantity} | Dosage: {med.dosage || 'N/A'}
+                                {med.frequency && ` | ${med.frequency}`}
+                                {med.duration && ` | ${med.duration}`}
+                              </p>
+                              {med.dispensed_quantity > 0 && (
+                                <p className="text-sm text-blue-700">
+                                  Dispensed {med.dispensed_quantity} of {med.quantity}
+                                  {med.substituted_with && ` as ${med.substituted_with.medicine_name}`}
+                                  {med.dispensed_batches?.length > 0 &&
+                                    ` · batch ${med.dispensed_batches.map((batch) => batch.batch_number).join(', ')}`}
+                                </p>
+                              )}
+                            </div>
+                            {short && (
+                              <div className="space-y-1" data-testid="prescription-alternatives">
+                                <p className="text-sm text-orange-700">
+                                  {stocked ? `Only ${available} ${stocked.unit} available` : 'Not stocked'}
+                                  {stocked && ' — in-stock alternatives:'}
+                                </p>
+                                {stocked && (
+                                  <EquivalentsList
+                                    medicine={stocked}
+                                    equivalents={findEquivalents(stocked, medicines)}
+                                    limit={3}
+                                  />
+                                )}
+                              </div>
+                            )}
+                          </div>
+                        );
+                      })}
+                    </div>
                   </div>
-                  {prescription.validated_by && (
-                    <div>
-                      <span className="text-gray-600">Validated By:</span>
-                      <span className="ml-2 font-medium">{prescription.validated_by}</span>
+
+                  {prescription.ai_validation_result && (
+                    <div className="bg-blue-50 p-3 rounded">
+                      <h4 className="font-semibold mb-1 text-blue-900">AI Validation:</h4>
+                      <p className="text-sm text-blue-800">{prescription.ai_validation_result}</p>
                     </div>
                   )}
-                </div>
 
-                <div>
-                  <h4 className="font-semibold mb-2">Medicines:</h4>
-                  <div className="space-y-2">
-                    {prescription.medicines.map((med, idx) => (
-                      <div key={idx} className="bg-gray-50 p-3 rounded">
-                        <p className="font-medium">{med.medicine_name || med.name}</p>
-                        <p className="text-sm text-gray-600">
-                          Quantity: {med.quantity} | Dosage: {med.dosage || 'N/A'}
-                        </p>
-                      </div>
-                    ))}
-                  </div>
-                </div>
+                  {prescription.status === 'rejected' && prescription.rejection_reason && (
+                    <div className="bg-red-50 p-3 rounded" data-testid="rejection-reason">
+                      <h4 className="font-semibold mb-1 text-red-900">Rejected:</h4>
+                      <p className="text-sm text-red-800">
+                        {REJECTION_REASONS[prescription.rejection_reason] || prescription.rejection_reason}
+                      </p>
+                    </div>
+                  )}
 
-                {prescription.ai_validation_result && (
-                  <div className="bg-blue-50 p-3 rounded">
-                    <h4 className="font-semibold mb-1 text-blue-900">AI Validation:</h4>
-                    <p className="text-sm text-blue-800">{prescription.ai_validation_result}</p>
-                  </div>
-                )}
+                  {prescription.clarification_request && (
+                    <div className="bg-purple-50 p-3 rounded">
+                      <h4 className="font-semibold mb-1 text-purple-900">Clarification Requested:</h4>
+                      <p className="text-sm text-purple-800">{prescription.clarification_request}</p>
+                    </div>
+                  )}
 
-                {prescription.notes && (
-                  <div className="bg-gray-50 p-3 rounded">
-                    <h4 className="font-semibold mb-1">Notes:</h4>
-                    <p className="text-sm text-gray-600">{prescription.notes}</p>
-                  </div>
-                )}
+                  {prescription.notes && (
+                    <div className="bg-gray-50 p-3 rounded">
+                      <h4 className="font-semibold mb-1">Notes:</h4>
+                      <p className="text-sm text-gray-600">{prescription.notes}</p>
+                    </div>
+                  )}
 
-                {prescription.status === 'pending' && (
-                  <div className="flex gap-2">
-                    <Button
-                      onClick={() => handleValidate(prescription.id, 'validated')}
-                      className="flex-1 bg-green-600 hover:bg-green-700"
-                      data-testid="approve-prescription-button"
-                    >
-                      <Check className="h-4 w-4 mr-2" />
-                      Approve
-                    </Button>
+                  {reviewable && (
+                    <InteractionWarnings
+                      warnings={warnings}
+                      allergies={getPatientAllergies(prescription, prescriptions)}
+                      acknowledged={ticked}
+                      stockStatus={stockStatus}
+                      onRetry={fetchMedicines}
+                      onAcknowledge={(warningId, checked) => acknowledgeWarning(prescription.id, warningId, checked)}
+                    />
+                  )}
+
+                  {reviewable && (
+                    <div className="flex gap-2">
+                      <Button
+                        onClick={() => setReview({ prescriptionId: prescription.id, decision: 'validated', warnings })}
+                        className="flex-1 bg-green-600 hover:bg-green-700"
+                        disabled={!!approveBlocker}
+                        title={approveBlocker}
+                        data-testid="approve-prescription-button"
+                      >
+                        <Check className="h-4 w-4 mr-2" />
+                        Approve
+                      </Button>
+                      <Button
+                        onClick={() => setReview({ prescriptionId: prescription.id, decision: 'clarification_requested', warnings })}
+                        variant="outline"
+                        className="flex-1"
+                        data-testid="clarify-prescription-button"
+                      >
+                        <MessageSquare className="h-4 w-4 mr-2" />
+                        Ask Prescriber
+                      </Button>
+                      <Button
+                        onClick={() => setReview({ prescriptionId: prescription.id, decision: 'rejected', warnings })}
+                        variant="destructive"
+                        className="flex-1"
+                        data-testid="reject-prescription-button"
+                      >
+                        <X className="h-4 w-4 mr-2" />
+                        Reject
+                      </Button>
+                    </div>
+                  )}
+
+                  {canDispense(prescription) && (
                     <Button
-                      onClick={() => handleValidate(prescription.id, 'rejected', 'Invalid prescription')}
-                      variant="destructive"
-                      className="flex-1"
-                      data-testid="reject-prescription-button"
+                      onClick={() => setDispensingId(prescription.id)}
+                      className="w-full bg-blue-600 hover:bg-blue-700"
+                      disabled={!stockLoaded}
+                      title={stockLoaded ? undefined : 'Waiting for stock to load'}
+                      data-testid="dispense-prescription-button"
                     >
-                      <X className="h-4 w-4 mr-2" />
-                      Reject
+                      <PackageCheck className="h-4 w-4 mr-2" />
+                      {prescription.status === 'partially_dispensed' ? 'Dispense Balance' : 'Dispense'}
                     </Button>
-                  </div>
-                )}
-              </div>
-            </CardContent>
-          </Card>
-        ))}
+                  )}
+                </div>
+              </CardContent>
+            </Card>
+          );
+        })}
 
         {prescriptions.length === 0 && (
           <div className="text-center py-12 text-gray-500">
             <FileText className="h-12 w-12 mx-auto mb-4 text-gray-400" />
-            <p>No prescriptions yet. Upload one to get started!</p>
+            <p>No prescriptions yet. Upload or enter one to get started!</p>
           </div>
         )}
       </div>
@@ -0,0 +1,69 @@
+import React, { useState, useEffect } from 'react';
+import { ShieldAlert } from 'lucide-react';
+import { Checkbox } from '../ui/checkbox';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../ui/card';
+import api from '../../utils/api';
+import { getRecallProgress } from '../../utils/recalls';
+import { toast } from 'sonner';
+
+// Outstanding recall follow-ups, shown on the pharmacist dashboard
+const RecallTasks = () => {
+  const [recalls, setRecalls] = useState([]);
+
+  useEffect(() => {
+    fetchRecalls();
+  }, []);
+
+  const fetchRecalls = async () => {
+    try {
+      const response = await api.get('/recalls');
+      setRecalls(response.data.filter((recall) => getRecallProgress(recall).status !== 'completed'));
+    } catch (error) {
+      toast.error('Failed to load recall tasks');
+    }
+  };
+
+  const completeTask = async (recall, task) => {
+    try {
+      await api.patch(`/recalls/${recall.id}/tasks/${task.id}`, { done: true });
+      toast.success('Task completed');
+      fetchRecalls();
+    } catch (error) {
+      toast.error('Failed to update task');
+    }
+  };
+
+  if (recalls.length === 0) return null;
+
+  return (
+    <Card className="border-red-200" data-testid="recall-tasks">
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ShieldAlert className="h-5 w-5 text-red-600" />
+          Recall Tasks
+        </CardTitle>
+        <CardDescription>Recalled batches have been quarantined; finish these follow-ups</CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {recalls.map((recall) => (
+          <div key={recall.id}>
+            <p className="font-medium text-gray-900">
+              {recall.product} · {recall.manufacturer}
+              <span className="ml-2 text-sm font-normal text-gray-500">Class {recall.recall_class}</span>
+            </p>
+            <div className="mt-2 space-y-2">
+              {(recall.tasks || []).filter((task) => !task.done).map((task) => (
+                <label key={task.id} className="flex items-start gap-3 p-2 bg-red-50 rounded-lg text-sm cursor-pointer">
+                  <Checkbox className="mt-0.5" onCheckedChange={() => completeTask(recall, task)} />
+                  {task.description}
+                </label>
+              ))}
+            </div>
+          </div>
+        ))}
+      </CardContent>
+    </Card>
+  );
+};
+
+export default RecallTasks;
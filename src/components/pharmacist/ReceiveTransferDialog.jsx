@@ -0,0 +1,124 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Textarea } from '../ui/textarea';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '../ui/dialog';
+import WitnessFields from './WitnessFields';
+import api from '../../utils/api';
+import { emptyWitness, hasControlled, getWitnessError } from '../../utils/controlled';
+import { toast } from 'sonner';
+
+const ReceiveTransferDialog = ({ transfer, open, onOpenChange, onReceived }) => {
+  const [received, setReceived] = useState({});
+  const [notes, setNotes] = useState('');
+  const [witness, setWitness] = useState(emptyWitness);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (open && transfer) {
+      setReceived(Object.fromEntries(transfer.items.map((item, idx) => [idx, item.quantity])));
+      setNotes('');
+      setWitness(emptyWitness);
+    }
+  }, [open, transfer]);
+
+  if (!transfer) return null;
+
+  const hasShortfall = transfer.items.some((item, idx) => Number(received[idx]) !== item.quantity);
+  const controlled = hasControlled(transfer.items);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (hasShortfall && !notes.trim()) {
+      toast.error('Explain the difference between sent and received quantities');
+      return;
+    }
+    const witnessError = controlled && getWitnessError(witness);
+    if (witnessError) {
+      toast.error(witnessError);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await api.patch(`/transfers/${transfer.id}/status`, {
+        status: 'received',
+        notes,
+        ...(controlled ? witness : {}),
+        received_items: transfer.items.map((item, idx) => ({
+          medicine_id: item.medicine_id,
+          batch_number: item.batch_number,
+          quantity_received: parseInt(received[idx]) || 0
+        }))
+      });
+      toast.success(`Received at ${transfer.to_location}`);
+      onOpenChange(false);
+      onReceived();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to receive transfer');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Receive Transfer</DialogTitle>
+          <DialogDescription>
+            {transfer.from_location} → {transfer.to_location}
+          </DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="border-b border-gray-200 text-gray-600">
+                <th className="text-left py-2">Item</th>
+                <th className="text-right py-2">Sent</th>
+                <th className="text-right py-2 w-28">Received</th>
+              </tr>
+            </thead>
+            <tbody>
+              {transfer.items.map((item, idx) => (
+                <tr key={idx} className="border-b border-gray-100">
+                  <td className="py-2">
+                    <p className="font-medium">{item.medicine_name}</p>
+                    <p className="text-xs text-gray-500">Batch {item.batch_number}</p>
+                  </td>
+                  <td className="py-2 text-right">{item.quantity}</td>
+                  <td className="py-2 pl-2">
+                    <Input
+                      type="number"
+                      min="0"
+                      max={item.quantity}
+                      value={received[idx] ?? ''}
+                      onChange={(e) => setReceived({ ...received, [idx]: e.target.value })}
+                      className="text-right"
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <div>
+            <Label>Notes{hasShortfall && ' (required for discrepancies)'}</Label>
+            <Textarea value={notes} onChange={(e) => setNotes(e.target.value)} rows={2} />
+          </div>
+          {controlled && <WitnessFields witness={witness} onChange={setWitness} />}
+          <div className="flex gap-2 justify-end">
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" className="bg-blue-600 hover:bg-blue-700" disabled={saving}>
+              {saving ? 'Saving...' : 'Confirm Receipt'}
+            </Button>
+          </div>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ReceiveTransferDialog;
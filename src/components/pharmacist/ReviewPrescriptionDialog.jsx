@@ -0,0 +1,140 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from '../ui/button';
+import { Label } from '../ui/label';
+import { Textarea } from '../ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '../ui/dialog';
+import api from '../../utils/api';
+import { REVIEW_DECISIONS, REJECTION_REASONS } from '../../utils/prescriptions';
+import { needsAcknowledgement } from '../../utils/interactions';
+import { toast } from 'sonner';
+
+// decision is a REVIEW_DECISIONS key; warnings are the safety findings shown on
+// the card, recorded with an approval and used to suggest a rejection reason
+const ReviewPrescriptionDialog = ({ open, onOpenChange, prescription, decision, warnings = [], onReviewed }) => {
+  const [reason, setReason] = useState('');
+  const [question, setQuestion] = useState('');
+  const [notes, setNotes] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    setReason(warnings.some(needsAcknowledgement) ? 'interaction' : '');
+    setQuestion('');
+    setNotes('');
+  }, [open, warnings]);
+
+  if (!prescription || !decision) return null;
+
+  const config = REVIEW_DECISIONS[decision];
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (decision === 'rejected' && !reason) {
+      toast.error('Choose a rejection reason');
+      return;
+    }
+    if (decision === 'clarification_requested' && !question.trim()) {
+      toast.error('Say what the prescriber needs to clarify');
+      return;
+    }
+
+    const payload = { status: decision, notes: notes.trim() };
+    if (decision === 'validated') {
+      payload.acknowledged_warnings = warnings
+        .filter(needsAcknowledgement)
+        .map(({ kind, severity, title }) => ({ kind, severity, title }));
+    }
+    if (decision === 'rejected') payload.rejection_reason = reason;
+    if (decision === 'clarification_requested') payload.clarification_request = question.trim();
+
+    setSaving(true);
+    try {
+      await api.patch(`/prescriptions/${prescription.id}/validate`, payload);
+      toast.success(`Prescription ${config.done}`);
+      onOpenChange(false);
+      onReviewed();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to update prescription');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle>{config.title}</DialogTitle>
+          <DialogDescription>
+            {prescription.patient_name} · {prescription.doctor_name}
+            {decision === 'clarification_requested' && prescription.prescriber_contact &&
+              ` · ${prescription.prescriber_contact}`}
+          </DialogDescription>
+        </DialogHeader>
+
+        <form onSubmit={handleSubmit} className="space-y-4" data-testid="review-prescription-form">
+          {decision === 'rejected' && (
+            <div>
+              <Label>Reason *</Label>
+              <Select value={reason} onValueChange={setReason}>
+                <SelectTrigger data-testid="rejection-reason-select">
+                  <SelectValue placeholder="Why is it being rejected?" />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(REJECTION_REASONS).map(([value, label]) => (
+                    <SelectItem key={value} value={value}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          )}
+
+          {decision === 'clarification_requested' && (
+            <div>
+              <Label>Question for the Prescriber *</Label>
+              <Textarea
+                value={question}
+                onChange={(e) => setQuestion(e.target.value)}
+                rows={3}
+                placeholder="e.g. Please confirm the amoxicillin dose for a 12 kg child"
+              />
+            </div>
+          )}
+
+          {decision === 'validated' && warnings.some(needsAcknowledgement) && (
+            <p className="text-sm text-orange-700">
+              {warnings.filter(needsAcknowledgement).length} acknowledged safety warning(s) will be recorded with the approval.
+            </p>
+          )}
+
+          <div>
+            <Label>Pharmacist Notes</Label>
+            <Textarea
+              value={notes}
+              onChange={(e) => setNotes(e.target.value)}
+              rows={3}
+              placeholder="Optional"
+            />
+          </div>
+
+          <div className="flex gap-2 justify-end">
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button
+              type="submit"
+              variant={decision === 'rejected' ? 'destructive' : 'default'}
+              className={decision === 'rejected' ? '' : 'bg-blue-600 hover:bg-blue-700'}
+              disabled={saving}
+            >
+              {saving ? 'Saving...' : config.action}
+            </Button>
+          </div>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ReviewPrescriptionDialog;
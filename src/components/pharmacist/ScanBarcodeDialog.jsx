@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { ScanLine, ImageUp } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '../ui/dialog';
+import { useBarcodeScanner } from '../../hooks/use-barcode-scanner';
+import { decodeBarcodeImage } from '../../utils/barcode';
+import { parseGS1 } from '../../utils/gs1';
+import { toast } from 'sonner';
+
+const ScanBarcodeDialog = ({ open, onOpenChange, onScan, title = 'Scan Barcode' }) => {
+  const [manualCode, setManualCode] = useState('');
+  const [decoding, setDecoding] = useState(false);
+
+  const finish = (code) => {
+    setManualCode('');
+    onOpenChange(false);
+    onScan(parseGS1(code));
+  };
+
+  useBarcodeScanner(finish, { enabled: open });
+
+  const handleImage = async (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    setDecoding(true);
+    try {
+      const code = await decodeBarcodeImage(file);
+      if (code) {
+        finish(code);
+      } else {
+        toast.error('No barcode found in image');
+      }
+    } catch (error) {
+      toast.error('Could not read image');
+    } finally {
+      setDecoding(false);
+      event.target.value = '';
+    }
+  };
+
+  const handleManualSubmit = (e) => {
+    e.preventDefault();
+    if (manualCode.trim()) finish(manualCode.trim());
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>{title}</DialogTitle>
+          <DialogDescription>Scan a GS1 DataMatrix, QR or linear barcode</DialogDescription>
+        </DialogHeader>
+
+        <div className="space-y-6">
+          <div className="flex flex-col items-center gap-2 py-6 bg-blue-50 rounded-lg text-blue-800">
+            <ScanLine className="h-10 w-10 animate-pulse" />
+            <p className="text-sm">Ready — scan with your handheld scanner</p>
+          </div>
+
+          <div>
+            <input
+              type="file"
+              id="barcode-image-upload"
+              accept="image/*"
+              onChange={handleImage}
+              className="hidden"
+            />
+            <label htmlFor="barcode-image-upload">
+              <Button asChild variant="outline" className="w-full cursor-pointer" disabled={decoding}>
+                <span>
+                  <ImageUp className="h-4 w-4 mr-2" />
+                  {decoding ? 'Decoding...' : 'Upload Photo of Barcode'}
+                </span>
+              </Button>
+            </label>
+          </div>
+
+          <form onSubmit={handleManualSubmit} className="space-y-2">
+            <Label>Or enter the code</Label>
+            <div className="flex gap-2">
+              <Input
+                value={manualCode}
+                onChange={(e) => setManualCode(e.target.value)}
+                placeholder="(01)09501101530003(17)261231(10)ABC123"
+                data-testid="manual-barcode-input"
+              />
+              <Button type="submit" variant="outline">Use</Button>
+            </div>
+          </form>
+        </div>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default ScanBarcodeDialog;
@@ -0,0 +1,207 @@
+import React, { useState, useEffect } from 'react';
+import { ArrowRight } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Textarea } from '../ui/textarea';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '../ui/dialog';
+import WitnessFields from './WitnessFields';
+import api from '../../utils/api';
+import { getBatches, getTotalQuantity } from '../../utils/batches';
+import { getAvailableBatches, getAvailableQuantity } from '../../utils/holds';
+import { MOVEMENT_TYPES, getQuantityAfter } from '../../utils/stockMovements';
+import { emptyWitness, isControlled, getWitnessError } from '../../utils/controlled';
+import { toast } from 'sonner';
+
+const ALL_BATCHES = '__all__';
+
+const StockAdjustmentDialog = ({ medicine, open, onOpenChange, onSaved }) => {
+  const [movementType, setMovementType] = useState('received');
+  const [reasonCode, setReasonCode] = useState('');
+  const [batchNumber, setBatchNumber] = useState(ALL_BATCHES);
+  const [quantity, setQuantity] = useState('');
+  const [notes, setNotes] = useState('');
+  const [witness, setWitness] = useState(emptyWitness);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (open) {
+      setMovementType('received');
+      setReasonCode('');
+      setBatchNumber(ALL_BATCHES);
+      setQuantity('');
+      setNotes('');
+      setWitness(emptyWitness);
+    }
+  }, [open]);
+
+  if (!medicine) return null;
+
+  const batches = getBatches(medicine);
+  const selectedBatch = batches.find((batch) => batch.batch_number === batchNumber);
+  const quantityBefore = selectedBatch ? selectedBatch.quantity : getTotalQuantity(medicine);
+  // Held units stay out of circulation, so removals can only draw on the rest
+  const available = selectedBatch
+    ? getAvailableBatches(medicine).find((batch) => batch.batch_number === batchNumber).quantity
+    : getAvailableQuantity(medicine);
+  const held = quantityBefore - available;
+  const parsedQuantity = parseInt(quantity);
+  const quantityAfter = Number.isNaN(parsedQuantity)
+    ? null
+    : getQuantityAfter(movementType, quantityBefore, parsedQuantity);
+  const isCount = MOVEMENT_TYPES[movementType].direction === 0;
+  const controlled = isControlled(medicine);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!reasonCode) {
+      toast.error('Please select a reason');
+      return;
+    }
+    if (quantityAfter < 0) {
+      toast.error('Adjustment would make stock negative');
+      return;
+    }
+    if (MOVEMENT_TYPES[movementType].direction < 0 && parsedQuantity > available) {
+      toast.error(`Only ${available} ${medicine.unit} available; release or write off the ${held} on hold from the hold itself`);
+      return;
+    }
+    const witnessError = controlled && getWitnessError(witness);
+    if (witnessError) {
+      toast.error(witnessError);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await api.post('/stock-movements', {
+        medicine_id: medicine.id,
+        movement_type: movementType,
+        reason_code: reasonCode,
+        quantity: parsedQuantity,
+        batch_number: selectedBatch ? selectedBatch.batch_number : null,
+        quantity_before: quantityBefore,
+        quantity_after: quantityAfter,
+        notes,
+        ...(controlled ? witness : {})
+      });
+      toast.success('Stock adjusted');
+      onOpenChange(false);
+      onSaved();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to adjust stock');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-lg">
+        <DialogHeader>
+          <DialogTitle>Adjust Stock</DialogTitle>
+          <DialogDescription>{medicine.name} · {medicine.generic_name}</DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit} className="space-y-4" data-testid="stock-adjustment-form">
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <Label>Movement Type</Label>
+              <Select
+                value={movementType}
+                onValueChange={(value) => {
+                  setMovementType(value);
+                  setReasonCode('');
+                }}
+              >
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(MOVEMENT_TYPES).map(([type, config]) => (
+                    <SelectItem key={type} value={type}>{config.label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div>
+              <Label>Reason</Label>
+              <Select value={reasonCode} onValueChange={setReasonCode}>
+                <SelectTrigger>
+                  <SelectValue placeholder="Select reason" />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(MOVEMENT_TYPES[movementType].reasons).map(([code, label]) => (
+                    <SelectItem key={code} value={code}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            {batches.length > 1 && (
+              <div>
+                <Label>Batch</Label>
+                <Select value={batchNumber} onValueChange={setBatchNumber}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value={ALL_BATCHES}>Unspecified</SelectItem>
+                    {batches.map((batch) => (
+                      <SelectItem key={batch.batch_number} value={batch.batch_number}>
+                        {batch.batch_number} ({batch.quantity})
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+            <div>
+              <Label>{isCount ? 'Counted Quantity' : 'Quantity'}</Label>
+              <Input
+                type="number"
+                min={isCount ? '0' : '1'}
+                value={quantity}
+                onChange={(e) => setQuantity(e.target.value)}
+                required
+              />
+            </div>
+          </div>
+          <div>
+            <Label>Notes</Label>
+            <Textarea value={notes} onChange={(e) => setNotes(e.target.value)} rows={2} />
+          </div>
+
+          <div className="flex items-center justify-center gap-4 bg-gray-50 p-3 rounded-lg text-sm">
+            <span>Before: <span className="font-semibold">{quantityBefore}</span></span>
+            <ArrowRight className="h-4 w-4 text-gray-400" />
+            <span>
+              After:{' '}
+              <span className={`font-semibold ${quantityAfter < 0 ? 'text-red-600' : ''}`}>
+                {quantityAfter ?? '—'}
+              </span>
+            </span>
+          </div>
+
+          {held > 0 && (
+            <p className="text-sm text-orange-700">
+              {held} {medicine.unit} on hold{selectedBatch ? ' in this batch' : ''} — removals can&apos;t draw on held stock
+            </p>
+          )}
+
+          {controlled && <WitnessFields witness={witness} onChange={setWitness} />}
+
+          <div className="flex gap-2 justify-end">
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" className="bg-blue-600 hover:bg-blue-700" disabled={saving}>
+              {saving ? 'Saving...' : 'Record Adjustment'}
+            </Button>
+          </div>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default StockAdjustmentDialog;
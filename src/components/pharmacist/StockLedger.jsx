@@ -0,0 +1,134 @@
+import React, { useState, useEffect } from 'react';
+import { Search, ClipboardList } from 'lucide-react';
+import { Input } from '../ui/input';
+import { Badge } from '../ui/badge';
+import { Card, CardContent } from '../ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../ui/select';
+import api from '../../utils/api';
+import { MOVEMENT_TYPES, getReasonLabel, formatChange } from '../../utils/stockMovements';
+import { toast } from 'sonner';
+
+const ALL_TYPES = 'all';
+
+const StockLedger = () => {
+  const [movements, setMovements] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [movementType, setMovementType] = useState(ALL_TYPES);
+  const [searchTerm, setSearchTerm] = useState('');
+
+  useEffect(() => {
+    fetchMovements();
+  }, []);
+
+  const fetchMovements = async () => {
+    try {
+      const response = await api.get('/stock-movements');
+      setMovements(response.data);
+    } catch (error) {
+      toast.error('Failed to load stock ledger');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const filteredMovements = movements.filter((movement) =>
+    (movementType === ALL_TYPES || movement.movement_type === movementType) &&
+    (movement.medicine_name || '').toLowerCase().includes(searchTerm.toLowerCase())
+  );
+
+  if (loading) {
+    return <div className="text-center py-12">Loading...</div>;
+  }
+
+  return (
+    <div className="space-y-6" data-testid="stock-ledger">
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">Stock Ledger</h1>
+        <p className="text-gray-600 mt-2">Every change to stock quantities and why it happened</p>
+      </div>
+
+      <div className="flex gap-4">
+        <div className="relative flex-1">
+          <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 text-gray-400 h-4 w-4" />
+          <Input
+            placeholder="Search by medicine..."
+            className="pl-10"
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+          />
+        </div>
+        <Select value={movementType} onValueChange={setMovementType}>
+          <SelectTrigger className="w-48">
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            <SelectItem value={ALL_TYPES}>All movements</SelectItem>
+            {Object.entries(MOVEMENT_TYPES).map(([type, config]) => (
+              <SelectItem key={type} value={type}>{config.label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      <Card>
+        <CardContent className="p-0">
+          <div className="overflow-x-auto">
+            <table className="w-full">
+              <thead>
+                <tr className="border-b border-gray-200">
+                  <th className="text-left py-3 px-4 font-semibold text-gray-700">Date</th>
+                  <th className="text-left py-3 px-4 font-semibold text-gray-700">Medicine</th>
+                  <th className="text-left py-3 px-4 font-semibold text-gray-700">Type</th>
+                  <th className="text-left py-3 px-4 font-semibold text-gray-700">Reason</th>
+                  <th className="text-left py-3 px-4 font-semibold text-gray-700">Change</th>
+                  <th className="text-left py-3 px-4 font-semibold text-gray-700">Before → After</th>
+                  <th className="text-left py-3 px-4 font-semibold text-gray-700">By</th>
+                </tr>
+              </thead>
+              <tbody>
+                {filteredMovements.map((movement) => {
+                  const config = MOVEMENT_TYPES[movement.movement_type];
+                  return (
+                    <tr key={movement.id} className="border-b border-gray-100 hover:bg-gray-50 text-sm">
+                      <td className="py-3 px-4 whitespace-nowrap">
+                        {new Date(movement.created_at).toLocaleString()}
+                      </td>
+                      <td className="py-3 px-4">
+                        <span className="font-medium">{movement.medicine_name}</span>
+                        {movement.batch_number && (
+                          <span className="block text-xs text-gray-500">Batch {movement.batch_number}</span>
+                        )}
+                      </td>
+                      <td className="py-3 px-4">
+                        <Badge className={config?.color || 'bg-gray-100 text-gray-800'}>
+                          {config?.label || movement.movement_type}
+                        </Badge>
+                      </td>
+                      <td className="py-3 px-4">
+                        {getReasonLabel(movement.movement_type, movement.reason_code)}
+                      </td>
+                      <td className="py-3 px-4 font-semibold">{formatChange(movement)}</td>
+                      <td className="py-3 px-4">
+                        {movement.quantity_before} → {movement.quantity_after}
+                      </td>
+                      <td className="py-3 px-4 text-gray-600">{movement.performed_by}</td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        </CardContent>
+      </Card>
+
+      {filteredMovements.length === 0 && (
+        <div className="text-center py-12 text-gray-500">
+          <ClipboardList className="h-12 w-12 mx-auto mb-4 text-gray-400" />
+          <p>No stock movements found</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StockLedger;
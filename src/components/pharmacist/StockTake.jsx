@@ -0,0 +1,153 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, ClipboardCheck } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+import { Badge } from '../ui/badge';
+import { Card, CardContent } from '../ui/card';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '../ui/dialog';
+import StockTakeSession from './StockTakeSession';
+import api from '../../utils/api';
+import { toast } from 'sonner';
+
+const StockTake = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [activeSessionId, setActiveSessionId] = useState(null);
+  const [showNewDialog, setShowNewDialog] = useState(false);
+  const [sessionName, setSessionName] = useState('');
+
+  useEffect(() => {
+    fetchSessions();
+  }, []);
+
+  const fetchSessions = async () => {
+    try {
+      const response = await api.get('/stock-takes');
+      setSessions(response.data);
+    } catch (error) {
+      toast.error('Failed to load stock-take sessions');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    try {
+      const response = await api.post('/stock-takes', { name: sessionName, counts: {} });
+      toast.success('Stock-take started');
+      setShowNewDialog(false);
+      setSessionName('');
+      await fetchSessions();
+      setActiveSessionId(response.data.id);
+    } catch (error) {
+      toast.error('Failed to start stock-take');
+    }
+  };
+
+  const getStatusColor = (status) => {
+    const colors = {
+      draft: 'bg-yellow-100 text-yellow-800',
+      completed: 'bg-green-100 text-green-800'
+    };
+    return colors[status] || 'bg-gray-100 text-gray-800';
+  };
+
+  const activeSession = sessions.find((session) => session.id === activeSessionId);
+
+  if (loading) {
+    return <div className="text-center py-12">Loading...</div>;
+  }
+
+  if (activeSession) {
+    return (
+      <StockTakeSession
+        session={activeSession}
+        onBack={() => setActiveSessionId(null)}
+        onSaved={fetchSessions}
+      />
+    );
+  }
+
+  return (
+    <div className="space-y-6" data-testid="stock-take">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Stock Take</h1>
+          <p className="text-gray-600 mt-2">Count shelves and reconcile against system stock</p>
+        </div>
+        <Button
+          onClick={() => setShowNewDialog(true)}
+          className="bg-blue-600 hover:bg-blue-700"
+          data-testid="new-stock-take-button"
+        >
+          <Plus className="h-4 w-4 mr-2" />
+          New Stock Take
+        </Button>
+      </div>
+
+      <Dialog open={showNewDialog} onOpenChange={setShowNewDialog}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>New Stock Take</DialogTitle>
+            <DialogDescription>Start a counting session for all locations</DialogDescription>
+          </DialogHeader>
+          <form onSubmit={handleCreate} className="space-y-4">
+            <div>
+              <Label>Session Name</Label>
+              <Input
+                value={sessionName}
+                onChange={(e) => setSessionName(e.target.value)}
+                placeholder="e.g. Q3 audit"
+                required
+              />
+            </div>
+            <div className="flex gap-2 justify-end">
+              <Button type="button" variant="outline" onClick={() => setShowNewDialog(false)}>
+                Cancel
+              </Button>
+              <Button type="submit" className="bg-blue-600 hover:bg-blue-700">
+                Start Counting
+              </Button>
+            </div>
+          </form>
+        </DialogContent>
+      </Dialog>
+
+      <div className="grid grid-cols-1 gap-4">
+        {sessions.map((session) => (
+          <Card
+            key={session.id}
+            className="cursor-pointer hover:border-blue-300"
+            onClick={() => setActiveSessionId(session.id)}
+            data-testid="stock-take-card"
+          >
+            <CardContent className="p-6 flex items-center justify-between">
+              <div>
+                <h3 className="font-semibold text-lg text-gray-900">{session.name}</h3>
+                <p className="text-sm text-gray-600">
+                  Started {new Date(session.created_at).toLocaleDateString()} by {session.created_by}
+                  {' · '}
+                  {Object.keys(session.counts || {}).length} items counted
+                </p>
+              </div>
+              <Badge className={getStatusColor(session.status)}>
+                {session.status}
+              </Badge>
+            </CardContent>
+          </Card>
+        ))}
+
+        {sessions.length === 0 && (
+          <div className="text-center py-12 text-gray-500">
+            <ClipboardCheck className="h-12 w-12 mx-auto mb-4 text-gray-400" />
+            <p>No stock-take sessions yet</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StockTake;
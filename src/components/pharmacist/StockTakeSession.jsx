@@ -0,0 +1,315 @@
+import React, { useState, useEffect } from 'react';
+import { ArrowLeft, Save, CheckCircle } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Checkbox } from '../ui/checkbox';
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
+import { Tabs, TabsContent, TabsList, TabsTrigger } from '../ui/tabs';
+import WitnessDialog from './WitnessDialog';
+import api from '../../utils/api';
+import { getCountLines, groupByLocation, getCount, computeVariances } from '../../utils/stockTake';
+import { isControlled } from '../../utils/controlled';
+import { toast } from 'sonner';
+
+const StockTakeSession = ({ session, onBack, onSaved }) => {
+  const [medicines, setMedicines] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [counts, setCounts] = useState(session.counts || {});
+  const [dirty, setDirty] = useState(false);
+  const [approved, setApproved] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [showWitnessDialog, setShowWitnessDialog] = useState(false);
+
+  const isCompleted = session.status === 'completed';
+
+  useEffect(() => {
+    const fetchMedicines = async () => {
+      try {
+        const response = await api.get('/medicines');
+        setMedicines(response.data);
+      } catch (error) {
+        toast.error('Failed to load medicines');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchMedicines();
+  }, []);
+
+  const lines = getCountLines(medicines);
+  const variances = computeVariances(lines, counts);
+  const discrepancies = variances.filter((row) => row.variance !== 0);
+  const totalVarianceValue = discrepancies.reduce((sum, row) => sum + row.varianceValue, 0);
+  const approvedRows = discrepancies.filter((row) => approved.includes(row.key));
+
+  const updateCount = (key, value) => {
+    setCounts({ ...counts, [key]: value === '' ? '' : parseInt(value) });
+    setDirty(true);
+  };
+
+  // Written back under per-location keys, which also moves older drafts over
+  const getEnteredCounts = () => {
+    const entered = {};
+    lines.forEach((line) => {
+      const value = getCount(counts, line);
+      if (value !== undefined && value !== '' && !Number.isNaN(value)) entered[line.key] = value;
+    });
+    return entered;
+  };
+
+  const saveDraft = async () => {
+    setSaving(true);
+    try {
+      await api.put(`/stock-takes/${session.id}`, { counts: getEnteredCounts(), status: 'draft' });
+      toast.success('Draft saved');
+      setDirty(false);
+      onSaved();
+    } catch (error) {
+      toast.error('Failed to save draft');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleApproved = (key, checked) => {
+    setApproved(checked ? [...approved, key] : approved.filter((id) => id !== key));
+  };
+
+  const requestPost = () => {
+    if (approvedRows.length === 0) {
+      toast.error('Approve at least one variance');
+      return;
+    }
+    if (!window.confirm(`Post ${approvedRows.length} variance adjustments to stock?`)) return;
+
+    if (approvedRows.some((row) => isControlled(row.medicine))) {
+      setShowWitnessDialog(true);
+    } else {
+      postVariances(null);
+    }
+  };
+
+  // witness is attached only to the controlled items' movements
+  const postVariances = async (witness) => {
+    setSaving(true);
+    try {
+      // Stock may have moved since the count was loaded; post only against
+      // current levels so the ledger's before figures are right
+      const response = await api.get('/medicines');
+      const current = getCountLines(response.data);
+      const changed = approvedRows.some((row) =>
+        current.find((line) => line.key === row.key)?.systemQuantity !== row.systemQuantity
+      );
+      if (changed) {
+        setMedicines(response.data);
+        setShowWitnessDialog(false);
+        toast.error('Stock changed since the count was loaded; check the updated variances and post again');
+        return;
+      }
+
+      // Movements and the session close go in one request, so a failure applies nothing
+      await api.put(`/stock-takes/${session.id}`, {
+        counts: getEnteredCounts(),
+        status: 'completed',
+        approved_medicine_ids: [...new Set(approvedRows.map((row) => row.medicine.id))],
+        movements: approvedRows.map((row) => ({
+          medicine_id: row.medicine.id,
+          movement_type: 'counted',
+          reason_code: 'STOCK_TAKE',
+          quantity: row.countedQuantity,
+          batch_number: null,
+          location: row.location,
+          quantity_before: row.systemQuantity,
+          quantity_after: row.countedQuantity,
+          notes: `Stock take: ${session.name}`,
+          ...(isControlled(row.medicine) ? witness : {})
+        }))
+      });
+      setShowWitnessDialog(false);
+      toast.success('Variances posted as stock adjustments');
+      onSaved();
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to post variances');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="text-center py-12">Loading...</div>;
+  }
+
+  const groups = groupByLocation(lines);
+
+  return (
+    <div className="space-y-6" data-testid="stock-take-session">
+      <WitnessDialog
+        open={showWitnessDialog}
+        onOpenChange={setShowWitnessDialog}
+        onConfirm={postVariances}
+        description="Some approved variances are controlled substances"
+      />
+
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-4">
+          <Button variant="ghost" size="icon" onClick={onBack}>
+            <ArrowLeft className="h-5 w-5" />
+          </Button>
+          <div>
+            <h1 className="text-3xl font-bold text-gray-900">{session.name}</h1>
+            <p className="text-gray-600 mt-2">
+              {variances.length} of {lines.length} items counted
+              {isCompleted && ' · Completed'}
+            </p>
+          </div>
+        </div>
+        {!isCompleted && (
+          <Button onClick={saveDraft} variant="outline" disabled={saving || !dirty} data-testid="save-draft-button">
+            <Save className="h-4 w-4 mr-2" />
+            {dirty ? 'Save Draft' : 'Saved'}
+          </Button>
+        )}
+      </div>
+
+      <Tabs defaultValue="count">
+        <TabsList>
+          <TabsTrigger value="count">Count</TabsTrigger>
+          <TabsTrigger value="variances">Variances ({discrepancies.length})</TabsTrigger>
+        </TabsList>
+
+        <TabsContent value="count" className="space-y-4">
+          {groups.map(({ location, lines: items }) => (
+            <Card key={location}>
+              <CardHeader>
+                <CardTitle className="text-lg">{location}</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <div className="space-y-2">
+                  {items.map((line) => (
+                    <div key={line.key} className="flex items-center justify-between p-3 bg-gray-50 rounded-lg">
+                      <div>
+                        <p className="font-medium text-gray-900">{line.medicine.name}</p>
+                        <p className="text-sm text-gray-600">
+                          {line.medicine.generic_name}
+                          {line.batchNumbers.length > 0 && ` · Batch ${line.batchNumbers.join(', ')}`}
+                        </p>
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <Input
+                          type="number"
+                          min="0"
+                          className="w-28"
+                          placeholder="Count"
+                          value={getCount(counts, line) ?? ''}
+                          onChange={(e) => updateCount(line.key, e.target.value)}
+                          disabled={isCompleted}
+                          data-testid="count-input"
+                        />
+                        <span className="text-sm text-gray-600 w-16">{line.medicine.unit}</span>
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </CardContent>
+            </Card>
+          ))}
+        </TabsContent>
+
+        <TabsContent value="variances" className="space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <Card>
+              <CardContent className="p-6">
+                <p className="text-sm text-gray-600">Items Counted</p>
+                <p className="text-3xl font-bold text-gray-900">{variances.length}</p>
+              </CardContent>
+            </Card>
+            <Card>
+              <CardContent className="p-6">
+                <p className="text-sm text-gray-600">Discrepancies</p>
+                <p className="text-3xl font-bold text-orange-600">{discrepancies.length}</p>
+              </CardContent>
+            </Card>
+            <Card>
+              <CardContent className="p-6">
+                <p className="text-sm text-gray-600">Net Variance Value</p>
+                <p className={`text-3xl font-bold ${totalVarianceValue < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                  ${totalVarianceValue.toFixed(2)}
+                </p>
+              </CardContent>
+            </Card>
+          </div>
+
+          <Card>
+            <CardContent className="p-0">
+              <div className="overflow-x-auto">
+                <table className="w-full" data-testid="variance-table">
+                  <thead>
+                    <tr className="border-b border-gray-200">
+                      {!isCompleted && <th className="py-3 px-4 w-10" />}
+                      <th className="text-left py-3 px-4 font-semibold text-gray-700">Medicine</th>
+                      <th className="text-left py-3 px-4 font-semibold text-gray-700">Location</th>
+                      <th className="text-left py-3 px-4 font-semibold text-gray-700">System</th>
+                      <th className="text-left py-3 px-4 font-semibold text-gray-700">Counted</th>
+                      <th className="text-left py-3 px-4 font-semibold text-gray-700">Variance</th>
+                      <th className="text-left py-3 px-4 font-semibold text-gray-700">Value</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {discrepancies.map((row) => (
+                      <tr key={row.key} className="border-b border-gray-100 text-sm">
+                        {!isCompleted && (
+                          <td className="py-3 px-4">
+                            <Checkbox
+                              checked={approved.includes(row.key)}
+                              onCheckedChange={(checked) => toggleApproved(row.key, checked)}
+                            />
+                          </td>
+                        )}
+                        <td className="py-3 px-4 font-medium">{row.medicine.name}</td>
+                        <td className="py-3 px-4 text-gray-600">{row.location}</td>
+                        <td className="py-3 px-4">{row.systemQuantity}</td>
+                        <td className="py-3 px-4">{row.countedQuantity}</td>
+                        <td className={`py-3 px-4 font-semibold ${row.variance < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                          {row.variance > 0 ? `+${row.variance}` : row.variance}
+                        </td>
+                        <td className={`py-3 px-4 ${row.varianceValue < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                          ${row.varianceValue.toFixed(2)}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {discrepancies.length === 0 && (
+                <div className="text-center py-8 text-gray-500">No variances found</div>
+              )}
+            </CardContent>
+          </Card>
+
+          {!isCompleted && discrepancies.length > 0 && (
+            <div className="flex justify-end gap-2">
+              <Button
+                variant="outline"
+                onClick={() => setApproved(discrepancies.map((row) => row.key))}
+              >
+                Approve All
+              </Button>
+              <Button
+                onClick={requestPost}
+                disabled={saving || approvedRows.length === 0}
+                className="bg-green-600 hover:bg-green-700"
+                data-testid="post-variances-button"
+              >
+                <CheckCircle className="h-4 w-4 mr-2" />
+                Post {approvedRows.length} Adjustments
+              </Button>
+            </div>
+          )}
+        </TabsContent>
+      </Tabs>
+    </div>
+  );
+};
+
+export default StockTakeSession;
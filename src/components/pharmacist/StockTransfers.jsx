@@ -0,0 +1,237 @@
+import React, { useState, useEffect } from 'react';
+import { Plus, Truck, ArrowRight, ChevronDown, ChevronRight } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Badge } from '../ui/badge';
+import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
+import { Tabs, TabsList, TabsTrigger } from '../ui/tabs';
+import NewTransferDialog from './NewTransferDialog';
+import ReceiveTransferDialog from './ReceiveTransferDialog';
+import WitnessDialog from './WitnessDialog';
+import api from '../../utils/api';
+import { TRANSFER_STATUSES, canCancelTransfer, getTransferUnits } from '../../utils/transfers';
+import { hasControlled } from '../../utils/controlled';
+import { toast } from 'sonner';
+
+const STATUS_FILTERS = {
+  open: ['requested', 'picked'],
+  in_transit: ['dispatched'],
+  closed: ['received', 'cancelled']
+};
+
+const StockTransfers = () => {
+  const [transfers, setTransfers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [filter, setFilter] = useState('open');
+  const [expandedId, setExpandedId] = useState(null);
+  const [showNewDialog, setShowNewDialog] = useState(false);
+  const [receivingTransfer, setReceivingTransfer] = useState(null);
+  const [dispatchingTransfer, setDispatchingTransfer] = useState(null);
+
+  useEffect(() => {
+    fetchTransfers();
+  }, []);
+
+  const fetchTransfers = async () => {
+    try {
+      const response = await api.get('/transfers');
+      setTransfers(response.data);
+    } catch (error) {
+      toast.error('Failed to load transfers');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Resolves to whether the update went through, so the witness dialog can stay
+  // open with what was entered when it didn't
+  const updateStatus = async (transfer, status, witness = null) => {
+    try {
+      await api.patch(`/transfers/${transfer.id}/status`, { status, ...witness });
+      toast.success(`Transfer ${TRANSFER_STATUSES[status].label.toLowerCase()}`);
+      fetchTransfers();
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.detail || 'Failed to update transfer');
+      return false;
+    }
+  };
+
+  const handleAdvance = (transfer) => {
+    const next = TRANSFER_STATUSES[transfer.status].next;
+    if (next === 'received') {
+      setReceivingTransfer(transfer);
+    } else if (next === 'dispatched' && hasControlled(transfer.items)) {
+      setDispatchingTransfer(transfer);
+    } else {
+      updateStatus(transfer, next);
+    }
+  };
+
+  const handleCancel = (transfer) => {
+    if (window.confirm('Cancel this transfer?')) {
+      updateStatus(transfer, 'cancelled');
+    }
+  };
+
+  const inTransit = transfers.filter((transfer) => transfer.status === 'dispatched');
+  const inTransitUnits = inTransit.reduce((sum, transfer) => sum + getTransferUnits(transfer), 0);
+  const visibleTransfers = filter === 'all'
+    ? transfers
+    : transfers.filter((transfer) => STATUS_FILTERS[filter].includes(transfer.status));
+
+  if (loading) {
+    return <div className="text-center py-12">Loading...</div>;
+  }
+
+  return (
+    <div className="space-y-6" data-testid="stock-transfers">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold text-gray-900">Stock Transfers</h1>
+          <p className="text-gray-600 mt-2">Move stock between shelves, storerooms and branches</p>
+        </div>
+        <Button
+          onClick={() => setShowNewDialog(true)}
+          className="bg-blue-600 hover:bg-blue-700"
+          data-testid="new-transfer-button"
+        >
+          <Plus className="h-4 w-4 mr-2" />
+          New Transfer
+        </Button>
+      </div>
+
+      <NewTransferDialog open={showNewDialog} onOpenChange={setShowNewDialog} onCreated={fetchTransfers} />
+
+      <ReceiveTransferDialog
+        transfer={receivingTransfer}
+        open={!!receivingTransfer}
+        onOpenChange={(open) => !open && setReceivingTransfer(null)}
+        onReceived={fetchTransfers}
+      />
+
+      <WitnessDialog
+        open={!!dispatchingTransfer}
+        onOpenChange={(open) => !open && setDispatchingTransfer(null)}
+        onConfirm={async (witness) => {
+          if (await updateStatus(dispatchingTransfer, 'dispatched', witness)) {
+            setDispatchingTransfer(null);
+          }
+        }}
+        description="This transfer includes controlled substances"
+      />
+
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2 text-base">
+            <Truck className="h-5 w-5 text-blue-600" />
+            In Transit
+          </CardTitle>
+        </CardHeader>
+        <CardContent>
+          <p className="text-3xl font-bold text-gray-900">{inTransitUnits}</p>
+          <p className="text-sm text-gray-600">
+            units across {inTransit.length} dispatched transfer{inTransit.length === 1 ? '' : 's'}
+          </p>
+        </CardContent>
+      </Card>
+
+      <Tabs value={filter} onValueChange={setFilter}>
+        <TabsList>
+          <TabsTrigger value="open">Open</TabsTrigger>
+          <TabsTrigger value="in_transit">In Transit</TabsTrigger>
+          <TabsTrigger value="closed">Closed</TabsTrigger>
+          <TabsTrigger value="all">All</TabsTrigger>
+        </TabsList>
+      </Tabs>
+
+      <div className="space-y-3">
+        {visibleTransfers.map((transfer) => {
+          const status = TRANSFER_STATUSES[transfer.status];
+          const expanded = expandedId === transfer.id;
+          return (
+            <Card key={transfer.id} data-testid="transfer-card">
+              <CardContent className="p-4">
+                <div className="flex items-center justify-between gap-4">
+                  <button
+                    type="button"
+                    className="flex items-center gap-3 text-left flex-1"
+                    onClick={() => setExpandedId(expanded ? null : transfer.id)}
+                  >
+                    {expanded ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+                    <div>
+                      <p className="font-semibold text-gray-900 flex items-center gap-2">
+                        {transfer.from_location}
+                        <ArrowRight className="h-4 w-4 text-gray-400" />
+                        {transfer.to_location}
+                      </p>
+                      <p className="text-sm text-gray-600">
+                        {transfer.items.length} item{transfer.items.length === 1 ? '' : 's'} · {getTransferUnits(transfer)} units
+                        {' · '}
+                        {new Date(transfer.created_at).toLocaleDateString()} by {transfer.created_by}
+                      </p>
+                    </div>
+                  </button>
+                  <Badge className={status.className}>{status.label}</Badge>
+                  <div className="flex gap-2">
+                    {canCancelTransfer(transfer) && (
+                      <Button size="sm" variant="outline" onClick={() => handleCancel(transfer)}>
+                        Cancel
+                      </Button>
+                    )}
+                    {status.next && (
+                      <Button
+                        size="sm"
+                        className="bg-blue-600 hover:bg-blue-700"
+                        onClick={() => handleAdvance(transfer)}
+                        data-testid="advance-transfer-button"
+                      >
+                        {status.action}
+                      </Button>
+                    )}
+                  </div>
+                </div>
+
+                {expanded && (
+                  <div className="mt-4 pl-7">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="border-b border-gray-200 text-gray-600">
+                          <th className="text-left py-2">Medicine</th>
+                          <th className="text-left py-2">Batch</th>
+                          <th className="text-right py-2">Quantity</th>
+                          {transfer.status === 'received' && <th className="text-right py-2">Received</th>}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {transfer.items.map((item, idx) => (
+                          <tr key={idx} className="border-b border-gray-100">
+                            <td className="py-2 font-medium">{item.medicine_name}</td>
+                            <td className="py-2">{item.batch_number}</td>
+                            <td className="py-2 text-right">{item.quantity} {item.unit}</td>
+                            {transfer.status === 'received' && (
+                              <td className="py-2 text-right">{item.quantity_received ?? item.quantity}</td>
+                            )}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    {transfer.notes && <p className="text-sm text-gray-600 mt-2">{transfer.notes}</p>}
+                  </div>
+                )}
+              </CardContent>
+            </Card>
+          );
+        })}
+
+        {visibleTransfers.length === 0 && (
+          <div className="text-center py-12 text-gray-500">
+            <Truck className="h-12 w-12 mx-auto mb-4 text-gray-400" />
+            <p>No transfers here</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StockTransfers;
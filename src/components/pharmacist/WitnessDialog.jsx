@@ -0,0 +1,57 @@
+import React, { useState, useEffect } from 'react';
+import { Button } from '../ui/button';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from '../ui/dialog';
+import WitnessFields from './WitnessFields';
+import { emptyWitness, getWitnessError } from '../../utils/controlled';
+import { toast } from 'sonner';
+
+// Collects a witness before a bulk action that touches controlled stock;
+// onConfirm receives the witness fields to send along with the request
+const WitnessDialog = ({ open, onOpenChange, onConfirm, description }) => {
+  const [witness, setWitness] = useState(emptyWitness);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (open) setWitness(emptyWitness);
+  }, [open]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const error = getWitnessError(witness);
+    if (error) {
+      toast.error(error);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await onConfirm(witness);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-md">
+        <DialogHeader>
+          <DialogTitle>Witness Required</DialogTitle>
+          <DialogDescription>{description}</DialogDescription>
+        </DialogHeader>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <WitnessFields witness={witness} onChange={setWitness} />
+          <div className="flex gap-2 justify-end">
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" className="bg-blue-600 hover:bg-blue-700" disabled={saving}>
+              {saving ? 'Saving...' : 'Sign Off'}
+            </Button>
+          </div>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+export default WitnessDialog;
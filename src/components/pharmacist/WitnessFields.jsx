@@ -0,0 +1,37 @@
+import React from 'react';
+import { ShieldCheck } from 'lucide-react';
+import { Input } from '../ui/input';
+import { Label } from '../ui/label';
+
+// Second-person sign-off for controlled substances; the server checks the
+// credentials and stores the witness against the movement
+const WitnessFields = ({ witness, onChange }) => (
+  <div className="space-y-3 bg-purple-50 border border-purple-200 p-3 rounded-lg" data-testid="witness-fields">
+    <p className="flex items-center gap-2 text-sm font-medium text-purple-900">
+      <ShieldCheck className="h-4 w-4" />
+      Witness sign-off required
+    </p>
+    <div className="grid grid-cols-2 gap-3">
+      <div>
+        <Label>Witness Email</Label>
+        <Input
+          type="email"
+          autoComplete="off"
+          value={witness.witness_email}
+          onChange={(e) => onChange({ ...witness, witness_email: e.target.value })}
+        />
+      </div>
+      <div>
+        <Label>Witness Password</Label>
+        <Input
+          type="password"
+          autoComplete="new-password"
+          value={witness.witness_password}
+          onChange={(e) => onChange({ ...witness, witness_password: e.target.value })}
+        />
+      </div>
+    </div>
+  </div>
+);
+
+export default WitnessFields;
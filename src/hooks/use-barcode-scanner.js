@@ -0,0 +1,52 @@
+import { useEffect, useRef } from "react"
+
+import { GROUP_SEPARATOR } from "@/utils/gs1"
+
+// Keyboard-wedge scanners "type" a whole code in a few milliseconds and finish
+// with Enter; people can't type that fast, which is how scans are told apart.
+const MAX_KEY_INTERVAL_MS = 40
+const MIN_CODE_LENGTH = 6
+
+function useBarcodeScanner(onScan, { enabled = true } = {}) {
+  const buffer = useRef("")
+  const lastKeyAt = useRef(0)
+  const onScanRef = useRef(onScan)
+
+  useEffect(() => {
+    onScanRef.current = onScan
+  }, [onScan])
+
+  useEffect(() => {
+    if (!enabled) return undefined
+
+    const handleKeyDown = (event) => {
+      const now = Date.now()
+      if (now - lastKeyAt.current > MAX_KEY_INTERVAL_MS) {
+        buffer.current = ""
+      }
+      lastKeyAt.current = now
+
+      if (event.key === "Enter") {
+        if (buffer.current.length >= MIN_CODE_LENGTH) {
+          event.preventDefault()
+          const code = buffer.current
+          buffer.current = ""
+          onScanRef.current(code)
+        }
+        return
+      }
+
+      // Scanners send FNC1 as Ctrl+] (ASCII 29)
+      if (event.ctrlKey && event.key === "]") {
+        buffer.current += GROUP_SEPARATOR
+      } else if (event.key.length === 1 && !event.ctrlKey && !event.metaKey && !event.altKey) {
+        buffer.current += event.key
+      }
+    }
+
+    document.addEventListener("keydown", handleKeyDown, true)
+    return () => document.removeEventListener("keydown", handleKeyDown, true)
+  }, [enabled])
+}
+
+export { useBarcodeScanner }
@@ -1,12 +1,15 @@
 import React from 'react';
 import { Routes, Route, Link, useLocation, useNavigate } from 'react-router-dom';
-import { BarChart3, Users, TrendingUp, FileText, LogOut } from 'lucide-react';
+import { BarChart3, Users, TrendingUp, FileText, LogOut, ShieldAlert, Archive, PackageX } from 'lucide-react';
 import { Button } from '../components/ui/button';
 import { getUser, clearAuth } from '../utils/auth';
 import AdminOverview from '../components/admin/AdminOverview';
 import UserManagement from '../components/admin/UserManagement';
 import DemandForecasting from '../components/admin/DemandForecasting';
 import ReportsAnalytics from '../components/admin/ReportsAnalytics';
+import RecallManagement from '../components/admin/RecallManagement';
+import DeadStockReport from '../components/admin/DeadStockReport';
+import ArchivedMedicines from '../components/ArchivedMedicines';
 
 const AdminDashboard = () => {
   const location = useLocation();
@@ -23,6 +26,9 @@ const AdminDashboard = () => {
     { name: 'Users', path: '/admin/users', icon: Users },
     { name: 'Forecasting', path: '/admin/forecasting', icon: TrendingUp },
     { name: 'Reports', path: '/admin/reports', icon: FileText },
+    { name: 'Dead Stock', path: '/admin/dead-stock', icon: PackageX },
+    { name: 'Recalls', path: '/admin/recalls', icon: ShieldAlert },
+    { name: 'Archive', path: '/admin/archive', icon: Archive },
   ];
 
   return (
@@ -92,6 +98,9 @@ const AdminDashboard = () => {
           <Route path="/users" element={<UserManagement />} />
           <Route path="/forecasting" element={<DemandForecasting />} />
           <Route path="/reports" element={<ReportsAnalytics />} />
+          <Route path="/dead-stock" element={<DeadStockReport />} />
+          <Route path="/recalls" element={<RecallManagement />} />
+          <Route path="/archive" element={<ArchivedMedicines canPurge />} />
         </Routes>
       </div>
     </div>
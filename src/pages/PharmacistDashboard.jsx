@@ -1,12 +1,17 @@
 import React, { useState, useEffect } from 'react';
 import { Routes, Route, Link, useLocation, useNavigate } from 'react-router-dom';
-import { Package, FileText, AlertCircle, LogOut, BarChart3, Upload } from 'lucide-react';
+import { Package, FileText, AlertCircle, LogOut, BarChart3, Upload, ClipboardList, ClipboardCheck, Truck, ShieldCheck, Archive } from 'lucide-react';
 import { Button } from '../components/ui/button';
 import { getUser, clearAuth } from '../utils/auth';
 import InventoryManagement from '../components/pharmacist/InventoryManagement';
 import PrescriptionManagement from '../components/pharmacist/PrescriptionManagement';
 import ExpiryAlerts from '../components/pharmacist/ExpiryAlerts';
 import Dashboard from '../components/pharmacist/Dashboard';
+import StockLedger from '../components/pharmacist/StockLedger';
+import StockTake from '../components/pharmacist/StockTake';
+import StockTransfers from '../components/pharmacist/StockTransfers';
+import ControlledRegister from '../components/pharmacist/ControlledRegister';
+import ArchivedMedicines from '../components/ArchivedMedicines';
 
 const PharmacistDashboard = () => {
   const location = useLocation();
@@ -22,7 +27,12 @@ const PharmacistDashboard = () => {
     { name: 'Dashboard', path: '/pharmacist', icon: BarChart3 },
     { name: 'Inventory', path: '/pharmacist/inventory', icon: Package },
     { name: 'Prescriptions', path: '/pharmacist/prescriptions', icon: Upload },
+    { name: 'Stock Ledger', path: '/pharmacist/ledger', icon: ClipboardList },
+    { name: 'Stock Take', path: '/pharmacist/stock-take', icon: ClipboardCheck },
+    { name: 'Transfers', path: '/pharmacist/transfers', icon: Truck },
+    { name: 'CD Register', path: '/pharmacist/controlled', icon: ShieldCheck },
     { name: 'Expiry Alerts', path: '/pharmacist/alerts', icon: AlertCircle },
+    { name: 'Archive', path: '/pharmacist/archive', icon: Archive },
   ];
 
   return (
@@ -95,7 +105,12 @@ const PharmacistDashboard = () => {
           <Route path="/" element={<Dashboard />} />
           <Route path="/inventory" element={<InventoryManagement />} />
           <Route path="/prescriptions" element={<PrescriptionManagement />} />
+          <Route path="/ledger" element={<StockLedger />} />
+          <Route path="/stock-take" element={<StockTake />} />
+          <Route path="/transfers" element={<StockTransfers />} />
+          <Route path="/controlled" element={<ControlledRegister />} />
           <Route path="/alerts" element={<ExpiryAlerts />} />
+          <Route path="/archive" element={<ArchivedMedicines />} />
         </Routes>
       </div>
     </div>
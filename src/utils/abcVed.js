@@ -0,0 +1,115 @@
+import { getUser } from './auth';
+
+export const ABC_CLASSES = ['A', 'B', 'C'];
+
+export const VED_CLASSES = {
+  V: 'Vital',
+  E: 'Essential',
+  D: 'Desirable'
+};
+
+export const ANALYSIS_PERIODS = {
+  90: 'Last 90 days',
+  180: 'Last 180 days',
+  365: 'Last 12 months'
+};
+
+// a: cumulative share of consumption value that makes an item class A; b: the same for B
+export const DEFAULT_SETTINGS = {
+  thresholds: { a: 70, b: 90 },
+  categoryVed: {},
+  periodDays: 365
+};
+
+// Review cadence follows consumption value, safety stock follows criticality
+const REVIEW_FREQUENCY = { A: 'Weekly', B: 'Monthly', C: 'Quarterly' };
+const SAFETY_STOCK_WEEKS = { V: 4, E: 2, D: 1 };
+
+// The usual ABC-VED grouping: I needs the tightest control, III the least
+const CONTROL_GROUPS = {
+  AV: 'I', AE: 'I', AD: 'I', BV: 'I', CV: 'I',
+  BE: 'II', BD: 'II', CE: 'II',
+  CD: 'III'
+};
+
+export const getPolicy = (abc, ved) => ({
+  group: CONTROL_GROUPS[abc + ved],
+  review: REVIEW_FREQUENCY[abc],
+  safetyStockWeeks: SAFETY_STOCK_WEEKS[ved]
+});
+
+const storageKey = () => {
+  const user = getUser();
+  return `pharmaventory:abc-ved:${user?.id || user?.email || 'anonymous'}`;
+};
+
+export const loadSettings = () => {
+  try {
+    const stored = localStorage.getItem(storageKey());
+    return stored ? { ...DEFAULT_SETTINGS, ...JSON.parse(stored) } : DEFAULT_SETTINGS;
+  } catch (error) {
+    return DEFAULT_SETTINGS;
+  }
+};
+
+export const saveSettings = (settings) => {
+  localStorage.setItem(storageKey(), JSON.stringify(settings));
+};
+
+// A VED class set on the medicine wins over its category's default
+export const getVedClass = (medicine, categoryVed) =>
+  medicine.ved_class || categoryVed[medicine.category] || 'E';
+
+// Consumption value = units dispensed in the period × unit price
+export const getConsumption = (medicines, movements, since) => {
+  const units = {};
+  movements.forEach((movement) => {
+    if (movement.movement_type === 'dispensed' && new Date(movement.created_at) >= since) {
+      units[movement.medicine_id] = (units[movement.medicine_id] || 0) + movement.quantity;
+    }
+  });
+  return medicines.map((medicine) => ({
+    medicine,
+    units: units[medicine.id] || 0,
+    value: (units[medicine.id] || 0) * (Number(medicine.unit_price) || 0)
+  }));
+};
+
+export const classify = (consumption, { thresholds, categoryVed }) => {
+  const sorted = [...consumption].sort((a, b) => b.value - a.value);
+  const total = sorted.reduce((sum, row) => sum + row.value, 0);
+  let cumulative = 0;
+  return sorted.map((row, index) => {
+    // Class is decided by where the item starts on the curve, so the item
+    // that crosses a threshold still belongs to the higher class
+    const startPercent = total > 0 ? (cumulative / total) * 100 : 100;
+    cumulative += row.value;
+    let abc = 'C';
+    if (row.value > 0 && startPercent < thresholds.a) abc = 'A';
+    else if (row.value > 0 && startPercent < thresholds.b) abc = 'B';
+    const ved = getVedClass(row.medicine, categoryVed);
+    return {
+      ...row,
+      rank: index + 1,
+      cumulativePercent: total > 0 ? (cumulative / total) * 100 : 0,
+      abc,
+      ved,
+      policy: getPolicy(abc, ved)
+    };
+  });
+};
+
+export const buildMatrix = (rows) => {
+  const matrix = {};
+  ABC_CLASSES.forEach((abc) => {
+    Object.keys(VED_CLASSES).forEach((ved) => {
+      matrix[abc + ved] = { abc, ved, items: 0, value: 0 };
+    });
+  });
+  rows.forEach((row) => {
+    const cell = matrix[row.abc + row.ved];
+    cell.items += 1;
+    cell.value += row.value;
+  });
+  return matrix;
+};
@@ -0,0 +1,55 @@
+const NATIVE_FORMATS = ['data_matrix', 'qr_code', 'code_128', 'ean_13', 'ean_8', 'upc_a'];
+
+const loadImage = (url) => new Promise((resolve, reject) => {
+  const image = new Image();
+  image.onload = () => resolve(image);
+  image.onerror = reject;
+  image.src = url;
+});
+
+const decodeNatively = async (image) => {
+  const supported = await window.BarcodeDetector.getSupportedFormats();
+  const detector = new window.BarcodeDetector({
+    formats: NATIVE_FORMATS.filter((format) => supported.includes(format))
+  });
+  const [barcode] = await detector.detect(image);
+  return barcode ? barcode.rawValue : null;
+};
+
+// zxing is only pulled in for browsers without the BarcodeDetector API
+const decodeWithZxing = async (url) => {
+  const { BrowserMultiFormatReader, DecodeHintType, BarcodeFormat } = await import('@zxing/library');
+  const hints = new Map();
+  hints.set(DecodeHintType.POSSIBLE_FORMATS, [
+    BarcodeFormat.DATA_MATRIX,
+    BarcodeFormat.QR_CODE,
+    BarcodeFormat.CODE_128,
+    BarcodeFormat.EAN_13,
+    BarcodeFormat.EAN_8,
+    BarcodeFormat.UPC_A
+  ]);
+  hints.set(DecodeHintType.TRY_HARDER, true);
+  const reader = new BrowserMultiFormatReader(hints);
+  try {
+    const result = await reader.decodeFromImageUrl(url);
+    return result.getText();
+  } catch (error) {
+    return null;
+  } finally {
+    reader.reset();
+  }
+};
+
+// Resolves to the decoded text, or null when no barcode could be found
+export const decodeBarcodeImage = async (file) => {
+  const url = URL.createObjectURL(file);
+  try {
+    if ('BarcodeDetector' in window) {
+      const text = await decodeNatively(await loadImage(url));
+      if (text) return text;
+    }
+    return await decodeWithZxing(url);
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
@@ -0,0 +1,44 @@
+// Medicines created before multi-batch support carry a single batch inline
+export const getBatches = (medicine) => {
+  if (Array.isArray(medicine?.batches) && medicine.batches.length > 0) {
+    return medicine.batches;
+  }
+  if (!medicine?.batch_number) return [];
+  return [{
+    batch_number: medicine.batch_number,
+    expiry_date: medicine.expiry_date,
+    quantity: medicine.quantity,
+    location: medicine.location
+  }];
+};
+
+export const getTotalQuantity = (medicine) => {
+  const batches = getBatches(medicine);
+  if (batches.length === 0) return medicine?.quantity || 0;
+  return batches.reduce((sum, batch) => sum + (batch.quantity || 0), 0);
+};
+
+export const isExpired = (batch, asOf = new Date()) => new Date(batch.expiry_date) < asOf;
+
+export const sortByExpiry = (batches) =>
+  [...batches].sort((a, b) => new Date(a.expiry_date) - new Date(b.expiry_date));
+
+export const getEarliestExpiry = (medicine) => {
+  const [first] = sortByExpiry(getBatches(medicine).filter((batch) => batch.quantity > 0));
+  return first ? first.expiry_date : medicine?.expiry_date;
+};
+
+// First-expiry-first-out: draw from the soonest-expiring usable batch first
+export const buildPickList = (batches, requested, asOf = new Date()) => {
+  let remaining = requested;
+  const picks = [];
+  sortByExpiry(batches)
+    .filter((batch) => batch.quantity > 0 && !isExpired(batch, asOf))
+    .forEach((batch) => {
+      if (remaining <= 0) return;
+      const quantity = Math.min(batch.quantity, remaining);
+      picks.push({ batch, quantity });
+      remaining -= quantity;
+    });
+  return { picks, shortfall: Math.max(remaining, 0) };
+};
@@ -0,0 +1,45 @@
+import { getUser } from './auth';
+
+export const CONTROLLED_SCHEDULES = {
+  II: 'Schedule II',
+  III: 'Schedule III',
+  IV: 'Schedule IV',
+  V: 'Schedule V'
+};
+
+export const emptyWitness = { witness_email: '', witness_password: '' };
+
+export const isControlled = (medicine) => !!medicine?.is_controlled;
+
+export const hasControlled = (medicines) => medicines.some(isControlled);
+
+// The server re-checks the password; this only catches the obvious mistakes
+export const getWitnessError = (witness) => {
+  if (!witness.witness_email.trim() || !witness.witness_password) {
+    return 'A witness must sign off on controlled substance movements';
+  }
+  if (witness.witness_email.trim().toLowerCase() === getUser()?.email?.toLowerCase()) {
+    return 'The witness must be someone other than you';
+  }
+  return null;
+};
+
+const getChange = (movement) => (movement.quantity_after ?? 0) - (movement.quantity_before ?? 0);
+
+// Movements may be recorded against a single batch, so quantity_after isn't a
+// product total; rebuild the running balance backwards from today's stock
+export const buildRegister = (movements, currentBalance) => {
+  const ordered = [...movements].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  let balance = currentBalance - ordered.reduce((sum, movement) => sum + getChange(movement), 0);
+
+  return ordered.map((movement) => {
+    const change = getChange(movement);
+    balance += change;
+    return {
+      movement,
+      received: change > 0 ? change : 0,
+      issued: change < 0 ? -change : 0,
+      balance
+    };
+  });
+};
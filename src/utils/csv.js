@@ -0,0 +1,19 @@
+const escapeCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCSV = (headers, rows) => [
+  headers.map(escapeCell).join(','),
+  ...rows.map(row => row.map(escapeCell).join(','))
+].join('\n');
+
+export const downloadCSV = (filename, headers, rows) => {
+  const blob = new Blob([toCSV(headers, rows)], { type: 'text/csv' });
+  const url = window.URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  window.URL.revokeObjectURL(url);
+};
@@ -0,0 +1,9 @@
+// YYYY-MM-DD for the local calendar day, as date inputs expect; toISOString
+// would give the UTC day, which is off by one either side of midnight
+export const toLocalISODate = (date) => [
+  date.getFullYear(),
+  String(date.getMonth() + 1).padStart(2, '0'),
+  String(date.getDate()).padStart(2, '0')
+].join('-');
+
+export const todayISO = () => toLocalISODate(new Date());
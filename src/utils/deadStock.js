@@ -0,0 +1,55 @@
+import { getAvailableQuantity } from './holds';
+
+export const IDLE_BASES = {
+  dispensing: 'Dispensing history',
+  movement: 'Any stock movement'
+};
+
+// Days without activity before an item counts as slow-moving, then non-moving
+export const DEFAULT_IDLE_WINDOWS = { slow: 90, dead: 180 };
+
+export const IDLE_STATUSES = {
+  slow: { label: 'Slow-moving', className: 'bg-yellow-100 text-yellow-800' },
+  dead: { label: 'Non-moving', className: 'bg-red-100 text-red-800' }
+};
+
+export const DEAD_STOCK_ACTIONS = {
+  return: { title: 'Return to Supplier', description: 'Book the available stock out as returned to its supplier' },
+  transfer: { title: 'Transfer', description: 'Raise transfers moving the available stock to another location' },
+  clearance: { title: 'Mark for Clearance', description: 'Flag the items for discounting or disposal' }
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Counts only confirm what is on the shelf, so they never count as activity
+const isActivity = (movement, basis) =>
+  basis === 'dispensing' ? movement.movement_type === 'dispensed' : movement.movement_type !== 'counted';
+
+// Items with no qualifying movement have been idle since they were added
+export const getLastActivity = (medicine, movements, basis) => {
+  const latest = movements
+    .filter((movement) => movement.medicine_id === medicine.id && isActivity(movement, basis))
+    .reduce((last, movement) => {
+      const date = new Date(movement.created_at);
+      return !last || date > last ? date : last;
+    }, null);
+  return latest || (medicine.created_at ? new Date(medicine.created_at) : null);
+};
+
+export const findIdleStock = (medicines, movements, { slow, dead, basis }, now = new Date()) =>
+  medicines
+    .map((medicine) => {
+      const lastActivity = getLastActivity(medicine, movements, basis);
+      const idleDays = lastActivity ? Math.floor((now - lastActivity) / DAY_MS) : Infinity;
+      const quantity = getAvailableQuantity(medicine);
+      return {
+        medicine,
+        lastActivity,
+        idleDays,
+        quantity,
+        capital: quantity * (Number(medicine.unit_price) || 0),
+        status: idleDays >= dead ? 'dead' : 'slow'
+      };
+    })
+    .filter((row) => row.quantity > 0 && row.idleDays >= slow)
+    .sort((a, b) => b.capital - a.capital);
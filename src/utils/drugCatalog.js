@@ -0,0 +1,145 @@
+import * as XLSX from 'xlsx';
+
+// Reference list the add form autocompletes from. Kept on this device and
+// replaceable from a JSON or CSV file; the built-in list covers common lines.
+export const CATALOG_FIELDS = ['name', 'generic_name', 'strength', 'form', 'category', 'manufacturer'];
+
+const STORAGE_KEY = 'pharmaventory:drug-catalog';
+
+export const DEFAULT_CATALOG = [
+  { name: 'Panadol', generic_name: 'Paracetamol', strength: '500mg', form: 'Tablet', category: 'Analgesic', manufacturer: 'GSK' },
+  { name: 'Calpol', generic_name: 'Paracetamol', strength: '120mg/5ml', form: 'Oral Suspension', category: 'Analgesic', manufacturer: 'Johnson & Johnson' },
+  { name: 'Brufen', generic_name: 'Ibuprofen', strength: '400mg', form: 'Tablet', category: 'NSAID', manufacturer: 'Abbott' },
+  { name: 'Amoxil', generic_name: 'Amoxicillin', strength: '500mg', form: 'Capsule', category: 'Antibiotic', manufacturer: 'GSK' },
+  { name: 'Augmentin', generic_name: 'Amoxicillin/Clavulanic Acid', strength: '625mg', form: 'Tablet', category: 'Antibiotic', manufacturer: 'GSK' },
+  { name: 'Zithromax', generic_name: 'Azithromycin', strength: '250mg', form: 'Tablet', category: 'Antibiotic', manufacturer: 'Pfizer' },
+  { name: 'Ciproxin', generic_name: 'Ciprofloxacin', strength: '500mg', form: 'Tablet', category: 'Antibiotic', manufacturer: 'Bayer' },
+  { name: 'Glucophage', generic_name: 'Metformin', strength: '500mg', form: 'Tablet', category: 'Antidiabetic', manufacturer: 'Merck' },
+  { name: 'Norvasc', generic_name: 'Amlodipine', strength: '5mg', form: 'Tablet', category: 'Antihypertensive', manufacturer: 'Pfizer' },
+  { name: 'Zestril', generic_name: 'Lisinopril', strength: '10mg', form: 'Tablet', category: 'Antihypertensive', manufacturer: 'AstraZeneca' },
+  { name: 'Lipitor', generic_name: 'Atorvastatin', strength: '20mg', form: 'Tablet', category: 'Statin', manufacturer: 'Pfizer' },
+  { name: 'Losec', generic_name: 'Omeprazole', strength: '20mg', form: 'Capsule', category: 'Proton Pump Inhibitor', manufacturer: 'AstraZeneca' },
+  { name: 'Ventolin', generic_name: 'Salbutamol', strength: '100mcg/dose', form: 'Inhaler', category: 'Bronchodilator', manufacturer: 'GSK' },
+  { name: 'Zyrtec', generic_name: 'Cetirizine', strength: '10mg', form: 'Tablet', category: 'Antihistamine', manufacturer: 'UCB' },
+  { name: 'Warfarin', generic_name: 'Warfarin', strength: '5mg', form: 'Tablet', category: 'Anticoagulant', manufacturer: 'Teva' },
+  { name: 'Aspirin', generic_name: 'Acetylsalicylic Acid', strength: '75mg', form: 'Tablet', category: 'Antiplatelet', manufacturer: 'Bayer' }
+];
+
+export const loadCatalog = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : DEFAULT_CATALOG;
+  } catch (error) {
+    return DEFAULT_CATALOG;
+  }
+};
+
+export const saveCatalog = (entries) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+};
+
+export const resetCatalog = () => {
+  localStorage.removeItem(STORAGE_KEY);
+};
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const HEADER_ALIASES = {
+  brand: 'name',
+  brandname: 'name',
+  product: 'name',
+  generic: 'generic_name',
+  dose: 'strength',
+  dosageform: 'form',
+  formulation: 'form'
+};
+
+const toEntry = (raw) => {
+  const entry = {};
+  Object.entries(raw).forEach(([header, value]) => {
+    const key = normalizeHeader(header);
+    const field = CATALOG_FIELDS.find((f) => normalizeHeader(f) === key) || HEADER_ALIASES[key];
+    if (field) entry[field] = String(value ?? '').trim();
+  });
+  CATALOG_FIELDS.forEach((field) => {
+    entry[field] = entry[field] || '';
+  });
+  return entry;
+};
+
+// Accepts a JSON array of entries, or a CSV/XLSX sheet with a header row
+export const parseCatalogFile = async (file) => {
+  let rows;
+  if (/\.json$/i.test(file.name)) {
+    rows = JSON.parse(await file.text());
+    if (!Array.isArray(rows)) throw new Error('Expected a JSON array');
+  } else {
+    const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array' });
+    rows = XLSX.utils.sheet_to_json(workbook.Sheets[workbook.SheetNames[0]], { raw: false, defval: '' });
+  }
+  const entries = rows.map(toEntry);
+  const valid = entries.filter((entry) => entry.name && entry.generic_name);
+  return { entries: valid, skipped: entries.length - valid.length };
+};
+
+// Later entries win, keyed by brand name and strength
+export const mergeCatalog = (current, incoming) => {
+  const byKey = new Map();
+  [...current, ...incoming].forEach((entry) => {
+    byKey.set(`${entry.name}|${entry.strength}`.toLowerCase(), entry);
+  });
+  return [...byKey.values()];
+};
+
+export const searchCatalog = (catalog, query, limit = 8) => {
+  const terms = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return [];
+  return catalog
+    .filter((entry) => {
+      const haystack = `${entry.name} ${entry.generic_name} ${entry.strength}`.toLowerCase();
+      return terms.every((term) => haystack.includes(term));
+    })
+    .slice(0, limit);
+};
+
+const STRENGTH_PATTERN = /\d+(\.\d+)?\s*(mg|mcg|µg|g|ml|iu|%)(\s*\/\s*\d*\s*(ml|dose|g))?/g;
+const FORM_WORDS = /\b(tablets?|tabs?|capsules?|caps?|syrup|suspension|injection|inhaler|cream|ointment|drops)\b/g;
+
+// "Paracetamol 500mg Tablets" and "paracetamol" both become "paracetamol"
+export const normalizeDrugName = (name) =>
+  String(name || '')
+    .toLowerCase()
+    .replace(STRENGTH_PATTERN, ' ')
+    .replace(FORM_WORDS, ' ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+const editDistance = (a, b) => {
+  const row = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    let previous = row[0];
+    row[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const current = row[j];
+      row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+      previous = current;
+    }
+  }
+  return row[b.length];
+};
+
+// Existing products whose names match once case, strength and form are ignored,
+// or are a typo or two away
+export const findNearDuplicates = (name, medicines, excludeId = null) => {
+  const target = normalizeDrugName(name);
+  if (target.length < 3) return [];
+  const seen = new Set();
+  return medicines.filter((medicine) => {
+    if (medicine.id === excludeId || seen.has(medicine.name)) return false;
+    const candidate = normalizeDrugName(medicine.name);
+    const similar = candidate === target ||
+      (target.length >= 5 && Math.abs(candidate.length - target.length) <= 2 && editDistance(candidate, target) <= 2);
+    if (similar) seen.add(medicine.name);
+    return similar;
+  });
+};
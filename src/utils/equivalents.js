@@ -0,0 +1,77 @@
+import { getUsableQuantity } from './holds';
+import { normalizeDrugName } from './drugCatalog';
+
+export const EQUIVALENCE_TYPES = {
+  generic: { label: 'Same generic', className: 'bg-green-100 text-green-800' },
+  class: { label: 'Same class', className: 'bg-blue-100 text-blue-800' }
+};
+
+const sameText = (a, b) => !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase();
+
+// In-stock alternatives: generic substitutes first, then others in the same
+// category, cheapest first within each group. Other records of the same product
+// aren't alternatives, and expired stock doesn't count as in stock
+export const findEquivalents = (medicine, medicines) =>
+  medicines
+    .filter((other) => other.id !== medicine.id && !sameText(other.name, medicine.name) && getUsableQuantity(other) > 0)
+    .map((other) => {
+      let type = null;
+      if (sameText(other.generic_name, medicine.generic_name)) type = 'generic';
+      else if (sameText(other.category, medicine.category)) type = 'class';
+      return type && {
+        medicine: other,
+        type,
+        available: getUsableQuantity(other),
+        priceDifference: (other.unit_price || 0) - (medicine.unit_price || 0)
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) =>
+      (a.type === b.type ? 0 : a.type === 'generic' ? -1 : 1) || a.medicine.unit_price - b.medicine.unit_price
+    );
+
+// Prescription lines and chat questions name a product loosely; prefer an id,
+// then an exact name, then a name that matches once strength and form are ignored
+export const findMedicineByName = (medicines, name, id = null) => {
+  if (id) {
+    const byId = medicines.find((medicine) => medicine.id === id);
+    if (byId) return byId;
+  }
+  const exact = medicines.find((medicine) => sameText(medicine.name, name));
+  if (exact) return exact;
+  const target = normalizeDrugName(name);
+  return target
+    ? medicines.find((medicine) => [medicine.name, medicine.generic_name].some((n) => normalizeDrugName(n) === target))
+    : undefined;
+};
+
+export const formatPriceDifference = (difference, basePrice) => {
+  if (Math.abs(difference) < 0.005) return 'same price';
+  const sign = difference > 0 ? '+' : '-';
+  const percent = basePrice > 0 ? ` (${sign}${Math.round((Math.abs(difference) / basePrice) * 100)}%)` : '';
+  return `${sign}$${Math.abs(difference).toFixed(2)}${percent}`;
+};
+
+const ALTERNATIVES_QUESTION = /\b(?:alternatives?|substitutes?|equivalents?|replacements?)\s+(?:for|to|of)\s+(.+?)[?.!]*$/i;
+
+// "What are the alternatives to Panadol?" → "Panadol"
+export const parseAlternativesQuestion = (message) => {
+  const match = String(message).match(ALTERNATIVES_QUESTION);
+  return match ? match[1].trim() : null;
+};
+
+// Plain-text answer for the chatbot
+const formatPrice = (price) => `$${Number(price || 0).toFixed(2)}`;
+
+export const describeEquivalents = (medicine, equivalents) => {
+  const available = getUsableQuantity(medicine);
+  const stock = available > 0 ? `${available} ${medicine.unit} available` : 'out of stock';
+  const header = `${medicine.name} (${medicine.generic_name}) — ${stock}, ${formatPrice(medicine.unit_price)} each.`;
+  if (equivalents.length === 0) return `${header}\n\nNo in-stock alternatives with the same generic or category.`;
+  const lines = equivalents.slice(0, 5).map(({ medicine: other, type, available: qty, priceDifference }) => {
+    const difference = formatPriceDifference(priceDifference, medicine.unit_price);
+    const match = EQUIVALENCE_TYPES[type].label.toLowerCase();
+    return `• ${other.name} (${match}) — ${qty} ${other.unit}, ${formatPrice(other.unit_price)} (${difference})`;
+  });
+  return `${header}\n\nAlternatives in stock:\n${lines.join('\n')}`;
+};
@@ -0,0 +1,123 @@
+// ASCII 29, the FNC1 separator that ends variable-length element strings
+export const GROUP_SEPARATOR = '\u001d';
+
+// Fixed data lengths by AI prefix; anything not listed is variable length
+const FIXED_LENGTHS = {
+  '00': 18,
+  '01': 14,
+  '02': 14,
+  '11': 6,
+  '12': 6,
+  '13': 6,
+  '15': 6,
+  '16': 6,
+  '17': 6,
+  '20': 2
+};
+
+const VARIABLE_AIS = ['10', '21', '22', '30', '37', '240', '241'];
+
+// Symbology identifiers a scanner may prepend (DataMatrix, GS1-128, QR)
+const SYMBOLOGY_PREFIX = /^\](d2|C1|Q3|e0)/;
+
+const readAI = (data, pos) => {
+  const two = data.slice(pos, pos + 2);
+  if (FIXED_LENGTHS[two] || VARIABLE_AIS.includes(two)) return two;
+  const three = data.slice(pos, pos + 3);
+  if (VARIABLE_AIS.includes(three)) return three;
+  return null;
+};
+
+// GS1 dates are YYMMDD; day 00 means the last day of that month
+const parseGS1Date = (value) => {
+  if (!/^\d{6}$/.test(value)) return null;
+  const year = 2000 + parseInt(value.slice(0, 2));
+  const month = parseInt(value.slice(2, 4));
+  let day = parseInt(value.slice(4, 6));
+  if (month < 1 || month > 12) return null;
+  if (day === 0) day = new Date(year, month, 0).getDate();
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+const parseHumanReadable = (text) => {
+  const elements = {};
+  const pattern = /\((\d{2,4})\)([^(]*)/g;
+  let match = pattern.exec(text);
+  while (match) {
+    elements[match[1]] = match[2].trim();
+    match = pattern.exec(text);
+  }
+  return elements;
+};
+
+const parseElementString = (text) => {
+  const elements = {};
+  let pos = 0;
+  while (pos < text.length) {
+    if (text[pos] === GROUP_SEPARATOR) {
+      pos += 1;
+      continue;
+    }
+    const ai = readAI(text, pos);
+    if (!ai) break;
+    pos += ai.length;
+    if (FIXED_LENGTHS[ai]) {
+      elements[ai] = text.slice(pos, pos + FIXED_LENGTHS[ai]);
+      pos += FIXED_LENGTHS[ai];
+    } else {
+      const end = text.indexOf(GROUP_SEPARATOR, pos);
+      elements[ai] = text.slice(pos, end === -1 ? text.length : end);
+      pos = end === -1 ? text.length : end + 1;
+    }
+  }
+  return elements;
+};
+
+// Accepts element strings marked as GS1 by a symbology identifier, a leading FNC1
+// or a leading (01) GTIN, the bracketed human-readable form, or a plain EAN/UPC
+// which is treated as a GTIN. Anything else, like our own Code 128 batch labels,
+// is left unparsed so "10ABC" isn't read as batch ABC
+export const parseGS1 = (raw) => {
+  const trimmed = String(raw || '').trim();
+  const marked = SYMBOLOGY_PREFIX.test(trimmed) || trimmed.startsWith(GROUP_SEPARATOR);
+  const unprefixed = trimmed.replace(SYMBOLOGY_PREFIX, '');
+  const text = unprefixed.startsWith(GROUP_SEPARATOR) ? unprefixed.slice(1) : unprefixed;
+  let elements = {};
+
+  if (text.startsWith('(')) {
+    elements = parseHumanReadable(text);
+  } else if (/^\d{8}$|^\d{12,14}$/.test(text)) {
+    elements = { '01': text.padStart(14, '0') };
+  } else if (marked || /^01\d{14}/.test(text)) {
+    elements = parseElementString(text);
+  }
+
+  return {
+    raw: text,
+    isGS1: Object.keys(elements).length > 0,
+    gtin: elements['01'] || null,
+    batch: elements['10'] || null,
+    expiry: elements['17'] ? parseGS1Date(elements['17']) : null,
+    serial: elements['21'] || null,
+    elements
+  };
+};
+
+// The most specific value to look a scanned box up by
+export const getLookupCode = (parsed) => parsed.batch || parsed.gtin || parsed.raw;
+
+const toGS1Date = (isoDate) => {
+  const [year, month, day] = String(isoDate).slice(0, 10).split('-');
+  return year && month && day ? `${year.slice(2)}${month}${day}` : null;
+};
+
+// Inverse of parseGS1 for printing: fixed-length AIs first so only the
+// trailing batch needs no separator
+export const buildElementString = ({ gtin, expiry, batch }) => {
+  let text = '';
+  if (gtin) text += `01${String(gtin).padStart(14, '0')}`;
+  const expiryValue = expiry && toGS1Date(expiry);
+  if (expiryValue) text += `17${expiryValue}`;
+  if (batch) text += `10${batch}`;
+  return text;
+};
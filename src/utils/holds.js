@@ -0,0 +1,57 @@
+import { getBatches, getTotalQuantity, isExpired } from './batches';
+
+export const HOLD_REASONS = {
+  damaged: { label: 'Damaged', className: 'bg-orange-100 text-orange-800' },
+  recalled: { label: 'Recalled', className: 'bg-red-100 text-red-800' },
+  pending_qa: { label: 'Pending QA', className: 'bg-yellow-100 text-yellow-800' },
+  expired: { label: 'Expired', className: 'bg-gray-200 text-gray-800' }
+};
+
+// Every hold ends in one of these, with a reason recorded against it
+export const HOLD_DECISIONS = {
+  release: {
+    label: 'Release to Stock',
+    reasons: {
+      QA_PASSED: 'Passed quality check',
+      RECALL_LIFTED: 'Recall withdrawn by manufacturer',
+      NOT_DAMAGED: 'Inspected, not damaged',
+      PLACED_IN_ERROR: 'Placed on hold in error'
+    }
+  },
+  write_off: {
+    label: 'Write Off',
+    reasons: {
+      DESTROYED: 'Destroyed',
+      RETURNED_TO_SUPPLIER: 'Returned to supplier',
+      RETURNED_TO_MANUFACTURER: 'Returned to manufacturer (recall)',
+      QA_FAILED: 'Failed quality check'
+    }
+  }
+};
+
+export const getActiveHolds = (medicine) =>
+  (medicine?.holds || []).filter((hold) => hold.status === 'active');
+
+export const getHeldQuantity = (medicine) =>
+  getActiveHolds(medicine).reduce((sum, hold) => sum + (hold.quantity || 0), 0);
+
+export const getAvailableQuantity = (medicine) =>
+  Math.max(getTotalQuantity(medicine) - getHeldQuantity(medicine), 0);
+
+// Batches with held units taken out, for picking and dispensing
+export const getAvailableBatches = (medicine) => {
+  const held = {};
+  getActiveHolds(medicine).forEach((hold) => {
+    if (hold.batch_number) held[hold.batch_number] = (held[hold.batch_number] || 0) + hold.quantity;
+  });
+  return getBatches(medicine).map((batch) => ({
+    ...batch,
+    quantity: Math.max((batch.quantity || 0) - (held[batch.batch_number] || 0), 0)
+  }));
+};
+
+// What could actually be dispensed today: unheld units in batches that haven't expired
+export const getUsableQuantity = (medicine, asOf = new Date()) =>
+  getAvailableBatches(medicine)
+    .filter((batch) => !isExpired(batch, asOf))
+    .reduce((sum, batch) => sum + batch.quantity, 0);
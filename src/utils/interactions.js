@@ -0,0 +1,172 @@
+import { findMedicineByName } from './equivalents';
+
+// Ordered most to least serious; minor findings are shown but need no sign-off
+export const INTERACTION_SEVERITIES = {
+  contraindicated: { label: 'Contraindicated', rank: 0, className: 'bg-red-100 text-red-800 border-red-300', acknowledge: true },
+  major: { label: 'Major', rank: 1, className: 'bg-orange-100 text-orange-800 border-orange-300', acknowledge: true },
+  moderate: { label: 'Moderate', rank: 2, className: 'bg-yellow-100 text-yellow-800 border-yellow-300', acknowledge: true },
+  minor: { label: 'Minor', rank: 3, className: 'bg-gray-100 text-gray-700 border-gray-300', acknowledge: false }
+};
+
+// Drug classes used by the interaction and allergy tables; members are generic names
+export const DRUG_GROUPS = {
+  nsaid: ['ibuprofen', 'naproxen', 'diclofenac', 'aspirin', 'celecoxib', 'indomethacin'],
+  ssri: ['fluoxetine', 'sertraline', 'citalopram', 'escitalopram', 'paroxetine'],
+  opioid: ['morphine', 'codeine', 'tramadol', 'oxycodone', 'fentanyl'],
+  benzodiazepine: ['diazepam', 'alprazolam', 'lorazepam', 'clonazepam'],
+  macrolide: ['clarithromycin', 'erythromycin', 'azithromycin'],
+  statin: ['simvastatin', 'atorvastatin', 'lovastatin'],
+  ace_inhibitor: ['lisinopril', 'enalapril', 'ramipril', 'captopril'],
+  nitrate: ['nitroglycerin', 'glyceryl trinitrate', 'isosorbide'],
+  pde5_inhibitor: ['sildenafil', 'tadalafil', 'vardenafil'],
+  penicillin: ['penicillin', 'amoxicillin', 'ampicillin', 'flucloxacillin', 'piperacillin', 'co-amoxiclav'],
+  cephalosporin: ['cefalexin', 'cephalexin', 'cefuroxime', 'ceftriaxone', 'cefixime'],
+  sulfonamide: ['sulfamethoxazole', 'co-trimoxazole', 'sulfasalazine'],
+  antacid: ['calcium carbonate', 'aluminium hydroxide', 'magnesium hydroxide']
+};
+
+// Local interaction dataset; each side is a generic name or a DRUG_GROUPS key
+export const INTERACTIONS = [
+  { drugs: ['warfarin', 'nsaid'], severity: 'major', effect: 'Raised bleeding risk', advice: 'Avoid; use paracetamol for pain' },
+  { drugs: ['warfarin', 'macrolide'], severity: 'major', effect: 'Raised INR', advice: 'Monitor INR closely or choose another antibiotic' },
+  { drugs: ['warfarin', 'metronidazole'], severity: 'major', effect: 'Raised INR', advice: 'Reduce warfarin dose and monitor INR' },
+  { drugs: ['simvastatin', 'clarithromycin'], severity: 'contraindicated', effect: 'Myopathy and rhabdomyolysis', advice: 'Suspend the statin during the course' },
+  { drugs: ['nitrate', 'pde5_inhibitor'], severity: 'contraindicated', effect: 'Severe hypotension', advice: 'Do not co-dispense' },
+  { drugs: ['ssri', 'tramadol'], severity: 'major', effect: 'Serotonin syndrome and seizures', advice: 'Avoid or monitor closely' },
+  { drugs: ['ssri', 'nsaid'], severity: 'moderate', effect: 'Gastrointestinal bleeding', advice: 'Consider gastroprotection' },
+  { drugs: ['opioid', 'benzodiazepine'], severity: 'major', effect: 'Respiratory depression and sedation', advice: 'Use lowest doses; counsel the patient' },
+  { drugs: ['lithium', 'nsaid'], severity: 'major', effect: 'Lithium toxicity', advice: 'Avoid or monitor lithium levels' },
+  { drugs: ['ace_inhibitor', 'spironolactone'], severity: 'moderate', effect: 'Hyperkalaemia', advice: 'Monitor potassium' },
+  { drugs: ['ace_inhibitor', 'nsaid'], severity: 'moderate', effect: 'Reduced kidney function and antihypertensive effect', advice: 'Monitor renal function' },
+  { drugs: ['methotrexate', 'trimethoprim'], severity: 'major', effect: 'Bone marrow suppression', advice: 'Avoid' },
+  { drugs: ['digoxin', 'amiodarone'], severity: 'major', effect: 'Digoxin toxicity', advice: 'Halve the digoxin dose and monitor' },
+  { drugs: ['ciprofloxacin', 'theophylline'], severity: 'major', effect: 'Theophylline toxicity', advice: 'Monitor levels or choose another antibiotic' },
+  { drugs: ['ciprofloxacin', 'antacid'], severity: 'minor', effect: 'Reduced ciprofloxacin absorption', advice: 'Take 2 hours apart' },
+  { drugs: ['levothyroxine', 'antacid'], severity: 'minor', effect: 'Reduced levothyroxine absorption', advice: 'Take 4 hours apart' }
+];
+
+// Allergy to one class may extend to another
+const CROSS_REACTIONS = [
+  { allergy: 'penicillin', drugs: 'cephalosporin', severity: 'moderate', effect: 'Possible cross-reactivity' },
+  { allergy: 'aspirin', drugs: 'nsaid', severity: 'major', effect: 'NSAID hypersensitivity' }
+];
+
+const ACTIVE_STATUSES = ['validated', 'partially_dispensed', 'dispensed'];
+const ACTIVE_DAYS = 90;
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+const expand = (term) => DRUG_GROUPS[normalize(term)] || [normalize(term)];
+
+// The names a line can be recognised by: what was written, and the stocked product's names
+const lineNames = (line, medicines) => {
+  const stocked = findMedicineByName(medicines, line.medicine_name || line.name, line.medicine_id);
+  return [line.medicine_name, line.name, stocked?.name, stocked?.generic_name].filter(Boolean).map(normalize);
+};
+
+const matches = (names, term) => expand(term).some((member) => names.some((name) => name.includes(member)));
+
+export const parseAllergies = (text) => [
+  ...new Set(String(text || '').split(/[,;\n]+/).map(normalize).filter(Boolean))
+];
+
+const samePatient = (a, b) =>
+  a.patient_id && b.patient_id ? a.patient_id === b.patient_id : normalize(a.patient_name) === normalize(b.patient_name);
+
+// Allergies recorded on any of the patient's prescriptions
+export const getPatientAllergies = (prescription, prescriptions) => [
+  ...new Set(
+    [prescription, ...prescriptions.filter((other) => samePatient(other, prescription))]
+      .flatMap((record) => record.patient_allergies || [])
+      .map(normalize)
+  )
+];
+
+// Lines on the patient's other recent, approved prescriptions
+export const getActiveMedications = (prescription, prescriptions, asOf = new Date()) => {
+  const since = asOf.getTime() - ACTIVE_DAYS * 24 * 60 * 60 * 1000;
+  return prescriptions
+    .filter((other) =>
+      other.id !== prescription.id &&
+      samePatient(other, prescription) &&
+      ACTIVE_STATUSES.includes(other.status) &&
+      new Date(other.created_at).getTime() >= since
+    )
+    .flatMap((other) => other.medicines || []);
+};
+
+const lineLabel = (line) => line.medicine_name || line.name;
+
+// Every pair among the prescription's own lines, plus each line against the
+// patient's active medications, and each line against recorded allergies
+export const checkPrescription = (prescription, { medicines, prescriptions }) => {
+  const lines = prescription.medicines || [];
+  const active = getActiveMedications(prescription, prescriptions);
+  const warnings = [];
+
+  const checkPair = (a, b, activeB) => {
+    const namesA = lineNames(a, medicines);
+    const namesB = lineNames(b, medicines);
+    INTERACTIONS.forEach((interaction, idx) => {
+      const [x, y] = interaction.drugs;
+      if ((matches(namesA, x) && matches(namesB, y)) || (matches(namesA, y) && matches(namesB, x))) {
+        warnings.push({
+          id: `interaction-${idx}-${lineLabel(a)}-${lineLabel(b)}`,
+          kind: 'interaction',
+          severity: interaction.severity,
+          title: `${lineLabel(a)} + ${lineLabel(b)}${activeB ? ' (active medication)' : ''}`,
+          detail: `${interaction.effect}. ${interaction.advice}.`
+        });
+      }
+    });
+  };
+
+  lines.forEach((line, i) => {
+    lines.slice(i + 1).forEach((other) => checkPair(line, other, false));
+    active.forEach((other) => checkPair(line, other, true));
+  });
+
+  getPatientAllergies(prescription, prescriptions).forEach((allergy) => {
+    lines.forEach((line) => {
+      const names = lineNames(line, medicines);
+      if (matches(names, allergy)) {
+        warnings.push({
+          id: `allergy-${allergy}-${lineLabel(line)}`,
+          kind: 'allergy',
+          severity: 'contraindicated',
+          title: `${lineLabel(line)} — patient allergic to ${allergy}`,
+          detail: 'Recorded allergy. Do not dispense without prescriber confirmation.'
+        });
+        return;
+      }
+      CROSS_REACTIONS.filter((cross) => cross.allergy === allergy && matches(names, cross.drugs)).forEach((cross) => {
+        warnings.push({
+          id: `cross-${allergy}-${lineLabel(line)}`,
+          kind: 'allergy',
+          severity: cross.severity,
+          title: `${lineLabel(line)} — patient allergic to ${allergy}`,
+          detail: `${cross.effect}. Confirm the reaction history with the patient.`
+        });
+      });
+    });
+  });
+
+  return warnings.sort((a, b) => INTERACTION_SEVERITIES[a.severity].rank - INTERACTION_SEVERITIES[b.severity].rank);
+};
+
+// What a dispense-time substitution adds: substitutes[idx] replaces line idx and the
+// prescription is checked again, leaving out anything already raised at review
+export const checkSubstitutions = (prescription, substitutes, context) => {
+  if (!substitutes.some(Boolean)) return [];
+  const reviewed = new Set(checkPrescription(prescription, context).map((warning) => warning.id));
+  const substituted = {
+    ...prescription,
+    medicines: prescription.medicines.map((line, idx) => {
+      const substitute = substitutes[idx];
+      return substitute ? { ...line, medicine_name: substitute.name, name: undefined, medicine_id: substitute.id } : line;
+    })
+  };
+  return checkPrescription(substituted, context).filter((warning) => !reviewed.has(warning.id));
+};
+
+export const needsAcknowledgement = (warning) => INTERACTION_SEVERITIES[warning.severity].acknowledge;
@@ -0,0 +1,91 @@
+export const PAGE_SIZE_OPTIONS = [12, 24, 48, 96];
+
+export const SORT_FIELDS = {
+  name: 'Name',
+  generic_name: 'Generic Name',
+  category: 'Category',
+  quantity: 'Quantity',
+  unit_price: 'Unit Price',
+  expiry_date: 'Expiry Date',
+  location: 'Location'
+};
+
+export const STOCK_STATUS_OPTIONS = {
+  in_stock: 'In Stock',
+  low_stock: 'Low Stock',
+  out_of_stock: 'Out of Stock',
+  on_hold: 'On Hold'
+};
+
+export const EXPIRY_WINDOW_OPTIONS = {
+  expired: 'Already expired',
+  30: 'Within 30 days',
+  60: 'Within 60 days',
+  90: 'Within 90 days',
+  180: 'Within 180 days'
+};
+
+export const FACET_KEYS = ['category', 'manufacturer', 'location', 'stock_status', 'expiry_within'];
+
+const DEFAULTS = {
+  view: 'grid',
+  page: 1,
+  page_size: PAGE_SIZE_OPTIONS[0],
+  sort: 'name',
+  order: 'asc',
+  search: ''
+};
+
+// Reads the bookmarkable inventory view out of the URL, filling in defaults
+export const readInventoryQuery = (searchParams) => {
+  const query = {
+    view: searchParams.get('view') === 'table' ? 'table' : DEFAULTS.view,
+    page: parseInt(searchParams.get('page')) || DEFAULTS.page,
+    page_size: parseInt(searchParams.get('page_size')) || DEFAULTS.page_size,
+    sort: SORT_FIELDS[searchParams.get('sort')] ? searchParams.get('sort') : DEFAULTS.sort,
+    order: searchParams.get('order') === 'desc' ? 'desc' : DEFAULTS.order,
+    search: searchParams.get('search') || DEFAULTS.search
+  };
+  FACET_KEYS.forEach((key) => {
+    query[key] = searchParams.get(key) || '';
+  });
+  return query;
+};
+
+// Only non-default values go in the URL so shared links stay short
+export const toSearchParams = (query) => {
+  const params = {};
+  Object.entries(query).forEach(([key, value]) => {
+    if (value === '' || value === null || value === undefined) return;
+    if (DEFAULTS[key] === value) return;
+    params[key] = String(value);
+  });
+  return params;
+};
+
+// Params for a paged GET /medicines. Without paginate=1 the endpoint answers with
+// a bare array of every product; with it, { items, total, facets } for the
+// requested page, so paged callers build their params here. The layout choice
+// lives in the URL but means nothing to the API, so it is dropped.
+export const toApiParams = ({ view, ...query }) => {
+  const params = { paginate: 1 };
+  Object.entries(query).forEach(([key, value]) => {
+    if (value !== '' && value !== null && value !== undefined) params[key] = value;
+  });
+  return params;
+};
+
+// Page numbers to render, with null marking an ellipsis gap
+export const getPageRange = (current, totalPages) => {
+  if (totalPages <= 7) {
+    return Array.from({ length: totalPages }, (_, idx) => idx + 1);
+  }
+  const pages = [1];
+  const start = Math.max(2, current - 1);
+  const end = Math.min(totalPages - 1, current + 1);
+  if (start > 2) pages.push(null);
+  for (let page = start; page <= end; page += 1) pages.push(page);
+  if (end < totalPages - 1) pages.push(null);
+  pages.push(totalPages);
+  return pages;
+};
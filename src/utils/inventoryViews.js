@@ -0,0 +1,58 @@
+import { getUser } from './auth';
+
+export const TABLE_COLUMNS = [
+  { key: 'name', label: 'Name', sortable: true },
+  { key: 'generic_name', label: 'Generic Name', sortable: true },
+  { key: 'category', label: 'Category', sortable: true },
+  { key: 'manufacturer', label: 'Manufacturer' },
+  { key: 'quantity', label: 'Quantity', sortable: true },
+  { key: 'status', label: 'Status' },
+  { key: 'reorder_level', label: 'Reorder Level' },
+  { key: 'unit_price', label: 'Unit Price', sortable: true },
+  { key: 'batch_number', label: 'Batch' },
+  { key: 'gtin', label: 'GTIN' },
+  { key: 'expiry_date', label: 'Expiry', sortable: true },
+  { key: 'location', label: 'Location', sortable: true },
+  { key: 'description', label: 'Description' }
+];
+
+export const DEFAULT_COLUMNS = [
+  'name',
+  'generic_name',
+  'category',
+  'quantity',
+  'status',
+  'unit_price',
+  'batch_number',
+  'expiry_date',
+  'location'
+];
+
+const storageKey = (name) => {
+  const user = getUser();
+  return `pharmaventory:${name}:${user?.id || user?.email || 'anonymous'}`;
+};
+
+const readJSON = (key, fallback) => {
+  try {
+    const stored = localStorage.getItem(key);
+    return stored ? JSON.parse(stored) : fallback;
+  } catch (error) {
+    return fallback;
+  }
+};
+
+// Column visibility and widths for the table view, kept per user
+export const loadTablePrefs = () =>
+  readJSON(storageKey('inventory-table'), { columns: DEFAULT_COLUMNS, widths: {} });
+
+export const saveTablePrefs = (prefs) => {
+  localStorage.setItem(storageKey('inventory-table'), JSON.stringify(prefs));
+};
+
+// A saved view bundles filters, sort, layout and table columns under a name
+export const loadSavedViews = () => readJSON(storageKey('inventory-views'), []);
+
+export const saveSavedViews = (views) => {
+  localStorage.setItem(storageKey('inventory-views'), JSON.stringify(views));
+};
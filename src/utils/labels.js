@@ -0,0 +1,114 @@
+import { getBatches } from './batches';
+import { buildElementString } from './gs1';
+
+// Dimensions in millimetres, matching the stock sheets we buy
+export const PAGE_SIZES = {
+  A4: { width: 210, height: 297 },
+  letter: { width: 215.9, height: 279.4 }
+};
+
+export const LABEL_TEMPLATES = [
+  {
+    id: 'a4-21',
+    label: 'A4 — 21 per sheet (63.5 × 38.1 mm)',
+    pageSize: 'A4',
+    columns: 3,
+    rows: 7,
+    width: 63.5,
+    height: 38.1,
+    marginTop: 15.1,
+    marginLeft: 7.2,
+    gapX: 2.5,
+    gapY: 0
+  },
+  {
+    id: 'a4-14',
+    label: 'A4 — 14 per sheet (99.1 × 38.1 mm)',
+    pageSize: 'A4',
+    columns: 2,
+    rows: 7,
+    width: 99.1,
+    height: 38.1,
+    marginTop: 15.1,
+    marginLeft: 4.7,
+    gapX: 2.5,
+    gapY: 0
+  },
+  {
+    id: 'letter-30',
+    label: 'Letter — 30 per sheet (66.7 × 25.4 mm)',
+    pageSize: 'letter',
+    columns: 3,
+    rows: 10,
+    width: 66.7,
+    height: 25.4,
+    marginTop: 12.7,
+    marginLeft: 4.8,
+    gapX: 3.2,
+    gapY: 0
+  },
+  {
+    id: 'a4-shelf',
+    label: 'A4 — shelf strips (190 × 30 mm)',
+    pageSize: 'A4',
+    columns: 1,
+    rows: 8,
+    width: 190,
+    height: 30,
+    marginTop: 15,
+    marginLeft: 10,
+    gapX: 0,
+    gapY: 5
+  }
+];
+
+export const BARCODE_TYPES = {
+  code128: 'Code 128',
+  qr: 'QR Code'
+};
+
+export const getTemplate = (id) => LABEL_TEMPLATES.find((template) => template.id === id) || LABEL_TEMPLATES[0];
+
+// One label per batch in stock, each carrying that batch's own number, expiry
+// and shelf, so a label never pairs a lot with another lot's expiry
+export const getLabelBatches = (medicine) => {
+  const batches = getBatches(medicine);
+  if (batches.length === 0) return [medicine];
+  const inStock = batches.filter((batch) => batch.quantity > 0);
+  return (inStock.length > 0 ? inStock : batches).map((batch) => ({
+    ...medicine,
+    batch_number: batch.batch_number,
+    expiry_date: batch.expiry_date,
+    location: batch.location || medicine.location
+  }));
+};
+
+// label is one entry from getLabelBatches. QR labels carry GTIN + expiry + batch
+// so they scan back in like the manufacturer's DataMatrix; Code 128 only has
+// room for the batch
+export const getBarcodeValue = (label, type) => {
+  if (type === 'qr' && label.gtin) {
+    return buildElementString({
+      gtin: label.gtin,
+      expiry: label.expiry_date,
+      batch: label.batch_number
+    });
+  }
+  return label.batch_number || label.id;
+};
+
+// Repeats each batch label `copies` times and splits the run into sheets,
+// skipping `offset` positions on the first sheet so part-used sheets can be reused
+export const buildLabelSheets = (medicines, template, { copies = 1, offset = 0 } = {}) => {
+  const perSheet = template.columns * template.rows;
+  const labels = [
+    ...Array(Math.max(0, Math.min(offset, perSheet - 1))).fill(null),
+    ...medicines.flatMap(getLabelBatches).flatMap((label) => Array(copies).fill(label))
+  ];
+
+  const sheets = [];
+  for (let i = 0; i < labels.length; i += perSheet) {
+    sheets.push(labels.slice(i, i + perSheet));
+  }
+  return sheets;
+};
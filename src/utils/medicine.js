@@ -0,0 +1,123 @@
+export const emptyMedicine = {
+  name: '',
+  generic_name: '',
+  strength: '',
+  form: '',
+  category: '',
+  manufacturer: '',
+  quantity: 0,
+  unit: '',
+  reorder_level: 0,
+  unit_price: 0,
+  batch_number: '',
+  gtin: '',
+  expiry_date: '',
+  location: '',
+  description: '',
+  is_controlled: false,
+  schedule: ''
+};
+
+export const MEDICINE_FIELD_LABELS = {
+  name: 'Medicine Name',
+  generic_name: 'Generic Name',
+  strength: 'Strength',
+  form: 'Dosage Form',
+  category: 'Category',
+  manufacturer: 'Manufacturer',
+  quantity: 'Quantity',
+  unit: 'Unit',
+  reorder_level: 'Reorder Level',
+  unit_price: 'Unit Price',
+  batch_number: 'Batch Number',
+  gtin: 'GTIN',
+  expiry_date: 'Expiry Date',
+  location: 'Location',
+  description: 'Description',
+  is_controlled: 'Controlled Substance',
+  schedule: 'Schedule'
+};
+
+// Held stock doesn't count as available; fully held items get their own badge
+export const getStockStatus = (quantity, reorderLevel, heldQuantity = 0) => {
+  if (heldQuantity > 0 && quantity - heldQuantity <= 0) {
+    return { label: 'On Hold', className: 'bg-slate-200 text-slate-800' };
+  }
+  quantity -= heldQuantity;
+  if (quantity === 0) return { label: 'Out of Stock', className: 'bg-red-100 text-red-800' };
+  if (quantity <= reorderLevel) return { label: 'Low Stock', className: 'bg-orange-100 text-orange-800' };
+  return { label: 'In Stock', className: 'bg-green-100 text-green-800' };
+};
+
+// Date inputs need YYYY-MM-DD, the API returns full ISO timestamps
+const toDateInput = (value) => (value ? String(value).slice(0, 10) : '');
+
+export const toMedicineForm = (medicine) => {
+  const form = { ...emptyMedicine };
+  Object.keys(emptyMedicine).forEach((field) => {
+    if (medicine?.[field] !== undefined && medicine[field] !== null) {
+      form[field] = medicine[field];
+    }
+  });
+  form.expiry_date = toDateInput(form.expiry_date);
+  return form;
+};
+
+const normalizeValue = (field, value) => {
+  if (field === 'expiry_date') return toDateInput(value);
+  if (typeof emptyMedicine[field] === 'number') return Number(value);
+  return value ?? '';
+};
+
+export const getDirtyFields = (original, current) => {
+  const base = toMedicineForm(original);
+  return Object.keys(emptyMedicine).filter(
+    (field) => normalizeValue(field, base[field]) !== normalizeValue(field, current[field])
+  );
+};
+
+// Prefers the server's updated_at stamp; falls back to comparing editable fields
+export const hasRecordChanged = (loaded, latest) => {
+  if (loaded?.updated_at && latest?.updated_at) {
+    return loaded.updated_at !== latest.updated_at;
+  }
+  return getDirtyFields(loaded, toMedicineForm(latest)).length > 0;
+};
+
+export const formatFieldValue = (field, value) => {
+  if (value === '' || value === null || value === undefined) return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (field === 'expiry_date') return new Date(value).toLocaleDateString();
+  if (field === 'unit_price') return `$${Number(value).toFixed(2)}`;
+  return String(value);
+};
+
+export const OPTIONAL_FIELDS = ['strength', 'form', 'description', 'gtin', 'is_controlled', 'schedule'];
+
+// Coerces raw spreadsheet cells into a medicine payload, keeping blanks blank
+export const coerceMedicine = (raw) => {
+  const record = {};
+  Object.keys(emptyMedicine).forEach((field) => {
+    const value = raw[field] === undefined || raw[field] === null ? '' : String(raw[field]).trim();
+    if (typeof emptyMedicine[field] === 'number') {
+      record[field] = value === '' ? '' : Number(value.replace(/[$,]/g, ''));
+    } else if (typeof emptyMedicine[field] === 'boolean') {
+      record[field] = /^(true|yes|y|1|x)$/i.test(value);
+    } else if (field === 'schedule') {
+      // "CII", "Schedule II" and "II" all mean the same schedule
+      record[field] = value.toUpperCase().replace(/^(SCHEDULE\s*|C)/, '');
+    } else if (field === 'expiry_date' && value && !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      const date = new Date(value);
+      record[field] = isNaN(date)
+        ? value
+        : [
+            date.getFullYear(),
+            String(date.getMonth() + 1).padStart(2, '0'),
+            String(date.getDate()).padStart(2, '0')
+          ].join('-');
+    } else {
+      record[field] = value;
+    }
+  });
+  return record;
+};
@@ -0,0 +1,96 @@
+import { z } from 'zod';
+import { zodResolver } from '@hookform/resolvers/zod';
+import { emptyMedicine } from './medicine';
+import { getBatches } from './batches';
+import { todayISO } from './dates';
+
+// Blank inputs arrive as '' so they report "Required" rather than "Must be a number"
+const blankToUndefined = (value) => (value === '' || value === null ? undefined : value);
+
+const numberField = (schema) =>
+  z.preprocess(
+    blankToUndefined,
+    schema(z.number({ required_error: 'Required', invalid_type_error: 'Must be a number' }))
+  );
+
+const requiredText = z.string({ required_error: 'Required' }).trim().min(1, 'Required');
+
+const sameProduct = (a, b) =>
+  String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+// existing: medicines already on file, for the one-batch-per-product rule
+// original: the record being edited; its own batch and unchanged expiry are allowed
+export const buildMedicineSchema = ({ existing = [], original = null } = {}) =>
+  z.object({
+    name: requiredText,
+    generic_name: requiredText,
+    strength: z.string(),
+    form: z.string(),
+    category: requiredText,
+    manufacturer: requiredText,
+    quantity: numberField((n) => n.int('Must be a whole number').min(0, 'Cannot be negative')),
+    unit: requiredText,
+    reorder_level: numberField((n) => n.int('Must be a whole number').min(0, 'Cannot be negative')),
+    unit_price: numberField((n) => n.positive('Must be greater than zero')),
+    batch_number: requiredText,
+    gtin: z.string().trim().regex(/^(\d{8}|\d{12,14})?$/, 'Must be 8, 12, 13 or 14 digits'),
+    expiry_date: z.string({ required_error: 'Required' }).regex(/^\d{4}-\d{2}-\d{2}$/, 'Invalid date'),
+    location: requiredText,
+    description: z.string(),
+    is_controlled: z.boolean(),
+    schedule: z.string()
+  }).superRefine((record, ctx) => {
+    const unchangedExpiry = original && String(original.expiry_date || '').slice(0, 10) === record.expiry_date;
+    if (!unchangedExpiry && /^\d{4}-\d{2}-\d{2}$/.test(record.expiry_date) && record.expiry_date <= todayISO()) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['expiry_date'], message: 'Must be in the future' });
+    }
+    if (record.is_controlled && !record.schedule) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['schedule'], message: 'Required for controlled substances' });
+    }
+    const batch = record.batch_number.toLowerCase();
+    const clash = existing.some((medicine) =>
+      medicine.id !== original?.id &&
+      sameProduct(medicine.name, record.name) &&
+      getBatches(medicine).some((b) => String(b.batch_number).toLowerCase() === batch)
+    );
+    if (clash) {
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['batch_number'], message: 'Batch already exists for this product' });
+    }
+  });
+
+// For useForm({ resolver: medicineResolver, context: { existing, original } })
+export const medicineResolver = (values, context, options) =>
+  zodResolver(buildMedicineSchema(context))(values, context, options);
+
+// Field → first message, the shape the import preview expects
+export const getMedicineErrors = (record, context) => {
+  const result = buildMedicineSchema(context).safeParse(record);
+  const errors = {};
+  if (!result.success) {
+    result.error.issues.forEach(({ path, message }) => {
+      if (!errors[path[0]]) errors[path[0]] = message;
+    });
+  }
+  return errors;
+};
+
+// Maps FastAPI validation errors ({loc, msg} lists) or a {field: message} detail
+// onto form fields; returns false when nothing could be matched to a field
+export const applyServerErrors = (error, setError) => {
+  const detail = error.response?.data?.detail;
+  const errors = {};
+  if (Array.isArray(detail)) {
+    detail.forEach(({ loc = [], msg }) => {
+      const field = loc[loc.length - 1];
+      if (field in emptyMedicine) errors[field] = msg;
+    });
+  } else if (detail && typeof detail === 'object') {
+    Object.entries(detail).forEach(([field, message]) => {
+      if (field in emptyMedicine) errors[field] = String(message);
+    });
+  }
+  Object.entries(errors).forEach(([field, message]) => {
+    setError(field, { type: 'server', message });
+  });
+  return Object.keys(errors).length > 0;
+};
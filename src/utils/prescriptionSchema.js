@@ -0,0 +1,53 @@
+import { z } from 'zod';
+import { zodResolver } from '@hookform/resolvers/zod';
+
+const requiredText = z.string({ required_error: 'Required' }).trim().min(1, 'Required');
+
+export const emptyPrescriptionLine = {
+  medicine_id: null,
+  medicine_name: '',
+  dosage: '',
+  frequency: '',
+  duration: '',
+  quantity: '',
+  instructions: ''
+};
+
+export const emptyPrescription = {
+  patient_name: '',
+  patient_id: '',
+  allergies: '',
+  doctor_name: '',
+  prescriber_license: '',
+  prescriber_contact: '',
+  prescription_date: '',
+  medicines: [emptyPrescriptionLine]
+};
+
+const lineSchema = z.object({
+  medicine_id: z.string().nullable(),
+  medicine_name: requiredText,
+  dosage: z.string(),
+  frequency: z.string(),
+  duration: z.string(),
+  quantity: z.preprocess(
+    (value) => (value === '' || value === null ? undefined : value),
+    z.number({ required_error: 'Required', invalid_type_error: 'Must be a number' })
+      .int('Must be a whole number')
+      .positive('Must be at least 1')
+  ),
+  instructions: z.string()
+});
+
+export const prescriptionSchema = z.object({
+  patient_name: requiredText,
+  patient_id: z.string(),
+  allergies: z.string(),
+  doctor_name: requiredText,
+  prescriber_license: z.string(),
+  prescriber_contact: z.string(),
+  prescription_date: z.string().regex(/^(\d{4}-\d{2}-\d{2})?$/, 'Invalid date'),
+  medicines: z.array(lineSchema).min(1, 'Add at least one medicine')
+});
+
+export const prescriptionResolver = zodResolver(prescriptionSchema);
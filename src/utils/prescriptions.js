@@ -0,0 +1,251 @@
+import { emptyPrescription, emptyPrescriptionLine } from './prescriptionSchema';
+import { findMedicineByName } from './equivalents';
+import { buildPickList } from './batches';
+import { getAvailableBatches } from './holds';
+import { parseAllergies } from './interactions';
+import { toLocalISODate } from './dates';
+
+export const PRESCRIPTION_STATUSES = {
+  pending: { label: 'Pending', className: 'bg-yellow-100 text-yellow-800' },
+  validated: { label: 'Validated', className: 'bg-green-100 text-green-800' },
+  partially_dispensed: { label: 'Partially Dispensed', className: 'bg-indigo-100 text-indigo-800' },
+  dispensed: { label: 'Dispensed', className: 'bg-blue-100 text-blue-800' },
+  rejected: { label: 'Rejected', className: 'bg-red-100 text-red-800' },
+  clarification_requested: { label: 'Awaiting Prescriber', className: 'bg-purple-100 text-purple-800' }
+};
+
+export const REVIEW_DECISIONS = {
+  validated: { title: 'Approve Prescription', action: 'Approve', done: 'approved' },
+  rejected: { title: 'Reject Prescription', action: 'Reject', done: 'rejected' },
+  clarification_requested: { title: 'Request Clarification', action: 'Send Request', done: 'sent back to the prescriber' }
+};
+
+export const REJECTION_REASONS = {
+  illegible: 'Illegible',
+  missing_signature: 'Missing prescriber signature',
+  dosage_out_of_range: 'Dosage out of range',
+  interaction: 'Interaction or allergy risk',
+  expired: 'Prescription expired'
+};
+
+// Prescriptions sent back for clarification are reviewed again once the prescriber answers
+export const canReview = (prescription) => ['pending', 'clarification_requested'].includes(prescription.status);
+
+export const PRESCRIPTION_SOURCES = {
+  upload: 'Image upload',
+  walk_in: 'Walk-in',
+  phone: 'Phone'
+};
+
+// Fields the model is less sure of are highlighted until someone edits them
+export const CONFIDENCE_LEVELS = {
+  medium: { label: 'Check this', className: 'border-amber-400 bg-amber-50' },
+  low: { label: 'Low confidence', className: 'border-red-400 bg-red-50' }
+};
+
+export const getConfidenceLevel = (confidence) => {
+  if (confidence === null || confidence === undefined) return null;
+  if (confidence >= 0.85) return 'high';
+  return confidence >= 0.6 ? 'medium' : 'low';
+};
+
+// The model is asked for JSON but may wrap it in a ```json fence or prose
+export const parseExtraction = (raw) => {
+  if (raw && typeof raw === 'object') return raw;
+  const text = String(raw || '');
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+  const braces = text.match(/\{[\s\S]*\}/);
+  const candidate = fenced ? fenced[1] : braces?.[0];
+  if (!candidate) return null;
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Percentages and 0–1 scores both occur
+const toConfidence = (value) => {
+  const number = Number(value);
+  if (value === null || value === undefined || Number.isNaN(number)) return null;
+  return number > 1 ? number / 100 : number;
+};
+
+// A field is either a bare value or { value, confidence }; scores may also sit
+// in a sibling confidence map
+const readField = (source, keys) => {
+  const key = keys.find((candidate) => source?.[candidate] !== undefined);
+  const raw = key ? source[key] : undefined;
+  const wrapped = raw && typeof raw === 'object' && 'value' in raw;
+  return {
+    value: wrapped ? raw.value : raw,
+    confidence: toConfidence(wrapped ? raw.confidence : source?.confidence?.[key])
+  };
+};
+
+const asText = (value) => (value === null || value === undefined ? '' : String(value));
+
+const asDate = (value) => {
+  const text = asText(value);
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) return text.slice(0, 10);
+  const parsed = new Date(text);
+  if (!text || Number.isNaN(parsed.getTime())) return '';
+  // Other formats parse as local midnight, so read the day back in local time too
+  return toLocalISODate(parsed);
+};
+
+const LINE_FIELDS = {
+  medicine_name: ['medicine_name', 'name', 'drug'],
+  dosage: ['dosage', 'dose', 'strength'],
+  frequency: ['frequency'],
+  duration: ['duration'],
+  quantity: ['quantity', 'qty']
+};
+
+const readLine = (line) => {
+  const values = { ...emptyPrescriptionLine, confidence: {} };
+  Object.entries(LINE_FIELDS).forEach(([field, keys]) => {
+    const { value, confidence } = readField(line, keys);
+    values[field] = field === 'quantity' ? (parseInt(value) || '') : asText(value);
+    values.confidence[field] = confidence;
+  });
+  return values;
+};
+
+// Turns the validate-image response into form values plus a confidence map for
+// the header fields; each medicine line carries its own confidence map
+export const readExtraction = (validationResult) => {
+  const extracted = parseExtraction(validationResult?.extracted ?? validationResult?.validation_result);
+  if (!extracted) return { values: emptyPrescription, confidence: {}, structured: false };
+
+  const patient = readField(extracted, ['patient_name', 'patient']);
+  const patientId = readField(extracted, ['patient_id']);
+  const allergies = readField(extracted, ['allergies', 'patient_allergies']);
+  const doctor = readField(extracted, ['doctor_name', 'doctor', 'prescriber']);
+  const date = readField(extracted, ['prescription_date', 'date']);
+  const lines = extracted.medicines || extracted.medications || [];
+
+  return {
+    values: {
+      ...emptyPrescription,
+      patient_name: asText(patient.value),
+      patient_id: asText(patientId.value),
+      allergies: Array.isArray(allergies.value) ? allergies.value.join(', ') : asText(allergies.value),
+      doctor_name: asText(doctor.value),
+      prescription_date: asDate(date.value),
+      medicines: lines.length > 0 ? lines.map(readLine) : [emptyPrescriptionLine]
+    },
+    confidence: {
+      patient_name: patient.confidence,
+      patient_id: patientId.confidence,
+      allergies: allergies.confidence,
+      doctor_name: doctor.confidence,
+      prescription_date: date.confidence
+    },
+    structured: true,
+    summary: asText(extracted.summary || extracted.notes)
+  };
+};
+
+// Links each line to the stocked product it names so later steps can find it;
+// allergies are typed as a list but stored one per entry
+export const buildPrescriptionPayload = ({ allergies, ...values }, medicines) => ({
+  ...values,
+  patient_allergies: parseAllergies(allergies),
+  medicines: values.medicines.map((line) => ({
+    ...line,
+    medicine_id: findMedicineByName(medicines, line.medicine_name, line.medicine_id)?.id || null
+  }))
+});
+
+// Patients seen on earlier prescriptions, newest first, for the lookup on manual entry
+export const getKnownPatients = (prescriptions) => {
+  const patients = {};
+  [...prescriptions]
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
+    .forEach((prescription) => {
+      const key = prescription.patient_id || prescription.patient_name?.trim().toLowerCase();
+      if (!key) return;
+      if (patients[key]) {
+        patients[key].allergies = [...new Set([...patients[key].allergies, ...(prescription.patient_allergies || [])])];
+        return;
+      }
+      patients[key] = {
+        patient_name: prescription.patient_name,
+        patient_id: prescription.patient_id || '',
+        last_seen: prescription.created_at,
+        last_doctor: prescription.doctor_name,
+        allergies: prescription.patient_allergies || []
+      };
+    });
+  return Object.values(patients);
+};
+
+export const searchPatients = (patients, term, limit = 8) => {
+  const query = String(term || '').trim().toLowerCase();
+  if (!query) return [];
+  return patients
+    .filter((patient) =>
+      [patient.patient_name, patient.patient_id].some((value) => String(value || '').toLowerCase().includes(query))
+    )
+    .slice(0, limit);
+};
+
+// Validated prescriptions are dispensed, in one go or over several visits
+export const canDispense = (prescription) => ['validated', 'partially_dispensed'].includes(prescription.status);
+
+export const getRemainingQuantity = (line) => Math.max((line.quantity || 0) - (line.dispensed_quantity || 0), 0);
+
+// FEFO picks for a fill, leaving held and expired stock alone
+export const planFill = (medicine, quantity) => buildPickList(getAvailableBatches(medicine), quantity);
+
+// requests[idx] = { medicine, quantity, substituted } or null; lines drawing on the same
+// product share one pick list so two lines can't both count the same batch
+export const planFills = (requests) => {
+  const totals = {};
+  requests.filter(Boolean).forEach(({ medicine, quantity }) => {
+    totals[medicine.id] = { medicine, quantity: (totals[medicine.id]?.quantity || 0) + quantity };
+  });
+  const pools = {};
+  Object.entries(totals).forEach(([id, { medicine, quantity }]) => {
+    pools[id] = planFill(medicine, quantity).picks.map((pick) => ({ ...pick }));
+  });
+  return requests.map((request) => {
+    if (!request) return null;
+    let remaining = request.quantity;
+    const picks = [];
+    pools[request.medicine.id].forEach((pick) => {
+      if (remaining <= 0 || pick.quantity <= 0) return;
+      const quantity = Math.min(pick.quantity, remaining);
+      picks.push({ batch: pick.batch, quantity });
+      pick.quantity -= quantity;
+      remaining -= quantity;
+    });
+    return { ...request, picks, shortfall: remaining };
+  });
+};
+
+// fills[idx] = { medicine, picks, substituted } for each line filled this time; the batches are
+// kept on the line so a later recall can trace them to the patient
+export const applyFills = (lines, fills) =>
+  lines.map((line, idx) => {
+    const fill = fills[idx];
+    if (!fill || fill.picks.length === 0) return line;
+    return {
+      ...line,
+      dispensed_quantity: (line.dispensed_quantity || 0) + fill.picks.reduce((sum, pick) => sum + pick.quantity, 0),
+      dispensed_batches: [
+        ...(line.dispensed_batches || []),
+        ...fill.picks.map(({ batch, quantity }) => ({
+          medicine_id: fill.medicine.id,
+          batch_number: batch.batch_number,
+          expiry_date: batch.expiry_date,
+          quantity
+        }))
+      ],
+      ...(fill.substituted ? { substituted_with: { medicine_id: fill.medicine.id, medicine_name: fill.medicine.name } } : {})
+    };
+  });
+
+export const getDispenseStatus = (lines) =>
+  lines.every((line) => getRemainingQuantity(line) === 0) ? 'dispensed' : 'partially_dispensed';
@@ -0,0 +1,107 @@
+import { getBatches } from './batches';
+
+export const RECALL_CLASSES = {
+  I: 'Class I — serious harm likely',
+  II: 'Class II — temporary or reversible harm',
+  III: 'Class III — unlikely to cause harm'
+};
+
+export const RECALL_STATUSES = {
+  open: { label: 'Open', className: 'bg-red-100 text-red-800' },
+  in_progress: { label: 'In Progress', className: 'bg-yellow-100 text-yellow-800' },
+  completed: { label: 'Completed', className: 'bg-green-100 text-green-800' }
+};
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// Accepts batch lists pasted from a recall notice: commas, spaces or one per line
+export const parseBatchList = (text) => [
+  ...new Set(
+    String(text || '')
+      .split(/[\s,;]+/)
+      .map((batch) => batch.trim())
+      .filter(Boolean)
+  )
+];
+
+const matchesProduct = (medicine, recall) => {
+  const product = normalize(recall.product);
+  const manufacturer = normalize(recall.manufacturer);
+  return (
+    (!manufacturer || normalize(medicine.manufacturer).includes(manufacturer)) &&
+    (!product || normalize(medicine.name).includes(product) || normalize(medicine.generic_name).includes(product))
+  );
+};
+
+export const findRecalledProducts = (medicines, recall) =>
+  medicines.filter((medicine) => matchesProduct(medicine, recall));
+
+export const findRecalledStock = (medicines, recall) => {
+  const batchNumbers = recall.batch_numbers.map(normalize);
+  return findRecalledProducts(medicines, recall).flatMap((medicine) =>
+    getBatches(medicine)
+      .filter((batch) => batchNumbers.includes(normalize(batch.batch_number)) && batch.quantity > 0)
+      .map((batch) => ({ medicine, batch }))
+  );
+};
+
+// Prescriptions approved before dispensing was tracked were handed out as validated
+const ISSUED_STATUSES = ['validated', 'partially_dispensed', 'dispensed'];
+
+// Dispensed lines record the batches they were filled from; prescriptions
+// without that detail are flagged as possible matches
+export const findAffectedPrescriptions = (prescriptions, products, recall) => {
+  const batchNumbers = recall.batch_numbers.map(normalize);
+  const productIds = products.map((medicine) => medicine.id);
+  const productNames = products.map((medicine) => normalize(medicine.name));
+
+  return prescriptions
+    .filter((prescription) => ISSUED_STATUSES.includes(prescription.status))
+    .map((prescription) => {
+      const lines = (prescription.medicines || []).filter((line) =>
+        productIds.includes(line.medicine_id) ||
+        productIds.includes(line.substituted_with?.medicine_id) ||
+        productNames.includes(normalize(line.medicine_name || line.name))
+      );
+      if (lines.length === 0) return null;
+      const confirmed = lines.some((line) =>
+        (line.dispensed_batches || []).some((batch) => batchNumbers.includes(normalize(batch.batch_number)))
+      );
+      if (confirmed) return { prescription, certainty: 'confirmed' };
+      if (lines.some((line) => !line.dispensed_batches)) return { prescription, certainty: 'possible' };
+      return null;
+    })
+    .filter(Boolean);
+};
+
+export const buildRecallTasks = (stock, prescriptions) => [
+  ...stock.map(({ medicine, batch }) => ({
+    type: 'remove_stock',
+    medicine_id: medicine.id,
+    batch_number: batch.batch_number,
+    description: `Remove ${batch.quantity} ${medicine.unit} of ${medicine.name} batch ${batch.batch_number} from ${batch.location || medicine.location}`
+  })),
+  ...prescriptions.map(({ prescription, certainty }) => ({
+    type: 'contact_patient',
+    prescription_id: prescription.id,
+    description: `Contact ${prescription.patient_name} (${prescription.patient_id})${certainty === 'possible' ? ' — batch not recorded, check dispensing records' : ''}`
+  })),
+  ...(stock.length > 0
+    ? [{ type: 'return_stock', description: 'Return quarantined stock to the manufacturer' }]
+    : [])
+].map((task, idx) => ({ ...task, id: idx + 1, done: false }));
+
+export const getRecallProgress = (recall) => {
+  const tasks = recall.tasks || [];
+  const done = tasks.filter((task) => task.done).length;
+  // A recall that matched no stock or patients has nothing left to do
+  let status = 'in_progress';
+  if (done === 0) status = 'open';
+  if (done === tasks.length) status = 'completed';
+  return {
+    done,
+    total: tasks.length,
+    percent: tasks.length > 0 ? Math.round((done / tasks.length) * 100) : 100,
+    status: recall.status === 'completed' ? 'completed' : status
+  };
+};
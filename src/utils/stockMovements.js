@@ -0,0 +1,86 @@
+// direction: +1 adds stock, -1 removes it, 0 means the quantity is an absolute count
+export const MOVEMENT_TYPES = {
+  received: {
+    label: 'Received',
+    direction: 1,
+    color: 'bg-green-100 text-green-800',
+    reasons: {
+      PURCHASE_ORDER: 'Supplier delivery',
+      DONATION: 'Donation',
+      OTHER_IN: 'Other'
+    }
+  },
+  returned: {
+    label: 'Returned',
+    direction: 1,
+    color: 'bg-blue-100 text-blue-800',
+    reasons: {
+      PATIENT_RETURN: 'Returned by patient',
+      WARD_RETURN: 'Returned from ward',
+      OTHER_RETURN: 'Other'
+    }
+  },
+  dispensed: {
+    label: 'Dispensed',
+    direction: -1,
+    color: 'bg-purple-100 text-purple-800',
+    reasons: {
+      PRESCRIPTION: 'Prescription',
+      OTC_SALE: 'Over-the-counter sale',
+      WARD_ISSUE: 'Issued to ward'
+    }
+  },
+  supplier_return: {
+    label: 'Returned to Supplier',
+    direction: -1,
+    color: 'bg-cyan-100 text-cyan-800',
+    reasons: {
+      SLOW_MOVING: 'Slow or non-moving stock',
+      SHORT_DATED: 'Short-dated stock',
+      OTHER_OUT: 'Other'
+    }
+  },
+  damaged: {
+    label: 'Damaged',
+    direction: -1,
+    color: 'bg-orange-100 text-orange-800',
+    reasons: {
+      BROKEN: 'Broken packaging',
+      TEMPERATURE: 'Temperature excursion',
+      CONTAMINATED: 'Contaminated'
+    }
+  },
+  lost: {
+    label: 'Lost',
+    direction: -1,
+    color: 'bg-red-100 text-red-800',
+    reasons: {
+      MISSING: 'Missing from shelf',
+      THEFT: 'Suspected theft',
+      UNKNOWN: 'Unknown'
+    }
+  },
+  counted: {
+    label: 'Counted',
+    direction: 0,
+    color: 'bg-gray-100 text-gray-800',
+    reasons: {
+      CYCLE_COUNT: 'Cycle count',
+      STOCK_TAKE: 'Full stock-take',
+      CORRECTION: 'Data correction'
+    }
+  }
+};
+
+export const getQuantityAfter = (type, before, quantity) => {
+  const { direction } = MOVEMENT_TYPES[type];
+  if (direction === 0) return quantity;
+  return before + direction * quantity;
+};
+
+export const getReasonLabel = (type, code) => MOVEMENT_TYPES[type]?.reasons[code] || code;
+
+export const formatChange = (movement) => {
+  const change = movement.quantity_after - movement.quantity_before;
+  return change > 0 ? `+${change}` : String(change);
+};
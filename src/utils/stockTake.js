@@ -0,0 +1,62 @@
+import { getBatches, getTotalQuantity } from './batches';
+import { getLocationStock } from './transfers';
+
+const UNASSIGNED = 'Unassigned';
+
+const placeOf = (location) => location?.trim() || UNASSIGNED;
+
+// Counts are kept per product per location, since a transfer can leave one
+// product's batches on several shelves
+export const getCountKey = (medicineId, location) => `${medicineId}|${location}`;
+
+// One count line for each location a product has stock recorded at
+export const getCountLines = (medicines) =>
+  medicines.flatMap((medicine) => {
+    const stock = getLocationStock(medicine);
+    const entries = stock.length > 0 ? stock : [{ location: medicine.location, quantity: getTotalQuantity(medicine) }];
+    return entries.map(({ location, quantity }) => {
+      const place = placeOf(location);
+      return {
+        key: getCountKey(medicine.id, place),
+        medicine,
+        location: place,
+        systemQuantity: quantity,
+        batchNumbers: getBatches(medicine)
+          .filter((batch) => placeOf(batch.location || medicine.location) === place)
+          .map((batch) => batch.batch_number)
+      };
+    });
+  });
+
+export const groupByLocation = (lines) => {
+  const groups = {};
+  lines.forEach((line) => {
+    if (!groups[line.location]) groups[line.location] = [];
+    groups[line.location].push(line);
+  });
+  return Object.keys(groups)
+    .sort((a, b) => a.localeCompare(b))
+    .map((location) => ({ location, lines: groups[location] }));
+};
+
+// Drafts saved before counts were split by location hold one count per product,
+// taken at its main location
+export const getCount = (counts, line) => {
+  if (counts[line.key] !== undefined) return counts[line.key];
+  return line.location === placeOf(line.medicine.location) ? counts[line.medicine.id] : undefined;
+};
+
+// counts maps count key -> counted quantity; uncounted lines are skipped
+export const computeVariances = (lines, counts) =>
+  lines
+    .filter((line) => getCount(counts, line) !== undefined && getCount(counts, line) !== '')
+    .map((line) => {
+      const countedQuantity = Number(getCount(counts, line));
+      const variance = countedQuantity - line.systemQuantity;
+      return {
+        ...line,
+        countedQuantity,
+        variance,
+        varianceValue: variance * (line.medicine.unit_price || 0)
+      };
+    });
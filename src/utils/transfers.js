@@ -0,0 +1,46 @@
+import { getBatches } from './batches';
+import { getAvailableBatches } from './holds';
+
+// requested -> picked -> dispatched (in transit) -> received; cancellable until dispatched
+export const TRANSFER_STATUSES = {
+  requested: { label: 'Requested', className: 'bg-gray-100 text-gray-800', next: 'picked', action: 'Mark Picked' },
+  picked: { label: 'Picked', className: 'bg-yellow-100 text-yellow-800', next: 'dispatched', action: 'Dispatch' },
+  dispatched: { label: 'In Transit', className: 'bg-blue-100 text-blue-800', next: 'received', action: 'Receive' },
+  received: { label: 'Received', className: 'bg-green-100 text-green-800', next: null },
+  cancelled: { label: 'Cancelled', className: 'bg-red-100 text-red-800', next: null }
+};
+
+export const canCancelTransfer = (transfer) => ['requested', 'picked'].includes(transfer.status);
+
+// The server sends location_stock once a medicine has been split; older
+// records only have batches, each defaulting to the medicine's own location
+export const getLocationStock = (medicine) => {
+  if (Array.isArray(medicine.location_stock) && medicine.location_stock.length > 0) {
+    return medicine.location_stock;
+  }
+
+  const totals = {};
+  getBatches(medicine).forEach((batch) => {
+    const location = batch.location || medicine.location;
+    totals[location] = (totals[location] || 0) + (batch.quantity || 0);
+  });
+  return Object.entries(totals).map(([location, quantity]) => ({ location, quantity }));
+};
+
+// Held and quarantined units stay put, so transfers only offer what's available
+export const getBatchesAt = (medicine, location) =>
+  getAvailableBatches(medicine).filter((batch) => (batch.location || medicine.location) === location);
+
+export const getAvailableAt = (medicine, location) =>
+  getBatchesAt(medicine, location).reduce((sum, batch) => sum + batch.quantity, 0);
+
+export const getKnownLocations = (medicines) => {
+  const locations = new Set();
+  medicines.forEach((medicine) => {
+    getLocationStock(medicine).forEach((entry) => entry.location && locations.add(entry.location));
+  });
+  return [...locations].sort((a, b) => a.localeCompare(b));
+};
+
+export const getTransferUnits = (transfer) =>
+  (transfer.items || []).reduce((sum, item) => sum + (item.quantity || 0), 0);
@@ -0,0 +1,108 @@
+import { getTotalQuantity } from './batches';
+import { getLocationStock } from './transfers';
+
+export const COSTING_METHODS = {
+  fifo: 'FIFO',
+  weighted_average: 'Weighted average',
+  last_price: 'Last purchase price'
+};
+
+export const VALUATION_GROUPS = {
+  category: 'Category',
+  location: 'Location',
+  supplier: 'Supplier'
+};
+
+// Receipts without a recorded cost fall back to the medicine's own cost, then its price
+const fallbackCost = (medicine) => Number(medicine.unit_cost ?? medicine.unit_price) || 0;
+
+const byDate = (a, b) => new Date(a.created_at) - new Date(b.created_at);
+
+// Stock on hand at the end of asOf: the quantity before the first later movement,
+// or today's quantity when nothing has moved since
+export const getQuantityAt = (medicine, movements, asOf) => {
+  const later = movements
+    .filter((movement) => movement.medicine_id === medicine.id && new Date(movement.created_at) > asOf)
+    .sort(byDate);
+  return later.length > 0 ? later[0].quantity_before : getTotalQuantity(medicine);
+};
+
+export const getReceiptLayers = (medicine, movements, asOf) =>
+  movements
+    .filter((movement) =>
+      movement.medicine_id === medicine.id &&
+      movement.movement_type === 'received' &&
+      new Date(movement.created_at) <= asOf
+    )
+    .sort(byDate)
+    .map((movement) => ({
+      quantity: movement.quantity,
+      unitCost: Number(movement.unit_cost) || fallbackCost(medicine),
+      supplier: movement.supplier_name || null
+    }));
+
+// FIFO leaves the newest receipts on the shelf, so value from the latest layer back;
+// any quantity older than the recorded receipts uses the fallback cost
+const fifoValue = (quantity, layers, medicine) => {
+  let remaining = quantity;
+  let value = 0;
+  for (let i = layers.length - 1; i >= 0 && remaining > 0; i--) {
+    const taken = Math.min(remaining, layers[i].quantity);
+    value += taken * layers[i].unitCost;
+    remaining -= taken;
+  }
+  return value + remaining * fallbackCost(medicine);
+};
+
+export const valueMedicine = (medicine, movements, method, asOf) => {
+  const quantity = Math.max(getQuantityAt(medicine, movements, asOf), 0);
+  const layers = getReceiptLayers(medicine, movements, asOf);
+  let value;
+  if (layers.length === 0) {
+    value = quantity * fallbackCost(medicine);
+  } else if (method === 'fifo') {
+    value = fifoValue(quantity, layers, medicine);
+  } else if (method === 'weighted_average') {
+    const units = layers.reduce((sum, layer) => sum + layer.quantity, 0);
+    const cost = layers.reduce((sum, layer) => sum + layer.quantity * layer.unitCost, 0);
+    value = quantity * (units > 0 ? cost / units : fallbackCost(medicine));
+  } else {
+    value = quantity * layers[layers.length - 1].unitCost;
+  }
+  const lastSupplier = [...layers].reverse().find((layer) => layer.supplier)?.supplier;
+  return {
+    medicine,
+    quantity,
+    value,
+    unitCost: quantity > 0 ? value / quantity : 0,
+    supplier: lastSupplier || medicine.supplier || 'Unknown'
+  };
+};
+
+export const buildValuation = (medicines, movements, method, asOf) =>
+  medicines.map((medicine) => valueMedicine(medicine, movements, method, asOf));
+
+// Location stock is only known for today, so a past value is split across
+// locations in today's proportions
+const locationShares = (medicine) => {
+  const stock = getLocationStock(medicine);
+  const total = stock.reduce((sum, entry) => sum + entry.quantity, 0);
+  if (total === 0) return [{ key: medicine.location || 'Unassigned', share: 1 }];
+  return stock.map((entry) => ({ key: entry.location, share: entry.quantity / total }));
+};
+
+export const groupValuation = (rows, groupBy) => {
+  const groups = {};
+  rows.forEach((row) => {
+    const shares = groupBy === 'location'
+      ? locationShares(row.medicine)
+      : [{ key: (groupBy === 'supplier' ? row.supplier : row.medicine.category) || 'Uncategorized', share: 1 }];
+    shares.forEach(({ key, share }) => {
+      groups[key] = groups[key] || { key, items: 0, quantity: 0, value: 0 };
+      groups[key].items += 1;
+      groups[key].quantity += row.quantity * share;
+      groups[key].value += row.value * share;
+    });
+  });
+  return Object.values(groups).sort((a, b) => b.value - a.value);
+};